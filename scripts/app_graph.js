@@ -0,0 +1,102 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const yaml = require('yaml');
+const fs = require('fs-extra');
+const { createServiceGraph, toDot } = require('./lib/service_graph');
+const { readFragmentFiles, resolveFragments } = require('./lib/fragments');
+const { readSources, collectFiles, collectApps, findApp } = require('./lib/sources');
+
+// Prints how the services of a one-click app of the sources in scripts/sources.json depend on each other,
+// e.g. for the docs of an app.
+//
+// npm run graph -- <app> [options]
+// npm run graph -- --all --out <dir> [options]
+//
+//   --format <dot|json>  defaults to dot, render it with e.g. `dot -Tsvg`
+//   --out <dir>          writes <app>.dot or <app>.json to <dir> instead of printing it
+//   --all                every app, requires --out
+
+const FORMATS = ['dot', 'json'];
+
+function parseArguments(argv) {
+    const args = {
+        app: undefined,
+        all: false,
+        format: 'dot',
+        out: undefined,
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function () {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '--format') {
+            args.format = next();
+            if (!FORMATS.includes(args.format)) {
+                throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+            }
+        } else if (arg === '--out') {
+            args.out = next();
+        } else if (arg === '--all') {
+            args.all = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (!args.app) {
+            args.app = arg.replace(/\.yml$/, '');
+        } else {
+            throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+
+    if (!args.app === !args.all || (args.all && !args.out)) {
+        throw new Error('Usage: npm run graph -- <app> [--format dot|json] [--out <dir>]\n' +
+            '       npm run graph -- --all --out <dir> [--format dot|json]');
+    }
+
+    return args;
+}
+
+function graphOf(appFile, fragments, format) {
+    const appName = appFile.name;
+    const graph = createServiceGraph(resolveFragments(appName, yaml.parse(fs.readFileSync(appFile.filePath, 'utf-8')), fragments));
+    if (format === 'json') {
+        return JSON.stringify(Object.assign({ name: appName }, graph), null, 2) + '\n';
+    }
+    return toDot(appName, graph);
+}
+
+function printGraphs() {
+    return Promise.resolve()
+        .then(function () {
+            const args = parseArguments(process.argv.slice(2));
+
+            const sources = readSources();
+            const apps = collectApps(sources);
+            const appFiles = args.all ? apps : [findApp(apps, args.app)];
+            const fragments = readFragmentFiles(collectFiles(sources, 'fragments', false).map(f => f.filePath));
+
+            if (!args.out) {
+                process.stdout.write(graphOf(appFiles[0], fragments, args.format));
+                return;
+            }
+
+            appFiles.forEach(appFile => {
+                fs.outputFileSync(path.join(args.out, `${appFile.name}.${args.format}`), graphOf(appFile, fragments, args.format));
+            });
+            console.log(`Wrote ${appFiles.length} graph(s) to ${args.out}`);
+        });
+}
+
+Promise.resolve()
+    .then(function () {
+        return printGraphs();
+    })
+    .catch(function (err) {
+        console.error(err.message || err);
+        process.exit(127);
+    });
@@ -0,0 +1,121 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const fs = require('fs-extra');
+const { execFileSync } = require('child_process');
+const { diffApps, toMarkdown } = require('./lib/changelog');
+
+// Compares the apps of the new build with a previous dist, e.g. the one that is currently published,
+// and writes dist/v4/changes.json and dist/v4/changes.md
+//
+// npm run changelog -- --previous <dir>
+// npm run changelog -- --ref <git ref> [--ref-path <path>]
+//
+//   --previous <dir>    a previous dist directory, or a checkout of the published branch
+//   --ref <ref>         a git ref that has a previous dist, e.g. origin/gh-pages
+//   --ref-path <path>   where the dist is inside --ref, defaults to the root like on gh-pages
+//   --dist <dir>        the new dist, defaults to ./dist
+
+const pathOfDist = path.join(__dirname, '..', 'dist');
+
+function parseArguments(argv) {
+    const args = {
+        previous: undefined,
+        ref: undefined,
+        refPath: '',
+        dist: pathOfDist,
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function () {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '--previous') {
+            args.previous = next();
+        } else if (arg === '--ref') {
+            args.ref = next();
+        } else if (arg === '--ref-path') {
+            args.refPath = next().replace(/^\/+|\/+$/g, '');
+        } else if (arg === '--dist') {
+            args.dist = next();
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    if (!args.previous === !args.ref) {
+        throw new Error('Usage: npm run changelog -- --previous <dir> [--dist <dir>]\n' +
+            '       npm run changelog -- --ref <git ref> [--ref-path <path>] [--dist <dir>]');
+    }
+
+    return args;
+}
+
+/**
+ * @returns {[name]: parsed dist/v4/apps/<name>}
+ */
+function readAppsFromDirectory(pathOfVersion) {
+    const pathOfApps = path.join(pathOfVersion, 'apps');
+    const apps = {};
+    if (!fs.existsSync(pathOfApps)) {
+        console.log(`${pathOfApps} does not exist, every app is listed as new`);
+        return apps;
+    }
+    fs.readdirSync(pathOfApps).forEach(name => {
+        apps[name] = fs.readJsonSync(path.join(pathOfApps, name));
+    });
+    return apps;
+}
+
+function readAppsFromGitRef(ref, refPath) {
+    const pathOfApps = [refPath, 'v4', 'apps'].filter(p => !!p).join('/');
+    const git = args => execFileSync('git', args, { encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024 });
+    const apps = {};
+
+    const names = git(['ls-tree', '--name-only', `${ref}:${pathOfApps}`])
+        .split('\n')
+        .filter(name => !!name);
+    names.forEach(name => {
+        apps[name] = JSON.parse(git(['show', `${ref}:${pathOfApps}/${name}`]));
+    });
+    return apps;
+}
+
+function buildChangelog() {
+    return Promise.resolve()
+        .then(function () {
+            const args = parseArguments(process.argv.slice(2));
+            const pathOfVersion = path.join(args.dist, 'v4');
+            if (!fs.existsSync(path.join(pathOfVersion, 'apps'))) {
+                throw new Error(`Cannot find ${path.join(pathOfVersion, 'apps')}, run npm run build first`);
+            }
+
+            const previous = args.previous ? args.previous : `${args.ref}${args.refPath ? ':' + args.refPath : ''}`;
+            const previousApps = args.previous ?
+                readAppsFromDirectory(path.join(args.previous, 'v4')) :
+                readAppsFromGitRef(args.ref, args.refPath);
+            const currentApps = readAppsFromDirectory(pathOfVersion);
+
+            const changes = diffApps(previousApps, currentApps);
+
+            fs.outputJsonSync(path.join(pathOfVersion, 'changes.json'), Object.assign({ previous: previous }, changes), { spaces: 2 });
+            fs.outputFileSync(path.join(pathOfVersion, 'changes.md'), toMarkdown(changes, previous));
+
+            const summary = changes.summary;
+            console.log(`${summary.added} new, ${summary.removed} removed and ${summary.changed} changed app(s), ` +
+                `see ${path.join(pathOfVersion, 'changes.md')}`);
+        });
+}
+
+Promise.resolve()
+    .then(function () {
+        return buildChangelog();
+    })
+    .catch(function (err) {
+        console.error(err.message || err);
+        process.exit(127);
+    });
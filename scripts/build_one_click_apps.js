@@ -2,6 +2,7 @@
 const path = require('path');
 const yaml = require('yaml');
 const fs = require('fs-extra');
+const { convertV2toV4 } = require('./lib/conversion');
 
 // Next, for V4:
 // ============================================================================
@@ -66,53 +67,6 @@ function createAppList(appsList, pathOfApps) {
     };
 }
 
-function convertV2toV4(v2String) {
-    const parsed = JSON.parse(v2String);
-    if (`${parsed.captainVersion}` !== '2') {
-        throw new Error('CaptainVersion must be 2 for this conversion');
-    }
-
-    function moveProperty(propertyName) {
-        parsed.caproverOneClickApp[propertyName] = parsed[propertyName];
-        parsed[propertyName] = undefined;
-    }
-
-    parsed.services = parsed.dockerCompose.services;
-    parsed.dockerCompose = undefined;
-
-    parsed.captainVersion = 4;
-    parsed.caproverOneClickApp = {};
-
-    moveProperty('variables');
-    moveProperty('instructions');
-    moveProperty('displayName');
-    moveProperty('isOfficial');
-    moveProperty('description');
-    moveProperty('documentation');
-
-    Object.keys(parsed.services).forEach(serviceName => {
-        const service = parsed.services[serviceName];
-        if (service.containerHttpPort) {
-            service.caproverExtra = service.caproverExtra || {};
-            service.caproverExtra.containerHttpPort = service.containerHttpPort;
-        }
-        if (service.dockerfileLines) {
-            service.caproverExtra = service.caproverExtra || {};
-            service.caproverExtra.dockerfileLines = service.dockerfileLines;
-        }
-        if (service.notExposeAsWebApp) {
-            service.caproverExtra = service.caproverExtra || {};
-            service.caproverExtra.notExposeAsWebApp = service.notExposeAsWebApp;
-        }
-        service.containerHttpPort = undefined;
-        service.dockerfileLines = undefined;
-        service.notExposeAsWebApp = undefined;
-    });
-
-    return parsed;
-}
-
-
 function buildDist() {
     return Promise.resolve()
         .then(function () {
@@ -138,7 +92,7 @@ function buildDist() {
 
                 //v4
                 const contentString = fs.readFileSync(pathOfAppFileInSource);
-                fs.outputJsonSync(path.join(pathOfDistV4, `apps`, appFileName.split('.')[0]), convertV2toV4(contentString));
+                fs.outputJsonSync(path.join(pathOfDistV4, `apps`, appFileName.split('.')[0]), convertV2toV4(JSON.parse(contentString)).content);
             });
 
             fs.copySync(pathOfSourceDirectoryLogos, path.join(pathOfDistV2, `logos`));
@@ -1,19 +1,279 @@
-/*jshint esversion: 6 */
+/*jshint esversion: 8 */
 const path = require('path');
+const crypto = require('crypto');
 const yaml = require('yaml');
 const fs = require('fs-extra');
+const { convertV4toV2, convertV4toDist } = require('./lib/conversion');
+const { createSecurityNotes } = require('./lib/security');
+const { lifecycleOf } = require('./lib/lifecycle');
+const { requirementsOf } = require('./lib/requirements');
+const { readFragmentFiles, fragmentsUsedBy, resolveFragments } = require('./lib/fragments');
+const { V2_SOURCE, readSources, collectFiles, collectSourceFiles } = require('./lib/sources');
+const { readLogoPolicy, thumbnailPath, createThumbnails } = require('./lib/logos');
+const { createIndexPage, createAppPage } = require('./lib/catalog');
+const v4Schema = require('./schema/v4_app.schema.json');
 
 const pathOfPublic = path.join(__dirname, '..', `public`);
 
-const pathOfDist = path.join(__dirname, '..', `dist`);
+/**
+ * Set ONE_CLICK_APPS_DIST to build into another directory, e.g. in tests
+ */
+const pathOfDist = process.env.ONE_CLICK_APPS_DIST ? path.resolve(process.env.ONE_CLICK_APPS_DIST) : path.join(__dirname, '..', `dist`);
 
 const pathOfDistV2 = path.join(pathOfDist, 'v2');
 const pathOfDistV3 = path.join(pathOfDist, 'v3');
 const pathOfDistV4 = path.join(pathOfDist, 'v4');
 
-const pathOfSourceDirectory = path.join(pathOfPublic, 'v4');
-const pathOfSourceDirectoryApps = path.join(pathOfSourceDirectory, 'apps');
-const pathOfSourceDirectoryLogos = path.join(pathOfSourceDirectory, 'logos');
+/**
+ * The styles and the search of the catalog site, copied to the root of dist/
+ */
+const CATALOG_ASSETS = ['catalog.css', 'catalog.js'].map(f => path.join(__dirname, 'catalog', f));
+
+/**
+ * Records the content hash of every source app and logo from the previous build, and of what it wrote
+ * for them, so that only the changed ones are rewritten. See readManifest()
+ * It is kept next to dist/ in .build/, since dist/ is published as it is.
+ */
+const pathOfManifest = path.join(path.dirname(pathOfDist), '.build', 'build-manifest.json');
+
+/**
+ * Changes to these files change the output of every app
+ */
+const BUILDER_FILES = [
+    __filename,
+    path.join(__dirname, 'lib', 'conversion.js'),
+    path.join(__dirname, 'lib', 'fragments.js'),
+    path.join(__dirname, 'lib', 'lifecycle.js'),
+    path.join(__dirname, 'lib', 'logos.js'),
+    path.join(__dirname, 'lib', 'png.js'),
+    path.join(__dirname, 'lib', 'requirements.js'),
+    path.join(__dirname, 'lib', 'security.js'),
+    path.join(__dirname, 'lib', 'sources.js'),
+    path.join(__dirname, 'lib', 'variable_types.js'),
+    path.join(__dirname, 'schema', 'v4_app.schema.json'),
+];
+
+/**
+ * The vocabulary that validate_apps enforces for caproverOneClickApp.categories
+ */
+const CATEGORIES = v4Schema.definitions.category.enum;
+
+/**
+ * Fields of the list entries in dist/v2 and dist/v3. Old CapRover versions get exactly these,
+ * dist/v4/list has the metadata of createAppDetails() on top.
+ */
+const V3_LIST_FIELDS = ['name', 'displayName', 'description', 'isOfficial', 'logoUrl'];
+
+const CONCURRENCY = 16;
+
+function hashOf(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function jsonString(content) {
+    // Same output as fs.outputJsonSync
+    return JSON.stringify(content) + '\n';
+}
+
+/**
+ * Runs `fn` on every item, with at most `limit` of them in flight at any time.
+ * Resolves to the results in the same order as `items`
+ */
+function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    function worker() {
+        if (nextIndex >= items.length) {
+            return Promise.resolve();
+        }
+        const index = nextIndex++;
+        return Promise.resolve()
+            .then(() => fn(items[index], index))
+            .then(result => {
+                results[index] = result;
+                return worker();
+            });
+    }
+
+    const workers = [];
+    for (var i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+    return Promise.all(workers).then(() => results);
+}
+
+/**
+ * Writes the file unless it already has this exact content
+ */
+async function outputIfChanged(filePath, content) {
+    if (await fs.pathExists(filePath)) {
+        const existing = await fs.readFile(filePath);
+        if (existing.equals(Buffer.from(content))) {
+            return false;
+        }
+    }
+    await fs.outputFile(filePath, content);
+    return true;
+}
+
+/**
+ * The manifest of the previous build. It only saves work: an app or a logo is skipped when its source
+ * and the files it wrote are unchanged, see outputHashOf(). What dist/ has beyond that is found by
+ * looking at dist/ itself, see removeStaleOutputs(), so a dist/ without its manifest, e.g. from a CI
+ * cache, builds like a clean one.
+ */
+function readManifest(builderHash) {
+    const empty = {
+        builderHash: builderHash,
+        apps: {}, // appName -> { hash, outputHash, listEntry }, the list entry has the name of the source
+        logos: {}, // logoFileName -> { hash, outputHash, thumbnails }, the thumbnails relative to dist/v4/logos
+    };
+
+    if (!fs.existsSync(pathOfManifest)) {
+        return empty;
+    }
+
+    const manifest = fs.readJsonSync(pathOfManifest);
+    // The builder changed, every app has to be rebuilt
+    return manifest.builderHash === builderHash ? manifest : empty;
+}
+
+function appOutputPaths(appName) {
+    return {
+        v4: path.join(pathOfDistV4, `apps`, appName),
+        v3: path.join(pathOfDistV3, `apps`, appName),
+        v2: path.join(pathOfDistV2, `apps`, appName + '.json'),
+    };
+}
+
+function logoOutputPaths(logoFileName) {
+    return [pathOfDistV2, pathOfDistV3, pathOfDistV4].map(p => path.join(p, `logos`, logoFileName));
+}
+
+function thumbnailOutputPath(thumbnail) {
+    return path.join(pathOfDistV4, 'logos', thumbnail);
+}
+
+/**
+ * The hash of the contents of the files, undefined if one of them is missing
+ */
+async function outputHashOf(paths) {
+    const hash = crypto.createHash('sha256');
+    for (const filePath of paths) {
+        if (!(await fs.pathExists(filePath))) {
+            return undefined;
+        }
+        hash.update(await fs.readFile(filePath));
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Removes the files of the directory that are not in `keep`, subdirectories stay
+ *
+ * @returns the names of the removed files
+ */
+async function removeFilesExcept(directory, keep) {
+    if (!(await fs.pathExists(directory))) {
+        return [];
+    }
+    const removed = [];
+    for (const fileName of await fs.readdir(directory)) {
+        if (!keep[fileName] && (await fs.stat(path.join(directory, fileName))).isFile()) {
+            removed.push(fileName);
+        }
+    }
+    await Promise.all(removed.map(fileName => fs.remove(path.join(directory, fileName))));
+    return removed;
+}
+
+function toLookup(names) {
+    const lookup = {};
+    names.forEach(name => (lookup[name] = true));
+    return lookup;
+}
+
+/**
+ * Creates the entry of one app for the listing, see createAppList()
+ */
+function createAppDetails(appName, content, source) {
+    const captainVersion = `${content.captainVersion}`;
+
+    if (captainVersion !== '4') {
+        throw new Error('Unknown captain-version: ' + captainVersion);
+    }
+
+    const caproverOneClickApp = content.caproverOneClickApp;
+
+    let displayName = caproverOneClickApp.displayName;
+    if (!displayName) {
+        displayName = appName.substr(0, 1).toUpperCase() + appName.substring(1, appName.length);
+    }
+
+    const details = {
+        name: appName,
+        displayName: displayName,
+        description: caproverOneClickApp.description || '',
+        isOfficial: `${caproverOneClickApp.isOfficial}`.toLowerCase().trim() === 'true',
+        logoUrl: appName + '.png',
+        categories: caproverOneClickApp.categories || [],
+        tags: caproverOneClickApp.tags || [],
+        securityNotes: createSecurityNotes(content),
+    };
+
+    if (caproverOneClickApp.homepage) {
+        details.homepage = caproverOneClickApp.homepage;
+    }
+
+    const requirements = requirementsOf(content);
+    if (requirements) {
+        details.requirements = requirements;
+    }
+
+    const lifecycle = lifecycleOf(content);
+    if (lifecycle.deprecated) {
+        details.deprecated = true;
+        details.deprecationReason = lifecycle.deprecationReason;
+    }
+    if (lifecycle.replacedBy) {
+        details.replacedBy = lifecycle.replacedBy;
+    }
+    if (lifecycle.hidden) {
+        details.hidden = true;
+    }
+
+    details.source = source;
+
+    return details;
+}
+
+function toV3ListEntry(details) {
+    const entry = {};
+    V3_LIST_FIELDS.forEach(field => (entry[field] = details[field]));
+    return entry;
+}
+
+/**
+ * Apps merged from the v3 list of other builds have no v4 metadata
+ */
+function toV4ListEntry(details, thumbnails) {
+    const entry = {};
+    Object.keys(details).forEach(key => {
+        entry[key] = details[key];
+        if (key === 'logoUrl' && thumbnails.length > 0) {
+            entry.logoThumbnails = {};
+            thumbnails.forEach(thumbnail => (entry.logoThumbnails[thumbnail.size] = thumbnail.path));
+        }
+    });
+
+    return Object.assign(entry, {
+        categories: details.categories || [],
+        tags: details.tags || [],
+        securityNotes: details.securityNotes || [],
+        source: details.source || V2_SOURCE.name,
+    });
+}
 
 /**
  * Creates a listing of apps for GET http://oneclickapps.caprover.com/v4
@@ -24,164 +284,326 @@ const pathOfSourceDirectoryLogos = path.join(pathOfSourceDirectory, 'logos');
       "displayName": "Adminer",
       "description": "Adminer (formerly phpMinAdmin) is a full-featured database management tool written in PHP",
       "isOfficial": true,
-      "logoUrl": "adminer.png"
+      "logoUrl": "adminer.png",
+      "logoThumbnails": {               <- v4 only, square PNGs relative to the logos, if the logo could be decoded
+        "64": "64x64/adminer.png",
+        "128": "128x128/adminer.png"
+      },
+      "categories": ["database"],       <- v4 only
+      "tags": ["mysql", "postgresql"],  <- v4 only
+      "securityNotes": [],              <- v4 only, e.g. "Mounts the Docker socket, which gives it full control over the server"
+      "homepage": "https://www.adminer.org", <- v4 only, if set
+      "requirements": {"memoryMB": 512, "architectures": ["amd64", "arm64"]}, <- v4 only, if set, see lib/requirements.js
+      "deprecated": true,               <- v4 only, if set, with "deprecationReason" and "replacedBy" if set
+      "source": "official"              <- v4 only, the name of the source in scripts/sources.json
      },.....]}
+ * Hidden apps are left out of every list, their files in dist/v2, dist/v3 and dist/v4 stay so that they can
+ * still be installed by their name.
  */
-function createAppList(appsFileNames, pathOfApps) {
-    const apps = appsFileNames.filter(v => `${v}`.endsWith('.yml'));
+function createAppList(appDetails) {
+    const listed = appDetails.filter(isListed).map(toV3ListEntry);
+    return {
+        appList: listed.map(a => a.name),
+        appDetails: listed,
+    };
+}
+
+function isListed(details) {
+    return !details.hidden;
+}
 
-    if (apps.length !== appsFileNames.length) {
-        throw new Error('All files in v4 must end with .yml extension!');
+/**
+ * Builds a single app into dist/v2, dist/v3 and dist/v4, unless its source, the fragments
+ * it extends and its outputs are unchanged since the previous build.
+ *
+ * @param appFile see collectFiles() of sources.js
+ * @returns { name, hash, outputHash, listEntry, rebuilt }
+ */
+async function buildApp(appFile, previousManifest, fragments) {
+    const appFileName = appFile.fileName;
+    const appName = appFileName.replace(/\.yml$/, '');
+    const contentString = await fs.readFile(appFile.filePath, 'utf-8');
+    const source = yaml.parse(contentString);
+    const hash = hashOf([appFile.source, contentString]
+        .concat(fragmentsUsedBy(source).map(name => (fragments[name] ? fragments[name].contentString : '')))
+        .join('\n'));
+    const outputPaths = appOutputPaths(appName);
+    const previous = previousManifest.apps[appName];
+
+    if (previous && previous.hash === hash && previous.outputHash === (await outputHashOf(Object.values(outputPaths)))) {
+        return {
+            name: appName,
+            hash: hash,
+            outputHash: previous.outputHash,
+            listEntry: previous.listEntry,
+            rebuilt: false,
+        };
     }
 
-    const appDetails = [];
+    console.log('Building dist for ' + appFileName);
 
-    for (var i = 0; i < apps.length; i++) {
-        const contentString = fs.readFileSync(path.join(pathOfApps, apps[i]), 'utf-8');
-        const content = yaml.parse(contentString);
-        const captainVersion = `${content.captainVersion}`;
+    const contentParsed = resolveFragments(appName, source, fragments);
+    const v2 = convertV4toV2(contentParsed);
+    v2.lossyFields.forEach(field => console.log(`    ${field} is not supported by v2 and v3, old CapRover versions ignore it`));
 
-        apps[i] = apps[i].replace('.yml', '');
-        const caproverOneClickApp = content.caproverOneClickApp;
+    await outputIfChanged(outputPaths.v4, jsonString(convertV4toDist(contentParsed)));
+    await outputIfChanged(outputPaths.v3, jsonString(v2.content));
+    await outputIfChanged(outputPaths.v2, jsonString(v2.content));
 
-        if (captainVersion === '4') {
-            if (!caproverOneClickApp.displayName) {
-                caproverOneClickApp.displayName = apps[i];
-                caproverOneClickApp.displayName = caproverOneClickApp.displayName.substr(0, 1).toUpperCase() +
-                    caproverOneClickApp.displayName.substring(1, caproverOneClickApp.displayName.length);
-            }
-            if (!caproverOneClickApp.description) caproverOneClickApp.description = '';
+    return {
+        name: appName,
+        hash: hash,
+        outputHash: await outputHashOf(Object.values(outputPaths)),
+        listEntry: createAppDetails(appName, contentParsed, appFile.source),
+        rebuilt: true,
+    };
+}
 
-            appDetails[i] = {
-                name: apps[i],
-                displayName: caproverOneClickApp.displayName,
-                description: caproverOneClickApp.description,
-                isOfficial: `${caproverOneClickApp.isOfficial}`.toLowerCase().trim() === 'true',
-                logoUrl: apps[i] + '.png'
-            };
-        } else {
-            throw new Error('Unknown captain-version: ' + captainVersion);
-        }
+/**
+ * Copies a logo into dist/v2, dist/v3 and dist/v4 as it is, and writes its square thumbnails
+ * into dist/v4/logos/<size>x<size>/, unless the logo and the thumbnail sizes are unchanged.
+ * Logos that cannot be decoded get no thumbnails, validate_apps reports them.
+ *
+ * @returns { hash, outputHash, thumbnails: [{size, path}] }, the paths relative to dist/v4/logos
+ */
+async function buildLogo(logoFile, previousManifest, thumbnailSizes) {
+    const logoFileName = logoFile.fileName;
+    const content = await fs.readFile(logoFile.filePath);
+    const hash = hashOf([content.toString('base64'), thumbnailSizes.join(',')].join('\n'));
+    const outputPaths = logoOutputPaths(logoFileName);
+    const previous = previousManifest.logos[logoFileName];
+
+    if (previous && previous.hash === hash &&
+        previous.outputHash === (await outputHashOf(outputPaths.concat(previous.thumbnails.map(t => thumbnailOutputPath(t.path)))))) {
+        return previous;
+    }
 
+    await Promise.all(outputPaths.map(p => outputIfChanged(p, content)));
+
+    let thumbnails = [];
+    try {
+        thumbnails = createThumbnails(content, thumbnailSizes).map(thumbnail => ({
+            size: thumbnail.size,
+            path: thumbnailPath(logoFileName, thumbnail.size),
+            content: thumbnail.content,
+        }));
+    } catch (err) {
+        console.log(`No thumbnails for ${logoFileName}, ${err.message}`);
     }
+    await Promise.all(thumbnails.map(t => outputIfChanged(thumbnailOutputPath(t.path), t.content)));
 
     return {
-        appList: apps,
-        appDetails: appDetails
+        hash: hash,
+        outputHash: await outputHashOf(outputPaths.concat(thumbnails.map(t => thumbnailOutputPath(t.path)))),
+        thumbnails: thumbnails.map(t => ({ size: t.size, path: t.path })),
     };
 }
 
-function convertV4toV2(v4String) {
-    const parsed = JSON.parse(v4String);
-    if (`${parsed.captainVersion}` !== '4') {
-        throw new Error('CaptainVersion must be 4 for this conversion');
+/**
+ * The v3 list may contain apps built by build_one_click_apps.js from public/v2 sources.
+ * These are merged into the new list, after the apps of the sources in scripts/sources.json.
+ * Other entries are not, they are left from previous builds, e.g. of apps that have been deleted.
+ * collectSourceFiles() has already failed on apps of public/v2 that clash with those of a source,
+ * a name that is in both here belongs to a source with "overrides", which replaces the v2 app.
+ */
+function mergeWithExistingList(appDetails, v2AppNames) {
+    let merged = appDetails;
+
+    if (fs.existsSync(path.join(pathOfDistV3, 'list'))) {
+        const v3ListExisting = fs.readFileSync(path.join(pathOfDistV3, 'list'), 'utf-8');
+        if (v3ListExisting && JSON.parse(v3ListExisting).oneClickApps) {
+            const v2Apps = toLookup(v2AppNames);
+            const fromOtherBuilds = JSON.parse(v3ListExisting).oneClickApps.filter(a => v2Apps[a.name]);
+            merged = [...appDetails, ...fromOtherBuilds];
+        }
     }
 
-    function moveProperty(propertyName) {
-        parsed[propertyName] = parsed.caproverOneClickApp[propertyName];
-    }
+    const names = {};
+    const list = [];
+    merged.forEach(a => {
+        if (!names[a.name]) {
+            list.push(a);
+            names[a.name] = true;
+        }
+    });
+
+    // Sorted like the file names of the sources, e.g. "chatwoot-botpress-bridge.yml" before "chatwoot.yml",
+    // so that incremental and clean builds produce the same list
+    return list.sort(function (a, b) {
+        const fileA = `${a.name}.yml`;
+        const fileB = `${b.name}.yml`;
+        return fileA < fileB ? -1 : fileA > fileB ? 1 : 0;
+    });
+}
 
-    parsed.dockerCompose = {
-        services: parsed.services
+/**
+ * Removes what a clean build would not write to dist/v2, dist/v3 and dist/v4: the apps and logos that
+ * have been deleted from the sources, and thumbnails of deleted logos or of sizes that were removed from
+ * scripts/logo_policy.json. The apps and logos of public/v2 belong to build_one_click_apps.js and stay.
+ *
+ * @returns the names of the removed apps
+ */
+async function removeStaleOutputs(appNames, logoFileNames, thumbnailPaths) {
+    const v2AppFileNames = collectFiles([V2_SOURCE], 'apps', false).map(f => f.fileName);
+    const v2LogoFileNames = collectFiles([V2_SOURCE], 'logos', false).map(f => f.fileName);
+
+    // build_one_click_apps.js writes app.json as dist/v2/apps/app.json, dist/v3/apps/app and dist/v4/apps/app
+    const removedApps = {};
+    const appsOf = {
+        v2: appNames.map(name => `${name}.json`).concat(v2AppFileNames),
+        v3: appNames.concat(v2AppFileNames.map(fileName => fileName.split('.')[0])),
+        v4: appNames.concat(v2AppFileNames.map(fileName => fileName.split('.')[0])),
     };
-    parsed.services = undefined;
+    for (const version of Object.keys(appsOf)) {
+        const removed = await removeFilesExcept(path.join(pathOfDist, version, 'apps'), toLookup(appsOf[version]));
+        removed.forEach(fileName => (removedApps[fileName.replace(/\.json$/, '')] = true));
+    }
 
-    parsed.captainVersion = 2;
+    const logos = toLookup(logoFileNames.concat(v2LogoFileNames));
+    for (const pathOfDistVersion of [pathOfDistV2, pathOfDistV3, pathOfDistV4]) {
+        await removeFilesExcept(path.join(pathOfDistVersion, 'logos'), logos);
+    }
 
+    const pathOfLogos = path.join(pathOfDistV4, 'logos');
+    const thumbnails = toLookup(thumbnailPaths);
+    const thumbnailDirectories = (await fs.pathExists(pathOfLogos)) ? await fs.readdir(pathOfLogos) : [];
+    for (const directory of thumbnailDirectories.filter(d => /^\d+x\d+$/.test(d))) {
+        const pathOfDirectory = path.join(pathOfLogos, directory);
+        const keep = {};
+        Object.keys(thumbnails)
+            .filter(t => t.startsWith(`${directory}/`))
+            .forEach(t => (keep[t.substring(directory.length + 1)] = true));
+        await removeFilesExcept(pathOfDirectory, keep);
+        if ((await fs.readdir(pathOfDirectory)).length === 0) {
+            await fs.remove(pathOfDirectory);
+        }
+    }
 
-    moveProperty('variables');
-    moveProperty('instructions');
-    moveProperty('displayName');
-    moveProperty('isOfficial');
-    moveProperty('description');
-    moveProperty('documentation');
+    return Object.keys(removedApps).sort();
+}
 
-    Object.keys(parsed.dockerCompose.services).forEach(serviceName => {
-        const service = parsed.dockerCompose.services[serviceName];
+/**
+ * dist/v4/categories/list has every category with its number of apps:
+ *   { "categories": [ { "name": "database", "appCount": 12 }, ... ] }
+ * and dist/v4/categories/<category> has the entries of dist/v4/list in that category:
+ *   { "oneClickApps": [ ... ] }
+ */
+async function buildCategoryIndexes(v4ListEntries) {
+    const pathOfCategories = path.join(pathOfDistV4, 'categories');
 
-        if (!service.caproverExtra) {
-            return;
-        }
+    const index = {
+        categories: [],
+    };
 
-        if (service.caproverExtra.containerHttpPort) {
-            service.containerHttpPort = service.caproverExtra.containerHttpPort;
-        }
-        if (service.caproverExtra.dockerfileLines) {
-            service.dockerfileLines = service.caproverExtra.dockerfileLines;
-        }
-        if (service.caproverExtra.notExposeAsWebApp) {
-            service.notExposeAsWebApp = service.caproverExtra.notExposeAsWebApp;
-        }
+    for (const category of CATEGORIES) {
+        const apps = v4ListEntries.filter(entry => entry.categories.includes(category));
+        index.categories.push({
+            name: category,
+            appCount: apps.length,
+        });
+        await outputIfChanged(path.join(pathOfCategories, category), jsonString({ oneClickApps: apps }));
+    }
 
-        service.caproverExtra = undefined;
-    });
+    await outputIfChanged(path.join(pathOfCategories, 'list'), jsonString(index));
 
-    parsed.caproverOneClickApp = undefined;
-    return parsed;
+    // Categories that were removed from the vocabulary
+    const existing = await fs.readdir(pathOfCategories);
+    await Promise.all(existing
+        .filter(fileName => fileName !== 'list' && !CATEGORIES.includes(fileName))
+        .map(fileName => fs.remove(path.join(pathOfCategories, fileName))));
 }
 
+/**
+ * The static catalog site, from the same entries as dist/v4/list: dist/index.html with the search,
+ * and dist/apps/<name>.html with the details of every app. See lib/catalog.js
+ */
+async function buildCatalog(v4ListEntries) {
+    const pathOfPages = path.join(pathOfDist, 'apps');
 
-function buildDist() {
-    return fs.readdir(pathOfSourceDirectoryApps)
-        .then(function (appsFileNames) { // [ app1.yml app2.yml .... ]
+    await outputIfChanged(path.join(pathOfDist, 'index.html'), createIndexPage(v4ListEntries));
+    for (const asset of CATALOG_ASSETS) {
+        await outputIfChanged(path.join(pathOfDist, path.basename(asset)), await fs.readFile(asset));
+    }
 
-            appsFileNames.forEach(appFileName => {
+    const listedAppNames = v4ListEntries.map(entry => entry.name);
+    for (const entry of v4ListEntries) {
+        // Apps from other builds only have their list entry
+        const pathOfApp = path.join(pathOfDistV4, 'apps', entry.name);
+        const content = (await fs.pathExists(pathOfApp)) ? await fs.readJson(pathOfApp) : undefined;
+        await outputIfChanged(path.join(pathOfPages, `${entry.name}.html`), createAppPage(entry, content, listedAppNames));
+    }
 
-                console.log('Building dist for ' + appFileName);
+    // Pages of deleted apps
+    const pages = v4ListEntries.map(entry => `${entry.name}.html`);
+    const existing = await fs.readdir(pathOfPages);
+    await Promise.all(existing
+        .filter(fileName => !pages.includes(fileName))
+        .map(fileName => fs.remove(path.join(pathOfPages, fileName))));
+}
 
-                const pathOfAppFileInSource = path.join(pathOfSourceDirectoryApps, appFileName);
-                const contentParsed = yaml.parse(fs.readFileSync(pathOfAppFileInSource, 'utf-8'));
+async function buildDist() {
+    const builderHash = hashOf(BUILDER_FILES.map(f => fs.readFileSync(f, 'utf-8')).join('\n'));
+    const previousManifest = readManifest(builderHash);
+    const logoPolicy = readLogoPolicy();
 
-                //v4
-                fs.outputJsonSync(path.join(pathOfDistV4, `apps`, appFileName.split('.')[0]), contentParsed);
+    const sources = readSources();
+    const appFiles = collectSourceFiles(sources, 'apps', true); // [ app1.yml app2.yml .... ] of all sources
 
-                //v3
-                fs.outputJsonSync(path.join(pathOfDistV3, `apps`, appFileName.split('.')[0]), convertV4toV2(JSON.stringify(contentParsed)));
+    const notYaml = appFiles.find(f => !`${f.fileName}`.endsWith('.yml'));
+    if (notYaml) {
+        throw new Error(`All files in v4 must end with .yml extension! Found ${notYaml.filePath}`);
+    }
 
-                //v2
-                fs.outputJsonSync(path.join(pathOfDistV2, `apps`, appFileName.split('.')[0] + '.json'), convertV4toV2(JSON.stringify(contentParsed)));
-            });
+    const logoFiles = collectSourceFiles(sources, 'logos', true);
+    appFiles.concat(logoFiles)
+        .filter(f => f.overridden.length > 0)
+        .forEach(f => console.log(`${f.fileName} of source ${f.source} replaces the one of ${f.overridden.join(', ')}`));
+
+    const fragments = readFragmentFiles(collectFiles(sources, 'fragments', false).map(f => f.filePath));
+    const apps = await mapWithConcurrency(appFiles, CONCURRENCY, appFile => buildApp(appFile, previousManifest, fragments));
+
+    const logoFileNames = logoFiles.map(f => f.fileName);
+    const logos = await mapWithConcurrency(logoFiles, CONCURRENCY,
+        logoFile => buildLogo(logoFile, previousManifest, logoPolicy.thumbnailSizes));
+    const thumbnailsByLogo = {};
+    logoFileNames.forEach((logo, i) => (thumbnailsByLogo[logo] = logos[i].thumbnails));
+
+    const thumbnailPaths = logos.reduce((all, logo) => all.concat(logo.thumbnails.map(t => t.path)), []);
+    const deletedApps = await removeStaleOutputs(apps.map(app => app.name), logoFileNames, thumbnailPaths);
+    deletedApps.forEach(appName => console.log('Removed dist for ' + appName));
+
+    const v2AppNames = collectFiles([V2_SOURCE], 'apps', false).map(f => f.fileName.split('.')[0]);
+    const appDetails = mergeWithExistingList(apps.map(app => app.listEntry), v2AppNames);
+    const allAppsList = createAppList(appDetails);
+    const v3List = {
+        oneClickApps: allAppsList.appDetails,
+    };
+    const v4List = {
+        oneClickApps: appDetails
+            .filter(isListed)
+            .map(details => toV4ListEntry(details, thumbnailsByLogo[details.logoUrl] || [])),
+    };
 
-            fs.copySync(pathOfSourceDirectoryLogos, path.join(pathOfDistV2, `logos`));
-            fs.copySync(pathOfSourceDirectoryLogos, path.join(pathOfDistV3, `logos`));
-            fs.copySync(pathOfSourceDirectoryLogos, path.join(pathOfDistV4, `logos`));
-
-            const allAppsList = createAppList(appsFileNames, pathOfSourceDirectoryApps);
-            const v3List = {
-                oneClickApps: allAppsList.appDetails
-            };
-
-            // Remove once we are fully on V4
-            if (fs.existsSync(path.join(pathOfDistV3, 'list'))) {
-                const v3ListExisting = fs.readFileSync(path.join(pathOfDistV3, 'list'), 'utf-8');
-                if (v3ListExisting && JSON.parse(v3ListExisting).oneClickApps) {
-                    v3List.oneClickApps = [...v3List.oneClickApps, ...JSON.parse(v3ListExisting).oneClickApps];
-                    const names = {};
-                    const list = [];
-                    v3List.oneClickApps.forEach(a => {
-                        if (!names[a.name]) {
-                            list.push(a);
-                            names[a.name] = true;
-                        }
-                    });
-                    v3List.oneClickApps = list.sort(function (a, b) {
-                        return `${a.name}`.localeCompare(b.name);
-                    });
-
-                    allAppsList.appList = list.map(l => l.name);
-                    allAppsList.appDetails = v3List.oneClickApps;
-                }
-            }
-
-
-            fs.outputJsonSync(path.join(pathOfDistV2, 'autoGeneratedList.json'), allAppsList);
-            fs.outputJsonSync(path.join(pathOfDistV2, 'list'), v3List);
-            fs.outputJsonSync(path.join(pathOfDistV3, 'list'), v3List);
-            fs.outputJsonSync(path.join(pathOfDistV4, 'list'), v3List);
-        })
-        .then(function () {
-            return fs.copySync(path.join(pathOfPublic, 'CNAME'), path.join(pathOfDist, 'CNAME'));
-        });
+    await outputIfChanged(path.join(pathOfDistV2, 'autoGeneratedList.json'), jsonString(allAppsList));
+    await outputIfChanged(path.join(pathOfDistV2, 'list'), jsonString(v3List));
+    await outputIfChanged(path.join(pathOfDistV3, 'list'), jsonString(v3List));
+    await outputIfChanged(path.join(pathOfDistV4, 'list'), jsonString(v4List));
+    await buildCategoryIndexes(v4List.oneClickApps);
+    await buildCatalog(v4List.oneClickApps);
+
+    const manifest = {
+        builderHash: builderHash,
+        apps: {},
+        logos: {},
+    };
+    apps.forEach(app => (manifest.apps[app.name] = { hash: app.hash, outputHash: app.outputHash, listEntry: app.listEntry }));
+    logoFileNames.forEach((logo, i) => (manifest.logos[logo] = logos[i]));
+    await outputIfChanged(pathOfManifest, JSON.stringify(manifest, null, 2) + '\n');
+
+    await fs.copy(path.join(pathOfPublic, 'CNAME'), path.join(pathOfDist, 'CNAME'));
+
+    const rebuiltCount = apps.filter(app => app.rebuilt).length;
+    console.log(`Built ${rebuiltCount} of ${apps.length} apps, removed ${deletedApps.length}.`);
 }
 
 
@@ -192,4 +614,4 @@ Promise.resolve()
     .catch(function (err) {
         console.error(err);
         process.exit(127);
-    });
\ No newline at end of file
+    });
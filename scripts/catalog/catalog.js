@@ -0,0 +1,53 @@
+/*jshint esversion: 6, browser: true */
+// Search and filter of dist/index.html, see scripts/lib/catalog.js. Without JavaScript, every app is listed.
+(function () {
+    const search = document.getElementById('search');
+    const official = document.getElementById('official');
+    const count = document.getElementById('count');
+    const apps = Array.prototype.slice.call(document.querySelectorAll('.apps .app'));
+
+    function readQuery() {
+        const params = new URLSearchParams(window.location.search);
+        search.value = params.get('q') || '';
+        official.checked = params.get('official') === 'true';
+    }
+
+    function writeQuery() {
+        const params = new URLSearchParams();
+        if (search.value.trim()) {
+            params.set('q', search.value.trim());
+        }
+        if (official.checked) {
+            params.set('official', 'true');
+        }
+        const query = params.toString();
+        window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+    }
+
+    function update() {
+        const words = search.value.toLowerCase().split(/\s+/).filter(word => !!word);
+        let visible = 0;
+        apps.forEach(app => {
+            const text = app.getAttribute('data-search');
+            const matches = words.every(word => text.includes(word)) &&
+                (!official.checked || app.getAttribute('data-official') === 'true');
+            app.hidden = !matches;
+            if (matches) {
+                visible++;
+            }
+        });
+        count.textContent = visible === apps.length ? `${apps.length} apps` : `${visible} of ${apps.length} apps`;
+    }
+
+    search.addEventListener('input', function () {
+        update();
+        writeQuery();
+    });
+    official.addEventListener('change', function () {
+        update();
+        writeQuery();
+    });
+
+    readQuery();
+    update();
+})();
@@ -0,0 +1,221 @@
+/*jshint esversion: 6 */
+const yaml = require('yaml');
+const fs = require('fs-extra');
+const { findVersionVariables, findUpdates, updateDefaultValue } = require('./lib/image_updates');
+const { repositoryKey, readFixture, createTagSource } = require('./lib/registry');
+const { readSources, collectApps, findApp } = require('./lib/sources');
+
+// Looks up newer versions for the variables that are the tag of an image, e.g. $$cap_wp_version of
+// `wordpress:$$cap_wp_version`, in the Docker Registry v2 API of each image. Checks the apps of every
+// source in scripts/sources.json.
+//
+// npm run check_image_updates -- [options] [app names]
+//
+//   --registry <url>   asks this registry for every image instead, e.g. a local mirror at http://localhost:5000
+//   --fixture <file>   reads the tags from a recorded fixture instead of a registry, nothing goes over the network
+//   --record <file>    writes the tags that were fetched into a fixture
+//   --write            changes the defaultValue to the newest version with the same major version
+//   --allow-major      with --write, to the newest version at all
+//   --format <format>  text (default) or json
+//
+// Only tags written like the current default value count: 16.2-alpine may become 16.4-alpine, but not 17rc1.
+// Exits with 127 if the check itself fails, tags that cannot be fetched are only reported.
+
+const FORMATS = ['text', 'json'];
+
+function parseArguments(argv) {
+    const args = {
+        registryUrl: undefined,
+        fixture: undefined,
+        record: undefined,
+        write: false,
+        allowMajor: false,
+        format: 'text',
+        appNames: [],
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function () {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '--registry') {
+            args.registryUrl = next();
+        } else if (arg === '--fixture') {
+            args.fixture = next();
+        } else if (arg === '--record') {
+            args.record = next();
+        } else if (arg === '--write') {
+            args.write = true;
+        } else if (arg === '--allow-major') {
+            args.allowMajor = true;
+        } else if (arg === '--format') {
+            args.format = next();
+            if (!FORMATS.includes(args.format)) {
+                throw new Error(`Unknown format ${args.format}, use one of ${FORMATS.join(', ')}`);
+            }
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}. Usage: npm run check_image_updates -- [--registry <url>] ` +
+                '[--fixture <file>] [--record <file>] [--write [--allow-major]] [--format text|json] [app names]');
+        } else {
+            args.appNames.push(arg);
+        }
+    }
+
+    if (args.allowMajor && !args.write) {
+        throw new Error('--allow-major only makes sense with --write');
+    }
+    if (args.fixture && (args.registryUrl || args.record)) {
+        throw new Error('--fixture reads no registry, it cannot be combined with --registry or --record');
+    }
+
+    return args;
+}
+
+/**
+ * The apps of the sources in scripts/sources.json, all of them if no names are given
+ */
+function appFilesOf(appNames) {
+    const apps = collectApps(readSources());
+    return appNames.length > 0 ? appNames.map(appName => findApp(apps, appName)) : apps;
+}
+
+/**
+ * @returns Promise of [{ app, variable, current, compatible, latest, repositories, error }]
+ */
+function checkApp(appFile, tagSource) {
+    const contentString = fs.readFileSync(appFile.filePath, 'utf-8');
+    const variables = findVersionVariables(yaml.parse(contentString));
+
+    return variables.reduce(function (promise, variable) {
+        return promise.then(function (results) {
+            const result = {
+                app: appFile.name,
+                variable: variable.id,
+                current: variable.defaultValue,
+                compatible: undefined,
+                latest: undefined,
+                repositories: variable.images.map(repositoryKey).filter((key, index, keys) => keys.indexOf(key) === index),
+                error: undefined,
+            };
+            const tagsByRepository = {};
+
+            return Promise.all(variable.images.map(image => tagSource.tagsOf(image)
+                .then(tags => (tagsByRepository[repositoryKey(image)] = tags))))
+                .then(function () {
+                    const updates = findUpdates(variable, image => tagsByRepository[repositoryKey(image)]);
+                    result.compatible = updates.compatible;
+                    result.latest = updates.latest;
+                }, function (err) {
+                    result.error = err.message || `${err}`;
+                })
+                .then(() => results.concat([result]));
+        });
+    }, Promise.resolve([]));
+}
+
+function writeUpdates(appFile, results, allowMajor) {
+    let contentString = fs.readFileSync(appFile.filePath, 'utf-8');
+    const written = [];
+    results.forEach(result => {
+        const newValue = allowMajor ? result.latest : result.compatible;
+        if (!newValue) {
+            return;
+        }
+        contentString = updateDefaultValue(contentString, result.variable, newValue);
+        written.push(Object.assign({}, result, { written: newValue }));
+    });
+    if (written.length > 0) {
+        fs.outputFileSync(appFile.filePath, contentString);
+    }
+    return written;
+}
+
+function formatText(results, written) {
+    const lines = [];
+    results.forEach(result => {
+        const location = `${result.app}  ${result.variable}  ${result.current}`;
+        if (result.error) {
+            lines.push(`${location}  cannot check: ${result.error}`);
+            return;
+        }
+        const updates = [];
+        if (result.compatible) {
+            updates.push(`${result.compatible} (same major version)`);
+        }
+        if (result.latest && result.latest !== result.compatible) {
+            updates.push(`${result.latest} (new major version)`);
+        }
+        if (updates.length > 0) {
+            lines.push(`${location} -> ${updates.join(', ')}  [${result.repositories.join(', ')}]`);
+        }
+    });
+    written.forEach(result => lines.push(`Updated ${result.app} ${result.variable} from ${result.current} to ${result.written}`));
+
+    const outdated = results.filter(result => result.latest).length;
+    const failed = results.filter(result => result.error).length;
+    if (lines.length > 0) {
+        lines.push('');
+    }
+    lines.push(`Checked ${results.length} version variable(s) of ${results.map(r => r.app).filter((a, i, all) => all.indexOf(a) === i).length} ` +
+        `app(s): ${outdated} with newer versions, ${failed} that could not be checked.`);
+    return lines.join('\n') + '\n';
+}
+
+function checkImageUpdates() {
+    return Promise.resolve()
+        .then(function () {
+            const args = parseArguments(process.argv.slice(2));
+            const appFiles = appFilesOf(args.appNames);
+            const tagSource = createTagSource({
+                registryUrl: args.registryUrl,
+                fixture: args.fixture ? readFixture(args.fixture) : undefined,
+            });
+            let results = [];
+            let written = [];
+
+            return appFiles
+                .reduce(function (promise, appFile) {
+                    return promise
+                        .then(function () {
+                            return checkApp(appFile, tagSource);
+                        })
+                        .then(function (appResults) {
+                            results = results.concat(appResults);
+                            if (args.write) {
+                                written = written.concat(writeUpdates(appFile, appResults, args.allowMajor));
+                            }
+                        });
+                }, Promise.resolve())
+                .then(function () {
+                    if (args.record) {
+                        return tagSource.recorded().then(fixture => {
+                            fs.outputJsonSync(args.record, fixture, { spaces: 4 });
+                        });
+                    }
+                })
+                .then(function () {
+                    if (args.format === 'json') {
+                        process.stdout.write(JSON.stringify({ results: results, written: written }, null, 2) + '\n');
+                    } else {
+                        process.stdout.write(formatText(results, written));
+                        if (args.record) {
+                            console.log(`Recorded the tags of the images in ${args.record}`);
+                        }
+                    }
+                });
+        });
+}
+
+Promise.resolve()
+    .then(function () {
+        return checkImageUpdates();
+    })
+    .catch(function (err) {
+        console.error(err.message || err);
+        process.exit(127);
+    });
@@ -0,0 +1,87 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const fs = require('fs-extra');
+const { formatTemplateFile } = require('./lib/canonical_format');
+
+// Brings the v4 templates into their canonical form: the keys in a fixed order, validRegex and versions
+// quoted and instructions as literal blocks, see scripts/lib/canonical_format.js. Runs prettier on the result.
+//
+// npm run formatter-write                 formats every template of public/v4/apps
+// node ./scripts/format_apps.js [files]   formats only the given templates
+//
+//   --check   writes nothing, lists the templates that are not in canonical form and exits with 1 if there are any
+//
+// Exits with 127 if a template cannot be formatted, e.g. because it is not valid YAML.
+
+const pathOfSourceDirectoryApps = path.join(__dirname, '..', 'public', 'v4', 'apps');
+
+function parseArguments(argv) {
+    const args = {
+        check: false,
+        files: [],
+    };
+
+    argv.forEach(arg => {
+        if (arg === '--check') {
+            args.check = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}. Usage: node ./scripts/format_apps.js [--check] [files]`);
+        } else {
+            args.files.push(path.resolve(arg));
+        }
+    });
+
+    return args;
+}
+
+function formatApps() {
+    return Promise.resolve()
+        .then(function () {
+            const args = parseArguments(process.argv.slice(2));
+            const files = args.files.length > 0 ?
+                args.files :
+                fs.readdirSync(pathOfSourceDirectoryApps)
+                    .filter(fileName => fileName.endsWith('.yml'))
+                    .map(fileName => path.join(pathOfSourceDirectoryApps, fileName));
+
+            const failed = [];
+            const changed = files.filter(filePath => {
+                const contentString = fs.readFileSync(filePath, 'utf-8');
+                let formatted;
+                try {
+                    formatted = formatTemplateFile(contentString, filePath);
+                } catch (err) {
+                    failed.push(`${path.relative(process.cwd(), filePath)}: ${err.message}`);
+                    return false;
+                }
+                if (formatted === contentString) {
+                    return false;
+                }
+                if (!args.check) {
+                    fs.outputFileSync(filePath, formatted);
+                }
+                return true;
+            });
+
+            changed.forEach(filePath => console.log(`${args.check ? '[warn]' : 'Formatted'} ${path.relative(process.cwd(), filePath)}`));
+            if (args.check && changed.length > 0) {
+                console.log(`[warn] ${changed.length} template(s) are not in canonical form. Run npm run formatter-write to fix them.`);
+                process.exitCode = 1;
+            } else if (args.check) {
+                console.log('All templates are in canonical form!');
+            }
+
+            if (failed.length > 0) {
+                throw new Error(`Cannot format ${failed.length} template(s):\n${failed.join('\n')}`);
+            }
+        });
+}
+
+Promise.resolve()
+    .then(function () {
+        return formatApps();
+    })
+    .catch(function (err) {
+        console.error(err.message || err);
+        process.exit(127);
+    });
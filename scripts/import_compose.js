@@ -0,0 +1,100 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const yaml = require('yaml');
+const fs = require('fs-extra');
+const { convertComposeToV4, scaffoldToYaml } = require('./lib/compose_import');
+const { createSolidPng } = require('./lib/png');
+
+// Scaffolds a new one-click app from an existing docker-compose file.
+//
+// npm run import_compose -- <path/to/docker-compose.yml> <app-name> [options]
+//
+//   --tag <service>=<version>  the version of the image of a service that has no version tag, e.g. --tag web=5.80.0
+//   --force                    overwrites an existing app
+//
+// Writes public/v4/apps/<app-name>.yml and a placeholder public/v4/logos/<app-name>.png
+// Review the warnings and the TODOs in the result before opening a pull request.
+
+const USAGE = 'Usage: npm run import_compose -- <path/to/docker-compose.yml> <app-name> [--tag <service>=<version>] [--force]';
+
+const pathOfSourceDirectory = path.join(__dirname, '..', 'public', 'v4');
+
+const PLACEHOLDER_LOGO_SIZE = 256;
+const PLACEHOLDER_LOGO_COLOR = [0x1f, 0x8c, 0xe6];
+
+function parseArguments(argv) {
+    const args = {
+        paths: [],
+        tags: {},
+        force: false,
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--force') {
+            args.force = true;
+        } else if (arg === '--tag') {
+            const match = `${argv[++i] || ''}`.match(/^([^=]+)=(.+)$/);
+            if (!match) {
+                throw new Error(`--tag needs <service>=<version>\n${USAGE}`);
+            }
+            args.tags[match[1]] = match[2];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}\n${USAGE}`);
+        } else {
+            args.paths.push(arg);
+        }
+    }
+
+    if (args.paths.length !== 2) {
+        throw new Error(USAGE);
+    }
+    return args;
+}
+
+function importCompose() {
+    return Promise.resolve()
+        .then(function () {
+            const args = parseArguments(process.argv.slice(2));
+            const pathOfCompose = args.paths[0];
+            const appName = args.paths[1];
+
+            if (!/^[a-z0-9][a-z0-9-]*$/.test(appName)) {
+                throw new Error(`App name must only contain lowercase letters, digits and dashes: ${appName}`);
+            }
+
+            const pathOfApp = path.join(pathOfSourceDirectory, 'apps', `${appName}.yml`);
+            const pathOfLogo = path.join(pathOfSourceDirectory, 'logos', `${appName}.png`);
+
+            if (fs.existsSync(pathOfApp) && !args.force) {
+                throw new Error(`${pathOfApp} already exists, use --force to overwrite it`);
+            }
+
+            const compose = yaml.parse(fs.readFileSync(pathOfCompose, 'utf-8'));
+            const result = convertComposeToV4(compose, {
+                name: appName,
+                source: path.basename(pathOfCompose),
+                tags: args.tags,
+            });
+
+            fs.outputFileSync(pathOfApp, scaffoldToYaml(result.content, pathOfApp));
+            console.log(`Created ${pathOfApp}`);
+
+            if (!fs.existsSync(pathOfLogo)) {
+                fs.outputFileSync(pathOfLogo, createSolidPng(PLACEHOLDER_LOGO_SIZE, PLACEHOLDER_LOGO_SIZE, PLACEHOLDER_LOGO_COLOR));
+                console.log(`Created placeholder logo ${pathOfLogo}, replace it with the real logo`);
+            }
+
+            result.warnings.forEach(w => console.warn(`WARNING: ${w}`));
+            console.log('Now check the result, fill in the TODOs if there are any, and run: npm run validate_apps');
+        });
+}
+
+Promise.resolve()
+    .then(function () {
+        return importCompose();
+    })
+    .catch(function (err) {
+        console.error(err.message || err);
+        process.exit(127);
+    });
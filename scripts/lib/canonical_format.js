@@ -0,0 +1,351 @@
+/*jshint esversion: 6 */
+const yaml = require('yaml');
+const prettier = require('prettier');
+const { formatPath } = require('./yaml_location');
+const {
+    isMap,
+    isScalar,
+    pairOf,
+    valueOf,
+    quote,
+    parse,
+    lineStarts,
+    lineOf,
+    indentationOf,
+    isCommentLine,
+    isBlankLine,
+    sourceRange,
+    applyEdits,
+} = require('./yaml_edit');
+
+/**
+ * The canonical form of a v4 template, on top of the whitespace that prettier normalizes:
+ *   - the keys of the template, of its services, of caproverOneClickApp and of its variables in a fixed order
+ *   - validRegex, the defaultValue of version variables and the compose `version` always quoted
+ *   - instructions as literal blocks (`|-`), which show the line breaks that CapRover displays
+ *
+ * The template is edited as text, so comments, blank lines and the style of every other value stay
+ * as they are. Keys that are not listed keep their relative order after the listed ones. Apart from
+ * the quoted versions, which keep the digits as they are written, the values never change.
+ */
+const KEY_ORDERS = {
+    template: ['captainVersion', 'version', 'services', 'volumes', 'networks', 'caproverOneClickApp'],
+    service: [
+        'extends',
+        'documentation',
+        'image',
+        'container_name',
+        'hostname',
+        'user',
+        'entrypoint',
+        'command',
+        'working_dir',
+        'depends_on',
+        'restart',
+        'stop_grace_period',
+        'environment',
+        'volumes',
+        'ports',
+        'expose',
+        'cap_add',
+        'healthcheck',
+        'logging',
+        'networks',
+        'labels',
+        'stdin_open',
+        'tty',
+        'caproverExtra',
+    ],
+    app: [
+        'variables',
+        'instructions',
+        'displayName',
+        'isOfficial',
+        'description',
+        'categories',
+        'tags',
+        'documentation',
+        'homepage',
+        'requirements',
+        'deprecated',
+        'replacedBy',
+        'hidden',
+    ],
+    instructions: ['start', 'end'],
+    requirements: ['memory', 'cpus', 'disk', 'architectures'],
+    variable: ['id', 'label', 'defaultValue', 'description', 'type', 'min', 'max', 'options', 'validRegex'],
+};
+
+/**
+ * e.g. $$cap_postgres_version, $$cap_appversion and $$cap_redis_tag
+ */
+const VERSION_VARIABLE_REGEX = /(version|[_-]tag)$/i;
+
+const INDENT = '    ';
+
+/**
+ * Variables may be written as flow maps, e.g. `- { id: $$cap_x_version, defaultValue: 1.20 }`. Their values
+ * are quoted like the others, but only block maps are reordered.
+ */
+function isAnyMap(node) {
+    return isMap(node) || (!!node && node.type === 'FLOW_MAP');
+}
+
+function entryOf(mapNode, key) {
+    const pair = isAnyMap(mapNode) ? pairOf(mapNode, key) : undefined;
+    return pair ? pair.value : undefined;
+}
+
+/**
+ * The keys in canonical order, the listed ones first
+ */
+function orderKeys(keys, order) {
+    const listed = keys.filter(key => order.includes(key)).sort((a, b) => order.indexOf(a) - order.indexOf(b));
+    return listed.concat(keys.filter(key => !order.includes(key)));
+}
+
+/**
+ * @returns [{ node, order }] the maps of the template that have a fixed key order
+ */
+function orderedMaps(doc) {
+    const root = doc.contents;
+    if (!isMap(root)) {
+        return [];
+    }
+    const maps = [{ node: root, order: KEY_ORDERS.template }];
+
+    const services = valueOf(root, 'services');
+    if (isMap(services)) {
+        services.items.forEach(pair => maps.push({ node: pair.value, order: KEY_ORDERS.service }));
+    }
+
+    const app = valueOf(root, 'caproverOneClickApp');
+    if (isMap(app)) {
+        maps.push({ node: app, order: KEY_ORDERS.app });
+        maps.push({ node: valueOf(app, 'instructions'), order: KEY_ORDERS.instructions });
+        maps.push({ node: valueOf(app, 'requirements'), order: KEY_ORDERS.requirements });
+        const variables = valueOf(app, 'variables');
+        if (variables && variables.type === 'SEQ') {
+            variables.items.forEach(item => maps.push({ node: item, order: KEY_ORDERS.variable }));
+        }
+    }
+
+    return maps.filter(m => isMap(m.node));
+}
+
+/**
+ * Moves the lines of every key of a block map into the canonical order. A key takes along its value
+ * and the comment lines right above it.
+ *
+ * @returns the new content, or undefined if the keys are in order already or the map cannot be reordered
+ */
+function reorderMap(contentString, mapNode, order) {
+    const keys = mapNode.items.map(pair => (pair.key ? pair.key.value : undefined));
+    const ordered = orderKeys(keys, order);
+    if (keys.some(key => typeof key !== 'string' && typeof key !== 'number') || ordered.join('\n') === keys.join('\n')) {
+        return undefined;
+    }
+
+    const starts = lineStarts(contentString);
+    const lines = contentString.split('\n');
+    const keyLines = mapNode.items.map(pair => lineOf(starts, pair.key.range[0]));
+    const column = mapNode.items[0].key.range[0] - starts[keyLines[0]];
+    const sameColumn = mapNode.items.every((pair, i) => pair.key.range[0] - starts[keyLines[i]] === column);
+    const oneKeyPerLine = keyLines.every((line, i) => i === 0 || line > keyLines[i - 1]);
+    if (!sameColumn || !oneKeyPerLine) {
+        return undefined;
+    }
+
+    // the first line of each key, including its comments. The comments above the first key of the template
+    // are about the whole file, and the first key of a variable shares its line with the `- `.
+    const prefix = lines[keyLines[0]].substring(0, column);
+    const ownsCommentsAbove = i => (i > 0 ? keyLines[i - 1] : column > 0 && prefix.trim() === '' ? -1 : keyLines[0]);
+    const firsts = keyLines.map((keyLine, i) => {
+        let first = keyLine;
+        while (first - 1 > ownsCommentsAbove(i) && isCommentLine(lines[first - 1]) &&
+            indentationOf(lines[first - 1]) === column) {
+            first--;
+        }
+        return first;
+    });
+
+    // the map ends before the next line that is indented less, trailing comments and blank lines stay where they are
+    let end = keyLines[keyLines.length - 1] + 1;
+    while (end < lines.length && (isBlankLine(lines[end]) || isCommentLine(lines[end]) || indentationOf(lines[end]) > column)) {
+        end++;
+    }
+    while (end - 1 > keyLines[keyLines.length - 1] &&
+        (isBlankLine(lines[end - 1]) || (isCommentLine(lines[end - 1]) && indentationOf(lines[end - 1]) <= column))) {
+        end--;
+    }
+
+    // the blank lines between the keys stay where they are, whichever keys end up around them
+    const segments = firsts.map((first, i) => lines.slice(first, i + 1 < firsts.length ? firsts[i + 1] : end));
+    const separators = segments.map(segment => segment.length - 1 - segment.map(isBlankLine).lastIndexOf(false));
+    const contents = segments.map((segment, i) => segment.slice(0, segment.length - separators[i]));
+
+    // e.g. `- id: ...` of a variable, whichever key comes first takes over the `- `
+    contents[0][0] = ' '.repeat(column) + contents[0][0].substring(column);
+    const reordered = ordered.map(key => contents[keys.indexOf(key)].slice());
+    const keyIndex = reordered[0].findIndex(line => !isCommentLine(line) && !isBlankLine(line));
+    reordered[0][keyIndex] = prefix + reordered[0][keyIndex].substring(column);
+
+    const flat = [];
+    reordered.forEach((content, i) => {
+        content.forEach(line => flat.push(line));
+        for (var j = 0; j < separators[i]; j++) {
+            flat.push('');
+        }
+    });
+
+    return lines.slice(0, firsts[0]).concat(flat).concat(lines.slice(end)).join('\n');
+}
+
+function replaceScalar(contentString, node, text) {
+    const range = sourceRange(node);
+    return { start: range.start, end: range.end, text: range.block ? `${text}\n` : text };
+}
+
+function quotedEdit(contentString, node, useSource) {
+    if (!isScalar(node) || (useSource && sourceRange(node).block)) {
+        return undefined;
+    }
+    const range = sourceRange(node);
+    // keeps the digits of versions like 1.10 that YAML would read as a number
+    const text = useSource && node.type === 'PLAIN' ? contentString.substring(range.start, range.end) : `${node.value}`;
+    const quoted = quote(text);
+    return contentString.substring(range.start, range.end) === quoted ? undefined : replaceScalar(contentString, node, quoted);
+}
+
+/**
+ * The text as a literal block, indented below the key at `column`, or undefined if a block cannot hold it as it is:
+ * leading whitespace needs an indentation indicator, and prettier removes whitespace at the end of a line
+ */
+function literalBlock(text, column) {
+    const body = text.replace(/\n+$/, '');
+    const trailingNewlines = text.length - body.length;
+    if (!body || /^\n*[ \t]/.test(body) || /[ \t\r]$/m.test(body)) {
+        return undefined;
+    }
+    const indent = ' '.repeat(column) + INDENT;
+    const chomping = trailingNewlines === 0 ? '-' : trailingNewlines === 1 ? '' : '+';
+    const lines = body.split('\n').map(line => (line ? indent + line : ''));
+    for (var i = 1; i < trailingNewlines; i++) {
+        lines.push('');
+    }
+    return `|${chomping}\n${lines.join('\n')}`;
+}
+
+function literalEdit(contentString, pair) {
+    const node = pair.value;
+    if (!isScalar(node) || typeof node.value !== 'string' || node.type === 'BLOCK_LITERAL' || node.cstNode.comment) {
+        return undefined;
+    }
+    const starts = lineStarts(contentString);
+    const column = pair.key.range[0] - starts[lineOf(starts, pair.key.range[0])];
+    const block = literalBlock(node.value, column);
+    return block === undefined ? undefined : replaceScalar(contentString, node, block);
+}
+
+/**
+ * @returns [{start, end, text}] the scalars that are not written the canonical way
+ */
+function scalarEdits(doc, contentString) {
+    const root = doc.contents;
+    const edits = [];
+    if (!isMap(root)) {
+        return edits;
+    }
+
+    edits.push(quotedEdit(contentString, valueOf(root, 'version'), true));
+
+    const app = valueOf(root, 'caproverOneClickApp');
+    const instructions = valueOf(app, 'instructions');
+    if (isMap(instructions)) {
+        KEY_ORDERS.instructions
+            .map(key => pairOf(instructions, key))
+            .filter(pair => !!pair)
+            .forEach(pair => edits.push(literalEdit(contentString, pair)));
+    }
+
+    const variables = valueOf(app, 'variables');
+    (variables && ['SEQ', 'FLOW_SEQ'].includes(variables.type) ? variables.items : []).filter(isAnyMap).forEach(variable => {
+        edits.push(quotedEdit(contentString, entryOf(variable, 'validRegex'), false));
+        const id = entryOf(variable, 'id');
+        if (isScalar(id) && VERSION_VARIABLE_REGEX.test(`${id.value}`)) {
+            edits.push(quotedEdit(contentString, entryOf(variable, 'defaultValue'), true));
+        }
+    });
+
+    return edits.filter(edit => !!edit);
+}
+
+/**
+ * @returns the path of the first value that differs, or undefined. Keys are compared as sets, their order may change.
+ */
+function firstDifference(a, b, pathArray) {
+    if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b)) {
+        const keys = Object.keys(a).concat(Object.keys(b).filter(key => !(key in a)));
+        for (const key of keys) {
+            const difference = firstDifference(a[key], b[key], pathArray.concat([Array.isArray(a) ? Number(key) : key]));
+            if (difference) {
+                return difference;
+            }
+        }
+        return undefined;
+    }
+    return a === b ? undefined : pathArray;
+}
+
+/**
+ * Every scalar as the text it is written with, so that quoting `version: 1.20` counts as the same value
+ */
+function valuesOf(contentString) {
+    return yaml.parse(contentString, { schema: 'failsafe' });
+}
+
+/**
+ * The canonical form of a template, see KEY_ORDERS. Run prettier on the result for the whitespace.
+ *
+ * @throws if the template is not valid YAML
+ */
+function formatTemplate(contentString) {
+    let result = applyEdits(contentString, scalarEdits(parse(contentString), contentString));
+
+    // one map at a time, since moving lines shifts the positions of all the others
+    for (;;) {
+        const doc = parse(result);
+        const next = orderedMaps(doc)
+            .map(m => reorderMap(result, m.node, m.order))
+            .find(reordered => reordered !== undefined);
+        if (next === undefined) {
+            return result;
+        }
+        result = next;
+    }
+}
+
+/**
+ * formatTemplate() and prettier, the form that `format_apps.js --check` expects
+ *
+ * @param filePath where the template is or will be written, it selects the prettier configuration
+ * @throws if the template is not valid YAML, or if formatting would change one of its values
+ */
+function formatTemplateFile(contentString, filePath) {
+    const config = Object.assign({}, prettier.resolveConfig.sync(filePath), { parser: 'yaml' });
+    const formatted = prettier.format(formatTemplate(contentString), config);
+
+    const difference = firstDifference(valuesOf(contentString), valuesOf(formatted), []);
+    if (difference) {
+        throw new Error(`formatting would change the value of ${formatPath(difference)}, format it by hand`);
+    }
+    return formatted;
+}
+
+module.exports = {
+    KEY_ORDERS,
+    VERSION_VARIABLE_REGEX,
+    orderKeys,
+    formatTemplate,
+    formatTemplateFile,
+};
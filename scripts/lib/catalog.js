@@ -0,0 +1,273 @@
+/*jshint esversion: 6 */
+const { resolveImages } = require('./image_policy');
+const { createServiceGraph } = require('./service_graph');
+const { describeRequirements } = require('./requirements');
+
+/**
+ * The static catalog site in dist/: index.html lists every app of dist/v4/list, and
+ * apps/<name>.html has the details of one app. All links are relative, so that the site
+ * works on any domain and path, and from the file system.
+ */
+const CATALOG_TITLE = 'CapRover One Click Apps';
+
+function escapeHtml(text) {
+    return `${text === undefined || text === null ? '' : text}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escapes the text and turns http(s) URLs into links, e.g. in descriptions and instructions
+ */
+function linkify(text) {
+    const urlRegex = /\bhttps?:\/\/[^\s<>"'`]*[^\s<>"'`.,;:!?)\]]/g;
+    const raw = `${text === undefined || text === null ? '' : text}`;
+    let html = '';
+    let last = 0;
+    let match;
+    while ((match = urlRegex.exec(raw)) !== null) {
+        const url = escapeHtml(match[0]);
+        // e.g. http://$$cap_appname.$$cap_root_domain only exists after the installation
+        const link = match[0].includes('$$cap_') ? url : `<a href="${url}" rel="noopener">${url}</a>`;
+        html += escapeHtml(raw.substring(last, match.index)) + link;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(raw.substring(last));
+}
+
+function code(text) {
+    return `<code>${escapeHtml(text)}</code>`;
+}
+
+/**
+ * Relative path of an app page, from the root of dist/
+ */
+function appPagePath(appName) {
+    return `apps/${encodeURIComponent(appName)}.html`;
+}
+
+/**
+ * The smallest thumbnail that is at least `size` pixels, or the original logo
+ */
+function logoPath(entry, size) {
+    const thumbnails = entry.logoThumbnails || {};
+    const sizes = Object.keys(thumbnails)
+        .map(Number)
+        .sort((a, b) => a - b);
+    const fitting = sizes.find(s => s >= size);
+    return `v4/logos/${fitting ? thumbnails[fitting] : entry.logoUrl}`;
+}
+
+function page(title, rootPath, body) {
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        `<title>${escapeHtml(title)}</title>`,
+        `<link rel="stylesheet" href="${rootPath}catalog.css">`,
+        '</head>',
+        '<body>',
+        body,
+        '</body>',
+        '</html>',
+        '',
+    ].join('\n');
+}
+
+function badges(entry) {
+    const result = [];
+    if (entry.isOfficial) {
+        result.push('<span class="badge official">Official</span>');
+    }
+    if (entry.deprecated) {
+        result.push('<span class="badge deprecated">Deprecated</span>');
+    }
+    (entry.categories || []).forEach(category => result.push(`<span class="badge">${escapeHtml(category)}</span>`));
+    return result.join(' ');
+}
+
+/**
+ * dist/index.html, the search and the filter run in the browser, see scripts/catalog/catalog.js
+ *
+ * @param entries the entries of dist/v4/list
+ */
+function createIndexPage(entries) {
+    const cards = entries.map(entry => {
+        const searchText = [entry.name, entry.displayName, entry.description]
+            .concat(entry.categories || [])
+            .concat(entry.tags || [])
+            .join(' ')
+            .toLowerCase();
+        return [
+            `<li class="app" data-search="${escapeHtml(searchText)}" data-official="${entry.isOfficial}">`,
+            `<a href="${appPagePath(entry.name)}">`,
+            `<img src="${logoPath(entry, 64)}" alt="" width="64" height="64" loading="lazy">`,
+            '<span class="details">',
+            `<strong>${escapeHtml(entry.displayName)}</strong> ${badges(entry)}`,
+            `<span class="description">${escapeHtml(entry.description)}</span>`,
+            '</span>',
+            '</a>',
+            '</li>',
+        ].join('');
+    });
+
+    return page(CATALOG_TITLE, '', [
+        '<header>',
+        `<h1>${CATALOG_TITLE}</h1>`,
+        `<p>${entries.length} apps that you can deploy with one click from the Apps page of your ` +
+            '<a href="https://caprover.com">CapRover</a> dashboard.</p>',
+        '<form class="filters" role="search" onsubmit="return false">',
+        '<input type="search" id="search" placeholder="Search by name, description or tag" aria-label="Search" autofocus>',
+        '<label><input type="checkbox" id="official"> Official apps only</label>',
+        '</form>',
+        '</header>',
+        '<main>',
+        `<p id="count" aria-live="polite">${entries.length} apps</p>`,
+        '<ul class="apps">',
+        cards.join('\n'),
+        '</ul>',
+        '</main>',
+        '<script src="catalog.js"></script>',
+    ].join('\n'));
+}
+
+/**
+ * The reason of the deprecation, with a link to the replacement if it has a page, hidden apps have none
+ */
+function deprecationNotice(entry, listedAppNames) {
+    if (!entry.deprecated) {
+        return '';
+    }
+    let replacement = '';
+    if (entry.replacedBy) {
+        const name = escapeHtml(entry.replacedBy);
+        replacement = listedAppNames.includes(entry.replacedBy) ?
+            ` Install <a href="../${appPagePath(entry.replacedBy)}">${name}</a> instead.` :
+            ` Install ${code(entry.replacedBy)} instead.`;
+    }
+    return `<p class="deprecated">Deprecated: ${linkify(entry.deprecationReason)}${replacement}</p>`;
+}
+
+function section(title, content) {
+    return content ? `<section>\n<h2>${escapeHtml(title)}</h2>\n${content}\n</section>` : '';
+}
+
+function table(headers, rows) {
+    if (rows.length === 0) {
+        return '';
+    }
+    return [
+        '<table>',
+        `<thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>`,
+        '<tbody>',
+        rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n'),
+        '</tbody>',
+        '</table>',
+    ].join('\n');
+}
+
+function variablesTable(content) {
+    const app = content.caproverOneClickApp || {};
+    const variables = (app.variables || []).filter(v => v && v.id);
+    return table(
+        ['Variable', 'Default', 'Description'],
+        variables.map(v => [
+            `${escapeHtml(v.label || v.id)}<br>${code(v.id)}`,
+            v.defaultValue === undefined || v.defaultValue === null || `${v.defaultValue}` === '' ? '' : code(v.defaultValue),
+            linkify(v.description),
+        ])
+    );
+}
+
+function servicesTable(content) {
+    const graph = createServiceGraph(content);
+    const images = resolveImages(content);
+    return table(
+        ['Service', 'Image', 'Depends on'],
+        graph.nodes.map(node => {
+            const image = images.find(i => i.serviceName === node.id);
+            let imageCell = '';
+            if (image) {
+                imageCell = code(image.reference);
+                if (image.resolved !== image.reference) {
+                    imageCell += `<br>default: ${code(image.resolved)}`;
+                }
+                if (image.path.includes('dockerfileLines')) {
+                    imageCell += '<br>built from a Dockerfile';
+                }
+            }
+            const dependsOn = graph.edges
+                .filter(edge => edge.from === node.id && edge.type === 'depends_on')
+                .map(edge => code(edge.to));
+            return [code(node.id) + (node.exposedAsWebApp ? '<br>web app' : ''), imageCell, dependsOn.join(', ')];
+        })
+    );
+}
+
+function links(entry, content) {
+    const app = content.caproverOneClickApp || {};
+    const result = [];
+    if (entry.homepage && /^https?:\/\//.test(`${entry.homepage}`)) {
+        result.push(`<a href="${escapeHtml(entry.homepage)}" rel="noopener">Homepage</a>`);
+    }
+    if (app.documentation && /^https?:\/\//.test(`${app.documentation}`)) {
+        result.push(`<a href="${escapeHtml(app.documentation)}" rel="noopener">Documentation</a>`);
+    }
+    if (content.captainVersion) {
+        result.push(`<a href="../v4/apps/${encodeURIComponent(entry.name)}">Template (JSON)</a>`);
+    }
+    return result.join(' · ');
+}
+
+/**
+ * dist/apps/<name>.html
+ *
+ * @param entry          the entry of dist/v4/list
+ * @param content        the built template of dist/v4/apps/<name>, undefined for apps from other builds
+ * @param listedAppNames the apps of dist/v4/list, which have a page
+ */
+function createAppPage(entry, content, listedAppNames) {
+    content = content || {};
+    const app = content.caproverOneClickApp || {};
+    const instructions = app.instructions || {};
+    const securityNotes = (entry.securityNotes || []).map(note => `<li>${escapeHtml(note)}</li>`).join('\n');
+    const requirements = describeRequirements(content);
+    const tags = (entry.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(' ');
+
+    return page(`${entry.displayName} - ${CATALOG_TITLE}`, '../', [
+        '<header>',
+        `<p><a href="../index.html">← All apps</a></p>`,
+        '<div class="title">',
+        `<img src="../${logoPath(entry, 128)}" alt="" width="128" height="128">`,
+        '<div>',
+        `<h1>${escapeHtml(entry.displayName)}</h1>`,
+        `<p>${badges(entry)} ${tags}</p>`,
+        `<p class="description">${linkify(entry.description)}</p>`,
+        `<p>${links(entry, content)}</p>`,
+        '</div>',
+        '</div>',
+        '</header>',
+        '<main>',
+        deprecationNotice(entry, listedAppNames || []),
+        section('Install', `<p>In your CapRover dashboard, go to Apps, One-Click Apps/Databases, and search for ${code(entry.name)}.</p>`),
+        section('Server', requirements ? `<p>${escapeHtml(requirements)}</p>` : ''),
+        section('Security notes', securityNotes ? `<ul>\n${securityNotes}\n</ul>` : ''),
+        section('Before the installation', instructions.start ? `<p class="text">${linkify(instructions.start)}</p>` : ''),
+        section('Variables', variablesTable(content)),
+        section('Services', servicesTable(content)),
+        section('After the installation', instructions.end ? `<p class="text">${linkify(instructions.end)}</p>` : ''),
+        '</main>',
+    ].filter(part => !!part).join('\n'));
+}
+
+module.exports = {
+    appPagePath,
+    createIndexPage,
+    createAppPage,
+    escapeHtml,
+};
@@ -0,0 +1,99 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { fragmentsUsedBy } = require('./fragments');
+const { lifecycleOf } = require('./lifecycle');
+
+const pathOfRoot = path.join(__dirname, '..', '..');
+
+/**
+ * Changes to these change how every app is validated, e.g. the schema or the image policy
+ */
+const VALIDATOR_PATHS = ['scripts', 'package.json', 'package-lock.json'];
+
+function git(args) {
+    return execFileSync('git', args, { cwd: pathOfRoot, encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024 });
+}
+
+function lines(text) {
+    return text.split('\n').filter(line => !!line);
+}
+
+/**
+ * The files that differ between the working tree and the point where it branched off `ref`,
+ * i.e. the changes of a pull request plus anything not committed yet, including new files.
+ *
+ * @returns absolute paths, including deleted files
+ */
+function listChangedFiles(ref) {
+    let base;
+    try {
+        base = git(['merge-base', ref, 'HEAD']).trim();
+    } catch (err) {
+        throw new Error(`Cannot compare with ${ref}, is it a git ref that shares history with HEAD? ` +
+            'A shallow clone may need git fetch --unshallow');
+    }
+    return lines(git(['diff', '--name-only', '--no-renames', base]))
+        .concat(lines(git(['ls-files', '--others', '--exclude-standard'])))
+        .map(file => path.join(pathOfRoot, file));
+}
+
+function isInside(filePath, directory) {
+    return filePath === directory || filePath.startsWith(directory + path.sep);
+}
+
+/**
+ * What has to be validated for the changed files: the changed apps, the apps whose logo or
+ * fragments changed, the apps whose replacedBy names a changed app or one that does not exist
+ * anymore, e.g. because it was deleted or renamed, the changed fragments and the changed logos (for orphans).
+ *
+ * @param changedFiles see listChangedFiles()
+ * @param files        { apps, logos, fragments } of collectFiles() of sources.js, the apps with their contents
+ * @returns { all: reason or undefined, apps: [fileName], fragments: [name], logos: [fileName] }
+ */
+function selectChanged(changedFiles, files) {
+    const validatorChange = changedFiles.find(file => VALIDATOR_PATHS.some(p => isInside(file, path.join(pathOfRoot, p))));
+    if (validatorChange) {
+        return {
+            all: `${path.relative(pathOfRoot, validatorChange)} changed`,
+            apps: files.apps.map(f => f.fileName),
+            fragments: files.fragments.map(f => f.fileName.replace(/\.yml$/, '')),
+            logos: files.logos.map(f => f.fileName),
+        };
+    }
+
+    const isChanged = filePath => changedFiles.includes(filePath);
+    const fragments = files.fragments
+        .filter(f => isChanged(f.filePath))
+        .map(f => f.fileName.replace(/\.yml$/, ''));
+    const appNames = files.apps.map(f => f.fileName.replace(/\.yml$/, ''));
+    const changedAppNames = files.apps.filter(f => isChanged(f.filePath)).map(f => f.fileName.replace(/\.yml$/, ''));
+    const replacementChanged = content => {
+        const replacedBy = lifecycleOf(content).replacedBy;
+        return replacedBy !== undefined && (changedAppNames.includes(replacedBy) || !appNames.includes(replacedBy));
+    };
+    const apps = files.apps
+        .filter(f => isChanged(f.filePath) || isChanged(f.logoPath) ||
+            fragmentsUsedBy(f.content).some(name => fragments.includes(name)) || replacementChanged(f.content))
+        .map(f => f.fileName);
+
+    // The logo of a deleted app is an orphan now
+    const changedAppFiles = changedFiles
+        .filter(file => file.endsWith('.yml') && path.basename(path.dirname(file)) === 'apps')
+        .map(file => path.basename(file));
+    const logos = files.logos
+        .filter(f => isChanged(f.filePath) || changedAppFiles.includes(f.sourceFileName.replace(/\.png$/, '.yml')))
+        .map(f => f.fileName);
+
+    return {
+        all: undefined,
+        apps: apps,
+        fragments: fragments,
+        logos: logos,
+    };
+}
+
+module.exports = {
+    listChangedFiles,
+    selectChanged,
+};
@@ -0,0 +1,237 @@
+/*jshint esversion: 6 */
+const { resolveImages } = require('./image_policy');
+
+/**
+ * Fields of caproverOneClickApp that are listed by name when they change. Variables have their own section.
+ */
+const ONE_CLICK_APP_FIELDS = ['displayName', 'description', 'instructions', 'documentation', 'isOfficial',
+    'categories', 'tags', 'homepage', 'requirements', 'deprecated', 'replacedBy', 'hidden'];
+
+/**
+ * The same value with the keys of every object sorted, so that templates that only reorder their keys are unchanged
+ */
+function sortKeys(value) {
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+        const sorted = {};
+        Object.keys(value)
+            .sort()
+            .forEach(key => (sorted[key] = sortKeys(value[key])));
+        return sorted;
+    }
+    return value;
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+function displayNameOf(name, content) {
+    const app = (content && content.caproverOneClickApp) || {};
+    return app.displayName || name;
+}
+
+function changedKeys(before, after) {
+    const keys = Object.keys(before || {});
+    Object.keys(after || {})
+        .filter(key => !keys.includes(key))
+        .forEach(key => keys.push(key));
+    return keys.filter(key => !isEqual((before || {})[key], (after || {})[key]));
+}
+
+function diffImages(before, after) {
+    const key = image => `${image.path.join('.')}`;
+    const imagesBefore = {};
+    resolveImages(before).forEach(image => (imagesBefore[key(image)] = image));
+
+    return resolveImages(after)
+        .filter(image => imagesBefore[key(image)] && imagesBefore[key(image)].resolved !== image.resolved)
+        .map(image => ({
+            service: image.serviceName,
+            before: imagesBefore[key(image)].resolved,
+            after: image.resolved,
+        }));
+}
+
+function diffVariables(before, after) {
+    const variablesOf = content => {
+        const byId = {};
+        ((content.caproverOneClickApp && content.caproverOneClickApp.variables) || [])
+            .filter(v => v && v.id)
+            .forEach(v => (byId[v.id] = v));
+        return byId;
+    };
+    const variablesBefore = variablesOf(before);
+    const variablesAfter = variablesOf(after);
+
+    return {
+        added: Object.keys(variablesAfter).filter(id => !variablesBefore[id]),
+        removed: Object.keys(variablesBefore).filter(id => !variablesAfter[id]),
+        changed: Object.keys(variablesAfter)
+            .filter(id => variablesBefore[id] && !isEqual(variablesBefore[id], variablesAfter[id]))
+            .map(id => ({
+                id: id,
+                fields: changedKeys(variablesBefore[id], variablesAfter[id]),
+            })),
+    };
+}
+
+function diffServices(before, after) {
+    const servicesBefore = before.services || {};
+    const servicesAfter = after.services || {};
+
+    return {
+        added: Object.keys(servicesAfter).filter(name => !servicesBefore[name]),
+        removed: Object.keys(servicesBefore).filter(name => !servicesAfter[name]),
+        changed: Object.keys(servicesAfter)
+            .filter(name => servicesBefore[name] && !isEqual(servicesBefore[name], servicesAfter[name]))
+            .map(name => ({
+                name: name,
+                fields: changedKeys(servicesBefore[name], servicesAfter[name]),
+            })),
+    };
+}
+
+function isEmptyDiff(diff) {
+    return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+}
+
+/**
+ * Compares two sets of built v4 apps, e.g. the published dist/v4/apps and the new one.
+ *
+ * @param previousApps {[name]: parsed dist/v4/apps/<name>}
+ * @param currentApps  same as previousApps
+ * @returns {
+ *     summary: { added, removed, changed },
+ *     added: [{name, displayName}],
+ *     removed: [{name, displayName}],
+ *     changed: [{name, displayName, images: [{service, before, after}],
+ *                variables: {added: [], removed: [], changed: [{id, fields}]},
+ *                services: {added: [], removed: [], changed: [{name, fields}]},
+ *                oneClickApp: [field]}]
+ * }
+ */
+function diffApps(previousApps, currentApps) {
+    const names = Object.keys(currentApps).sort();
+    const previousNames = Object.keys(previousApps).sort();
+
+    const added = names
+        .filter(name => !previousApps[name])
+        .map(name => ({ name: name, displayName: displayNameOf(name, currentApps[name]) }));
+    const removed = previousNames
+        .filter(name => !currentApps[name])
+        .map(name => ({ name: name, displayName: displayNameOf(name, previousApps[name]) }));
+
+    const changed = [];
+    names
+        .filter(name => previousApps[name] && !isEqual(previousApps[name], currentApps[name]))
+        .forEach(name => {
+            const before = previousApps[name];
+            const after = currentApps[name];
+            const appBefore = before.caproverOneClickApp || {};
+            const appAfter = after.caproverOneClickApp || {};
+            const change = {
+                name: name,
+                displayName: displayNameOf(name, after),
+                images: diffImages(before, after),
+                variables: diffVariables(before, after),
+                services: diffServices(before, after),
+                oneClickApp: ONE_CLICK_APP_FIELDS.filter(field => !isEqual(appBefore[field], appAfter[field])),
+            };
+            // e.g. only the key order changed
+            if (change.images.length > 0 || !isEmptyDiff(change.variables) || !isEmptyDiff(change.services) ||
+                change.oneClickApp.length > 0) {
+                changed.push(change);
+            }
+        });
+
+    return {
+        summary: {
+            added: added.length,
+            removed: removed.length,
+            changed: changed.length,
+        },
+        added: added,
+        removed: removed,
+        changed: changed,
+    };
+}
+
+function code(text) {
+    return '`' + `${text}`.replace(/`/g, "'") + '`';
+}
+
+function codeList(items) {
+    return items.map(code).join(', ');
+}
+
+function appTitle(app) {
+    return app.displayName === app.name ? code(app.name) : `${app.displayName} (${code(app.name)})`;
+}
+
+/**
+ * Renders the result of diffApps() as a Markdown changelog
+ *
+ * @param changes  see diffApps()
+ * @param previous what the build was compared with, e.g. a git ref
+ */
+function toMarkdown(changes, previous) {
+    const lines = ['# Changes to the one-click apps', ''];
+    const summary = changes.summary;
+
+    if (summary.added + summary.removed + summary.changed === 0) {
+        lines.push(`No changes compared with ${code(previous)}.`);
+        return lines.join('\n') + '\n';
+    }
+    lines.push(`Compared with ${code(previous)}: ${summary.added} new, ${summary.removed} removed, ${summary.changed} changed.`);
+
+    if (changes.added.length > 0) {
+        lines.push('', '## New apps', '');
+        changes.added.forEach(app => lines.push(`- ${appTitle(app)}`));
+    }
+
+    if (changes.removed.length > 0) {
+        lines.push('', '## Removed apps', '');
+        changes.removed.forEach(app => lines.push(`- ${appTitle(app)}`));
+    }
+
+    if (changes.changed.length > 0) {
+        lines.push('', '## Changed apps');
+        changes.changed.forEach(app => {
+            lines.push('', `### ${appTitle(app)}`, '');
+            app.images.forEach(image => {
+                lines.push(`- Default image of ${code(image.service)}: ${code(image.before)} → ${code(image.after)}`);
+            });
+            if (app.services.added.length > 0) {
+                lines.push(`- New services: ${codeList(app.services.added)}`);
+            }
+            if (app.services.removed.length > 0) {
+                lines.push(`- Removed services: ${codeList(app.services.removed)}`);
+            }
+            app.services.changed.forEach(service => {
+                lines.push(`- Service ${code(service.name)} changed: ${service.fields.join(', ')}`);
+            });
+            if (app.variables.added.length > 0) {
+                lines.push(`- New variables: ${codeList(app.variables.added)}`);
+            }
+            if (app.variables.removed.length > 0) {
+                lines.push(`- Removed variables: ${codeList(app.variables.removed)}`);
+            }
+            app.variables.changed.forEach(variable => {
+                lines.push(`- Variable ${code(variable.id)} changed: ${variable.fields.join(', ')}`);
+            });
+            if (app.oneClickApp.length > 0) {
+                lines.push(`- Changed ${app.oneClickApp.join(', ')}`);
+            }
+        });
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    diffApps,
+    toMarkdown,
+};
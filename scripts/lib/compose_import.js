@@ -0,0 +1,442 @@
+/*jshint esversion: 6 */
+const { stringify } = require('./yaml_edit');
+const { formatTemplateFile } = require('./canonical_format');
+const { readImagePolicy, checkTag } = require('./image_policy');
+
+/**
+ * The docker-compose keys of a service that CapRover uses, see README.md.
+ * Everything else is dropped by the importer.
+ */
+const HONOURED_SERVICE_KEYS = ['image', 'environment', 'ports', 'volumes', 'depends_on', 'hostname', 'command', 'cap_add'];
+
+/**
+ * Images of databases, caches and queues. They don't serve HTTP to the users,
+ * so they get notExposeAsWebApp.
+ */
+const NON_HTTP_IMAGE_REGEX = /^(.*\/)?(postgres|postgis|timescaledb|mysql|mariadb|percona|mongo|redis|valkey|keydb|memcached|rabbitmq|elasticsearch|opensearch|clickhouse-server|cassandra|nats|zookeeper|kafka|etcd)(:|@|$)/;
+
+const SECRET_KEY_REGEX = /(^|_)PASSWORD$|^SECRET_KEY/i;
+
+const HOST_LIKE_KEY_REGEX = /HOST|ADDR|SERVER|URL|URI|DSN|ENDPOINT/i;
+
+/**
+ * The image labels that describe the app, the first one that a service has is used
+ */
+const DESCRIPTION_LABELS = ['org.opencontainers.image.description', 'org.label-schema.description'];
+
+const URL_LABELS = [
+    'org.opencontainers.image.documentation',
+    'org.opencontainers.image.url',
+    'org.label-schema.usage',
+    'org.label-schema.url',
+    'org.opencontainers.image.source',
+];
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * The scaffold leaves this in the texts that it has no label for
+ */
+const PLACEHOLDER = 'TODO:';
+
+const PLACEHOLDER_PATHS = [
+    ['caproverOneClickApp', 'instructions', 'start'],
+    ['caproverOneClickApp', 'instructions', 'end'],
+    ['caproverOneClickApp', 'description'],
+];
+
+function toIdPart(text) {
+    return `${text}`
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toDisplayName(name) {
+    return name
+        .split(/[-_]+/)
+        .filter(s => !!s)
+        .map(s => s.charAt(0).toUpperCase() + s.substring(1))
+        .join(' ');
+}
+
+/**
+ * Splits `registry:5000/org/image:tag` into { name: 'registry:5000/org/image', tag: 'tag' }
+ */
+function splitImage(image) {
+    const atIndex = image.indexOf('@');
+    if (atIndex >= 0) {
+        return { name: image.substring(0, atIndex), tag: undefined, digest: image.substring(atIndex + 1) };
+    }
+    const colonIndex = image.lastIndexOf(':');
+    if (colonIndex > image.lastIndexOf('/')) {
+        return { name: image.substring(0, colonIndex), tag: image.substring(colonIndex + 1) };
+    }
+    return { name: image, tag: undefined };
+}
+
+function environmentAsMap(environment) {
+    if (!environment) {
+        return undefined;
+    }
+    if (!Array.isArray(environment)) {
+        return Object.assign({}, environment);
+    }
+    const map = {};
+    environment.forEach(entry => {
+        const index = `${entry}`.indexOf('=');
+        if (index < 0) {
+            map[entry] = '';
+        } else {
+            map[entry.substring(0, index)] = entry.substring(index + 1);
+        }
+    });
+    return map;
+}
+
+/**
+ * The value of the first of the labels that one of the services has, services in the order of the compose file
+ */
+function findLabel(sourceServices, labelNames) {
+    const labels = Object.keys(sourceServices).map(name => environmentAsMap((sourceServices[name] || {}).labels) || {});
+    for (const labelName of labelNames) {
+        const service = labels.find(l => typeof l[labelName] === 'string' && l[labelName].trim());
+        if (service) {
+            return service[labelName].trim();
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Shortens the text to MAX_DESCRIPTION_LENGTH at a word boundary
+ */
+function shortDescription(text) {
+    const oneLine = text.replace(/\s+/g, ' ');
+    if (oneLine.length <= MAX_DESCRIPTION_LENGTH) {
+        return oneLine;
+    }
+    const cut = oneLine.substring(0, MAX_DESCRIPTION_LENGTH - 3);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > 0 ? cut.substring(0, lastSpace) : cut}...`;
+}
+
+function containerPortOf(port) {
+    if (port !== null && typeof port === 'object') {
+        return port.target ? `${port.target}` : undefined;
+    }
+    const withoutProtocol = `${port}`.split('/')[0];
+    const parts = withoutProtocol.split(':');
+    return parts[parts.length - 1];
+}
+
+/**
+ * Converts a docker-compose definition into a v4 one-click app.
+ * The description and the instructions come from the labels of the images, see DESCRIPTION_LABELS,
+ * and have a TODO: placeholder where there is none. Every image has to be pinned to a version,
+ * images without a version tag get theirs from options.tags.
+ *
+ * @param compose the parsed docker-compose file
+ * @param options { name: string, source: string, tags: { <service>: <tag> }, imagePolicy }  name of the app,
+ *                where the compose file came from, the tags of images that have none, and the policy
+ *                that decides whether a tag is a version, see readImagePolicy()
+ * @returns { content: object, warnings: string[] }
+ * @throws if an image is not pinned to a version
+ */
+function convertComposeToV4(compose, options) {
+    const warnings = [];
+    const sourceServices = (compose && compose.services) || {};
+    const serviceNames = Object.keys(sourceServices);
+    const tags = options.tags || {};
+    const imagePolicy = options.imagePolicy || readImagePolicy();
+
+    if (serviceNames.length === 0) {
+        throw new Error('The compose file does not have any services');
+    }
+    Object.keys(tags)
+        .filter(serviceName => !serviceNames.includes(serviceName))
+        .forEach(serviceName => {
+            throw new Error(`There is a tag for the service "${serviceName}", but the compose file has no such service`);
+        });
+    const unpinned = [];
+
+    const newNames = {};
+    serviceNames.forEach(serviceName => {
+        newNames[serviceName] = `$$cap_appname-${serviceName.toLowerCase().replace(/[^a-z0-9-]+/g, '-')}`;
+    });
+
+    const variables = [];
+    const variableIds = {};
+    const secretsByValue = {};
+
+    function addVariable(variable) {
+        let id = variable.id;
+        for (var i = 2; variableIds[id]; i++) {
+            id = `${variable.id}_${i}`;
+        }
+        variableIds[id] = true;
+        variables.push(Object.assign({}, variable, { id: id }));
+        return id;
+    }
+
+    function rewriteHostnames(text, isHostLikeKey) {
+        let result = `${text}`;
+        serviceNames.forEach(serviceName => {
+            const target = `srv-captain--${newNames[serviceName]}`;
+            if (isHostLikeKey && result === serviceName) {
+                result = target;
+                return;
+            }
+            const name = escapeRegex(serviceName);
+            result = result
+                .replace(new RegExp(`(://|@)${name}(?=[:/?\\s]|$)`, 'g'), (match, before) => before + target)
+                .replace(new RegExp(`(^|[\\s=,;(])${name}(?=:\\d)`, 'g'), (match, before) => before + target);
+        });
+        return result;
+    }
+
+    const anyServiceHasPorts = serviceNames.some(n => {
+        const s = sourceServices[n] || {};
+        return (s.ports && s.ports.length > 0) || (s.expose && s.expose.length > 0);
+    });
+
+    const services = {};
+
+    serviceNames.forEach(serviceName => {
+        const source = sourceServices[serviceName] || {};
+        const service = {};
+        const caproverExtra = {};
+        const prefix = `service "${serviceName}":`;
+
+        Object.keys(source)
+            .filter(key => !HONOURED_SERVICE_KEYS.includes(key))
+            .forEach(key => {
+                if (key === 'build') {
+                    warnings.push(`${prefix} "build" is not supported, use an image or caproverExtra.dockerfileLines instead`);
+                } else if (key !== 'container_name' && key !== 'labels') {
+                    // the labels are read for the description, see findLabel()
+                    warnings.push(`${prefix} dropped "${key}", CapRover ignores it`);
+                }
+            });
+
+        if (source.image) {
+            const image = splitImage(`${source.image}`);
+            if (image.digest) {
+                service.image = `${source.image}`;
+            } else {
+                const tag = tags[serviceName] !== undefined ? `${tags[serviceName]}` : image.tag;
+                const problem = checkTag({ name: image.name, tag: tag }, imagePolicy);
+                if (problem) {
+                    unpinned.push(`"${serviceName}" (${source.image}) ${problem}`);
+                }
+                const id = addVariable({
+                    id: `$$cap_${toIdPart(serviceName)}_version`,
+                    label: `${toDisplayName(serviceName)} Version`,
+                    defaultValue: tag,
+                    description: `Check out the image page for the valid tags of ${image.name}`,
+                    validRegex: '/^([^\\s^\\/])+$/',
+                });
+                service.image = `${image.name}:${id}`;
+            }
+        }
+
+        const environment = environmentAsMap(source.environment);
+        if (environment) {
+            service.environment = {};
+            Object.keys(environment).forEach(key => {
+                let value = environment[key];
+                if (value === null || value === undefined) {
+                    value = '';
+                }
+
+                if (SECRET_KEY_REGEX.test(key)) {
+                    const literal = `${value}`;
+                    if (!literal || !secretsByValue[literal]) {
+                        const id = addVariable({
+                            id: `$$cap_${toIdPart(key)}`,
+                            label: toDisplayName(key.toLowerCase()),
+                            defaultValue: '$$cap_gen_random_hex(32)',
+                            description: `Value of ${key} for the ${serviceName} service`,
+                        });
+                        if (literal) {
+                            secretsByValue[literal] = id;
+                        }
+                        service.environment[key] = id;
+                    } else {
+                        service.environment[key] = secretsByValue[literal];
+                    }
+                    return;
+                }
+
+                service.environment[key] = typeof value === 'string' ? rewriteHostnames(value, HOST_LIKE_KEY_REGEX.test(key)) : value;
+            });
+        }
+
+        if (source.command) {
+            service.command = Array.isArray(source.command) ?
+                source.command.map(c => rewriteHostnames(c, false)) :
+                rewriteHostnames(source.command, false);
+        }
+
+        if (source.hostname) {
+            service.hostname = source.hostname;
+        }
+
+        if (source.volumes) {
+            service.volumes = source.volumes.map(volume => {
+                if (typeof volume !== 'string') {
+                    warnings.push(`${prefix} long syntax volume kept as is, CapRover expects "<name>:<path>"`);
+                    return volume;
+                }
+                const parts = volume.split(':');
+                if (parts.length < 2) {
+                    return `$$cap_appname-${toIdPart(serviceName).replace(/_/g, '-')}-data:${parts[0]}`;
+                }
+                const isBindMount = /^[./~]/.test(parts[0]);
+                const volumeName = parts[0].replace(/^[./~]+/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+                if (isBindMount) {
+                    warnings.push(`${prefix} bind mount "${parts[0]}" converted to the named volume "$$cap_appname-${volumeName}"`);
+                }
+                return [`$$cap_appname-${volumeName}`].concat(parts.slice(1)).join(':');
+            });
+        }
+
+        if (source.depends_on) {
+            const dependencies = Array.isArray(source.depends_on) ? source.depends_on : Object.keys(source.depends_on);
+            service.depends_on = dependencies.map(d => newNames[d] || d);
+        }
+
+        if (source.cap_add) {
+            service.cap_add = source.cap_add;
+        }
+
+        const ports = source.ports || [];
+        const isNonHttp = NON_HTTP_IMAGE_REGEX.test(`${source.image || ''}`) ||
+            (anyServiceHasPorts && ports.length === 0 && !(source.expose && source.expose.length > 0));
+
+        if (isNonHttp) {
+            caproverExtra.notExposeAsWebApp = 'true';
+            if (ports.length > 0) {
+                warnings.push(`${prefix} dropped the port mappings, other services reach it as srv-captain--${newNames[serviceName]}`);
+            }
+        } else {
+            const httpPort = ports.length > 0 ? containerPortOf(ports[0]) :
+                (source.expose && source.expose.length > 0 ? `${source.expose[0]}` : undefined);
+            if (ports.length > 0) {
+                warnings.push(`${prefix} dropped the port mapping "${ports[0]}", CapRover serves container port ${httpPort} over HTTP`);
+            }
+            if (ports.length > 1) {
+                service.ports = ports.slice(1);
+                warnings.push(`${prefix} kept the other port mappings, they are published on the host`);
+            }
+            if (httpPort && httpPort !== '80') {
+                caproverExtra.containerHttpPort = httpPort;
+            }
+        }
+
+        if (Object.keys(caproverExtra).length > 0) {
+            service.caproverExtra = caproverExtra;
+        }
+
+        services[newNames[serviceName]] = service;
+    });
+
+    if (unpinned.length > 0) {
+        throw new Error(`Images have to be pinned to a version: ${unpinned.join(', ')}. ` +
+            'Give the version of each one with --tag <service>=<version>.');
+    }
+
+    // Secrets that also appear in connection strings, e.g. postgres://user:secret@db/app
+    Object.keys(services).forEach(serviceName => {
+        const environment = services[serviceName].environment || {};
+        Object.keys(environment).forEach(key => {
+            const value = environment[key];
+            if (typeof value !== 'string' || !value.includes('://')) {
+                return;
+            }
+            Object.keys(secretsByValue)
+                .filter(literal => literal.length >= 4)
+                .forEach(literal => {
+                    environment[key] = environment[key].split(literal).join(secretsByValue[literal]);
+                });
+        });
+    });
+
+    const displayName = toDisplayName(options.name);
+    const description = findLabel(sourceServices, DESCRIPTION_LABELS);
+    const url = findLabel(sourceServices, URL_LABELS);
+    if (!description) {
+        warnings.push(`No service has the label ${DESCRIPTION_LABELS[0]}, fill in the ${PLACEHOLDER} placeholders of the description and the instructions`);
+    }
+    const webService = Object.keys(services).find(name => !(services[name].caproverExtra || {}).notExposeAsWebApp);
+
+    const content = {
+        captainVersion: 4,
+        services: services,
+        caproverOneClickApp: {
+            variables: variables,
+            instructions: {
+                start: description ?
+                    description + (url ? `\n\nSee ${url} for the documentation.` : '') :
+                    `${displayName}. ${PLACEHOLDER} describe the app and the hardware it needs.`,
+                end: webService ?
+                    `${displayName} has been deployed and is available at http://${webService}.$$cap_root_domain` :
+                    `${displayName} has been deployed.`,
+            },
+            displayName: displayName,
+            isOfficial: false,
+            description: description ?
+                shortDescription(description) :
+                `${PLACEHOLDER} a short description of ${displayName}, less than ${MAX_DESCRIPTION_LENGTH} characters.`,
+            documentation: `Taken from ${options.source}`,
+        },
+    };
+
+    if (JSON.stringify(content).includes('${')) {
+        warnings.push('The result still contains "${...}" compose interpolation, CapRover does not expand it. Use variables instead.');
+    }
+
+    return {
+        content: content,
+        warnings: warnings,
+    };
+}
+
+/**
+ * The template as import_compose writes it, in the canonical form that `format_apps.js --check` expects
+ *
+ * @param content  the content of convertComposeToV4()
+ * @param filePath where it is written, it selects the prettier configuration
+ */
+function scaffoldToYaml(content, filePath) {
+    return formatTemplateFile(stringify(content), filePath);
+}
+
+/**
+ * Finds the placeholders of the scaffold that have not been replaced, so that they are not overlooked
+ * before the app is published.
+ *
+ * @param content the parsed template
+ * @returns an array of {severity, path: [], message}
+ */
+function analyzeScaffoldPlaceholders(content) {
+    return PLACEHOLDER_PATHS.filter(path => {
+        const value = path.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), content);
+        return typeof value === 'string' && value.includes(PLACEHOLDER);
+    }).map(path => ({
+        severity: 'warning',
+        path: path,
+        message: `replace the ${PLACEHOLDER} placeholder of import_compose with the real text`,
+    }));
+}
+
+module.exports = {
+    HONOURED_SERVICE_KEYS,
+    convertComposeToV4,
+    scaffoldToYaml,
+    analyzeScaffoldPlaceholders,
+};
@@ -0,0 +1,192 @@
+/*jshint esversion: 6 */
+const { toTypedVariable, toUntypedVariable } = require('./variable_types');
+const { withRequirementsText, withoutRequirementsText } = require('./requirements');
+
+/**
+ * Conversions between the v4 format (public/v4/apps/*.yml) and the v2 format
+ * that is served to CapRover versions older than 1.8 under dist/v2 and dist/v3.
+ */
+
+/**
+ * Properties that live under caproverOneClickApp in v4 and at the root in v2
+ */
+const ONE_CLICK_APP_PROPERTIES = ['variables', 'instructions', 'displayName', 'isOfficial', 'description', 'documentation'];
+
+/**
+ * Properties that live under services.*.caproverExtra in v4 and directly in the service in v2
+ */
+const SERVICE_EXTRA_PROPERTIES = ['containerHttpPort', 'dockerfileLines', 'notExposeAsWebApp'];
+
+/**
+ * Properties under caproverOneClickApp that v2 shows in another form, see convertV4toV2()
+ */
+const DOWN_CONVERTED_PROPERTIES = ['requirements'];
+
+function clone(content) {
+    return JSON.parse(JSON.stringify(content));
+}
+
+/**
+ * v4 -> v2
+ *
+ * Typed variables get the validRegex and description that enforce their type, see toUntypedVariable().
+ * The requirements are written in front of instructions.start, see withRequirementsText().
+ * Fields that v2 has no place for are not discarded. They are kept where they are,
+ * i.e. under caproverOneClickApp or caproverExtra, so the result can be converted
+ * back to v4, and they are listed in lossyFields since old CapRover versions ignore them.
+ *
+ * @param v4Content parsed v4 template, it is not modified
+ * @returns {{content: object, lossyFields: string[]}}
+ */
+function convertV4toV2(v4Content) {
+    const parsed = clone(v4Content);
+    if (`${parsed.captainVersion}` !== '4') {
+        throw new Error('CaptainVersion must be 4 for this conversion');
+    }
+
+    const lossyFields = [];
+    const oneClickApp = parsed.caproverOneClickApp || {};
+
+    parsed.dockerCompose = {
+        services: parsed.services,
+    };
+    delete parsed.services;
+
+    parsed.captainVersion = 2;
+
+    if (oneClickApp.instructions && typeof oneClickApp.instructions === 'object') {
+        oneClickApp.instructions.start = withRequirementsText(parsed, oneClickApp.instructions.start);
+    }
+
+    ONE_CLICK_APP_PROPERTIES.forEach(propertyName => {
+        if (oneClickApp[propertyName] !== undefined) {
+            parsed[propertyName] = oneClickApp[propertyName];
+        }
+        delete oneClickApp[propertyName];
+    });
+
+    if (Array.isArray(parsed.variables)) {
+        parsed.variables = parsed.variables.map(variable => (variable ? toUntypedVariable(variable) : variable));
+    }
+
+    delete parsed.caproverOneClickApp;
+    if (Object.keys(oneClickApp).length > 0) {
+        parsed.caproverOneClickApp = oneClickApp;
+        Object.keys(oneClickApp)
+            .filter(key => !DOWN_CONVERTED_PROPERTIES.includes(key))
+            .forEach(key => lossyFields.push(`caproverOneClickApp.${key}`));
+    }
+
+    Object.keys(parsed.dockerCompose.services || {}).forEach(serviceName => {
+        const service = parsed.dockerCompose.services[serviceName];
+        const extra = service.caproverExtra;
+
+        if (!extra) {
+            return;
+        }
+
+        SERVICE_EXTRA_PROPERTIES.forEach(propertyName => {
+            if (extra[propertyName] !== undefined) {
+                service[propertyName] = extra[propertyName];
+            }
+            delete extra[propertyName];
+        });
+
+        delete service.caproverExtra;
+        if (Object.keys(extra).length > 0) {
+            service.caproverExtra = extra;
+            Object.keys(extra).forEach(key => lossyFields.push(`services.${serviceName}.caproverExtra.${key}`));
+        }
+    });
+
+    return {
+        content: parsed,
+        lossyFields: lossyFields,
+    };
+}
+
+/**
+ * v2 -> v4
+ *
+ * Root properties that v4 has no place for are kept at the root and listed in lossyFields.
+ *
+ * @param v2Content parsed v2 template, it is not modified
+ * @returns {{content: object, lossyFields: string[]}}
+ */
+function convertV2toV4(v2Content) {
+    const parsed = clone(v2Content);
+    if (`${parsed.captainVersion}` !== '2') {
+        throw new Error('CaptainVersion must be 2 for this conversion');
+    }
+
+    const lossyFields = [];
+
+    parsed.services = (parsed.dockerCompose || {}).services;
+    delete parsed.dockerCompose;
+
+    parsed.captainVersion = 4;
+    parsed.caproverOneClickApp = parsed.caproverOneClickApp || {};
+
+    ONE_CLICK_APP_PROPERTIES.forEach(propertyName => {
+        if (parsed[propertyName] !== undefined) {
+            parsed.caproverOneClickApp[propertyName] = parsed[propertyName];
+        }
+        delete parsed[propertyName];
+    });
+
+    const instructions = parsed.caproverOneClickApp.instructions;
+    if (instructions && typeof instructions === 'object') {
+        instructions.start = withoutRequirementsText(parsed, instructions.start);
+    }
+
+    if (Array.isArray(parsed.caproverOneClickApp.variables)) {
+        parsed.caproverOneClickApp.variables = parsed.caproverOneClickApp.variables.map(variable =>
+            variable ? toTypedVariable(variable) : variable
+        );
+    }
+
+    Object.keys(parsed.services || {}).forEach(serviceName => {
+        const service = parsed.services[serviceName];
+        SERVICE_EXTRA_PROPERTIES.forEach(propertyName => {
+            if (service[propertyName] !== undefined) {
+                service.caproverExtra = service.caproverExtra || {};
+                service.caproverExtra[propertyName] = service[propertyName];
+            }
+            delete service[propertyName];
+        });
+    });
+
+    const knownV4RootFields = ['captainVersion', 'services', 'caproverOneClickApp', 'version', 'volumes', 'networks'];
+    Object.keys(parsed)
+        .filter(key => !knownV4RootFields.includes(key))
+        .forEach(key => lossyFields.push(key));
+
+    return {
+        content: parsed,
+        lossyFields: lossyFields,
+    };
+}
+
+/**
+ * v4 -> v4 as it is served under dist/v4
+ *
+ * CapRover does not read `type` in v4 either, so typed variables get the same validRegex and description
+ * as in v2, see toUntypedVariable(). `type` and its settings stay.
+ *
+ * @param v4Content parsed v4 template, it is not modified
+ * @returns the template for dist/v4
+ */
+function convertV4toDist(v4Content) {
+    const parsed = clone(v4Content);
+    const oneClickApp = parsed.caproverOneClickApp;
+    if (oneClickApp && Array.isArray(oneClickApp.variables)) {
+        oneClickApp.variables = oneClickApp.variables.map(variable => (variable ? toUntypedVariable(variable) : variable));
+    }
+    return parsed;
+}
+
+module.exports = {
+    convertV2toV4,
+    convertV4toV2,
+    convertV4toDist,
+};
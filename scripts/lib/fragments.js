@@ -0,0 +1,410 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const yaml = require('yaml');
+const fs = require('fs-extra');
+
+/**
+ * Shared service definitions, e.g. a Postgres database, that templates pull in with
+ *
+ *   services:
+ *       $$cap_appname-db:
+ *           extends:
+ *               fragment: postgres
+ *               with:
+ *                   database: miniflux
+ *
+ * Templates in public/v4/apps may extend fragments, dist and CapRover only ever see the
+ * fully inlined form, see expandFragments()
+ */
+const pathOfFragments = path.join(__dirname, '..', '..', 'public', 'v4', 'fragments');
+
+const FRAGMENT_KEYS = ['description', 'parameters', 'service', 'variables'];
+
+const EXTENDS_KEYS = ['fragment', 'with'];
+
+/**
+ * Parameter that every fragment gets, the name of the service that extends it
+ */
+const SERVICE_PARAMETER = 'service';
+
+const PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+const WHOLE_PLACEHOLDER_REGEX = /^\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function forEachString(node, callback) {
+    if (Array.isArray(node)) {
+        node.forEach(item => forEachString(item, callback));
+    } else if (isPlainObject(node)) {
+        Object.keys(node).forEach(key => {
+            callback(key);
+            forEachString(node[key], callback);
+        });
+    } else if (typeof node === 'string') {
+        callback(node);
+    }
+}
+
+function placeholdersOf(text) {
+    const names = [];
+    let match;
+    PLACEHOLDER_REGEX.lastIndex = 0;
+    while ((match = PLACEHOLDER_REGEX.exec(text)) !== null) {
+        names.push(match[1]);
+    }
+    return names;
+}
+
+/**
+ * Replaces {{name}} by the value of the parameter. A string that is nothing but the
+ * placeholder takes the value as it is, so that numbers stay numbers.
+ */
+function substitute(node, values) {
+    if (Array.isArray(node)) {
+        return node.map(item => substitute(item, values));
+    }
+    if (isPlainObject(node)) {
+        const result = {};
+        Object.keys(node).forEach(key => {
+            result[substitute(key, values)] = substitute(node[key], values);
+        });
+        return result;
+    }
+    if (typeof node === 'string') {
+        const whole = node.match(WHOLE_PLACEHOLDER_REGEX);
+        if (whole) {
+            return values[whole[1]];
+        }
+        return node.replace(PLACEHOLDER_REGEX, (match, name) => `${values[name]}`);
+    }
+    return node;
+}
+
+/**
+ * Reads every fragment in `directory`
+ *
+ * @returns {[name]: { name, fileName, contentString, doc, content }}, content is undefined if the YAML is invalid
+ */
+function readFragments(directory) {
+    const pathOfDirectory = directory || pathOfFragments;
+    if (!fs.existsSync(pathOfDirectory)) {
+        return {};
+    }
+    return readFragmentFiles(fs.readdirSync(pathOfDirectory).map(fileName => path.join(pathOfDirectory, fileName)));
+}
+
+/**
+ * Same as readFragments(), for fragments from several directories, see collectFiles() of sources.js
+ */
+function readFragmentFiles(filePaths) {
+    const fragments = {};
+
+    filePaths
+        .filter(filePath => filePath.endsWith('.yml'))
+        .sort((a, b) => (path.basename(a) < path.basename(b) ? -1 : path.basename(a) > path.basename(b) ? 1 : 0))
+        .forEach(filePath => {
+            const contentString = fs.readFileSync(filePath, 'utf-8');
+            const doc = yaml.parseDocument(contentString);
+            const fileName = path.basename(filePath);
+            const name = fileName.replace(/\.yml$/, '');
+            fragments[name] = {
+                name: name,
+                fileName: fileName,
+                filePath: filePath,
+                contentString: contentString,
+                doc: doc,
+                content: doc.errors.length > 0 ? undefined : doc.toJSON(),
+            };
+        });
+
+    return fragments;
+}
+
+/**
+ * Checks the structure of a fragment, that it only uses the parameters it declares,
+ * and warns about declared parameters that it never uses. The service itself is checked against the schema once it is inlined into a template.
+ *
+ * @param content the parsed fragment
+ * @returns an array of {severity, path: [], message}
+ */
+function analyzeFragment(content) {
+    const findings = [];
+    const error = (pathArray, message) => findings.push({ severity: 'error', path: pathArray, message: message });
+
+    if (!isPlainObject(content)) {
+        error([], 'a fragment must be a map with a service');
+        return findings;
+    }
+
+    Object.keys(content)
+        .filter(key => !FRAGMENT_KEYS.includes(key))
+        .forEach(key => error([key], `unknown key "${key}", a fragment has ${FRAGMENT_KEYS.join(', ')}`));
+
+    const parameters = content.parameters === undefined || content.parameters === null ? {} : content.parameters;
+    if (!isPlainObject(parameters)) {
+        error(['parameters'], 'parameters must be a map of parameter name to {description, default}');
+    } else {
+        Object.keys(parameters).forEach(name => {
+            const parameter = parameters[name] === null ? {} : parameters[name];
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                error(['parameters', name], `"${name}" is not a valid parameter name, use letters, digits and _`);
+            }
+            if (name === SERVICE_PARAMETER) {
+                error(['parameters', name], `"${SERVICE_PARAMETER}" is reserved for the name of the service that extends the fragment`);
+            }
+            if (!isPlainObject(parameter) || Object.keys(parameter).some(key => !['description', 'default'].includes(key))) {
+                error(['parameters', name], 'a parameter may only have a description and a default');
+            }
+        });
+    }
+
+    if (!isPlainObject(content.service)) {
+        error(['service'], 'a fragment needs a service');
+    } else if (content.service.extends !== undefined) {
+        error(['service', 'extends'], 'a fragment cannot extend another fragment');
+    }
+
+    if (content.variables !== undefined && !Array.isArray(content.variables)) {
+        error(['variables'], 'variables must be a list, like caproverOneClickApp.variables');
+    }
+
+    const declared = isPlainObject(parameters) ? Object.keys(parameters).concat([SERVICE_PARAMETER]) : [SERVICE_PARAMETER];
+    const used = [];
+    ['service', 'variables'].forEach(key => {
+        const unknown = [];
+        forEachString(content[key], text => {
+            placeholdersOf(text).forEach(name => {
+                if (!declared.includes(name) && !unknown.includes(name)) {
+                    unknown.push(name);
+                }
+                if (!used.includes(name)) {
+                    used.push(name);
+                }
+            });
+        });
+        unknown.forEach(name => error([key], `{{${name}}} is not a declared parameter`));
+    });
+    declared
+        .filter(name => name !== SERVICE_PARAMETER && !used.includes(name))
+        .forEach(name => findings.push({
+            severity: 'warning',
+            path: ['parameters', name],
+            message: `parameter "${name}" is not used, there is no {{${name}}} in the service or the variables`,
+        }));
+
+    return findings;
+}
+
+/**
+ * Names of the fragments that the template extends
+ */
+function fragmentsUsedBy(content) {
+    const services = (content && content.services) || {};
+    const names = [];
+    Object.keys(services).forEach(serviceName => {
+        const service = services[serviceName];
+        const name = service && isPlainObject(service.extends) ? `${service.extends.fragment}` : undefined;
+        if (name && !names.includes(name)) {
+            names.push(name);
+        }
+    });
+    return names;
+}
+
+/**
+ * Fragment first, then the keys that only the template has. Maps are merged, anything else
+ * in the template replaces the value of the fragment, which is recorded in `overridden`.
+ */
+function mergeInto(base, override, pathArray, overridden) {
+    const result = Object.assign({}, base);
+    Object.keys(override).forEach(key => {
+        const keyPath = pathArray.concat([key]);
+        if (isPlainObject(base[key]) && isPlainObject(override[key])) {
+            result[key] = mergeInto(base[key], override[key], keyPath, overridden);
+            return;
+        }
+        if (base[key] !== undefined && !isEqual(base[key], override[key])) {
+            overridden.push(keyPath);
+        }
+        result[key] = override[key];
+    });
+    return result;
+}
+
+/**
+ * Inlines the fragments that the services of a template extend: the service of the fragment,
+ * with its parameters substituted, is merged with the keys of the service in the template,
+ * and the variables of the fragment are appended to caproverOneClickApp.variables.
+ *
+ * Errors are unknown fragments and parameters, missing parameters, and fragments with errors.
+ * Warnings are the keys and variables of a fragment that the template overrides.
+ *
+ * @param content   the parsed template, it is not modified
+ * @param fragments see readFragments()
+ * @returns {{content: object, findings: [{severity, path: [], message}]}}, paths point into the template
+ */
+function expandFragments(content, fragments) {
+    const findings = [];
+    const services = (content && content.services) || {};
+
+    if (!Object.keys(services).some(serviceName => isPlainObject(services[serviceName]) && services[serviceName].extends !== undefined)) {
+        return {
+            content: content,
+            findings: findings,
+        };
+    }
+
+    const error = (pathArray, message) => findings.push({ severity: 'error', path: pathArray, message: message });
+    const expandedServices = {};
+    const fragmentVariables = [];
+
+    Object.keys(services).forEach(serviceName => {
+        const service = services[serviceName];
+        if (!isPlainObject(service) || service.extends === undefined) {
+            expandedServices[serviceName] = service;
+            return;
+        }
+
+        const extendsPath = ['services', serviceName, 'extends'];
+        const ownKeys = Object.assign({}, service);
+        delete ownKeys.extends;
+        expandedServices[serviceName] = ownKeys;
+
+        const extension = service.extends;
+        if (!isPlainObject(extension) || typeof extension.fragment !== 'string') {
+            error(extendsPath, 'extends needs the name of a fragment: extends: { fragment: <name>, with: { <parameter>: <value> } }');
+            return;
+        }
+        Object.keys(extension)
+            .filter(key => !EXTENDS_KEYS.includes(key))
+            .forEach(key => error(extendsPath.concat([key]), `unknown key "${key}", extends has ${EXTENDS_KEYS.join(', ')}`));
+
+        const fragment = fragments[extension.fragment];
+        if (!fragment) {
+            const names = Object.keys(fragments);
+            error(extendsPath.concat(['fragment']), `unknown fragment "${extension.fragment}", ` +
+                (names.length > 0 ? `the fragments are: ${names.join(', ')}` : 'public/v4/fragments has no fragments'));
+            return;
+        }
+        if (!fragment.content || analyzeFragment(fragment.content).some(f => f.severity === 'error')) {
+            error(extendsPath.concat(['fragment']), `fragment "${fragment.name}" is invalid, see the errors of fragments/${fragment.fileName}`);
+            return;
+        }
+
+        const parameters = fragment.content.parameters || {};
+        const given = extension.with === undefined || extension.with === null ? {} : extension.with;
+        if (!isPlainObject(given)) {
+            error(extendsPath.concat(['with']), 'with must be a map of parameter name to value');
+            return;
+        }
+
+        const values = {};
+        let hasParameterErrors = false;
+        Object.keys(given).forEach(name => {
+            if (!parameters[name]) {
+                hasParameterErrors = true;
+                error(extendsPath.concat(['with', name]), `unknown parameter "${name}" of fragment ${fragment.name}, ` +
+                    `its parameters are: ${Object.keys(parameters).join(', ') || '(none)'}`);
+            } else if (isPlainObject(given[name]) || Array.isArray(given[name])) {
+                hasParameterErrors = true;
+                error(extendsPath.concat(['with', name]), `the value of parameter "${name}" must be a string, number or boolean`);
+            }
+            values[name] = given[name];
+        });
+        Object.keys(parameters).forEach(name => {
+            const parameter = parameters[name] || {};
+            if (values[name] !== undefined && values[name] !== null) {
+                return;
+            }
+            if (parameter.default === undefined) {
+                hasParameterErrors = true;
+                error(extendsPath.concat(['with']), `missing parameter "${name}" of fragment ${fragment.name}` +
+                    (parameter.description ? `: ${parameter.description}` : ''));
+                return;
+            }
+            values[name] = parameter.default;
+        });
+        if (hasParameterErrors) {
+            return;
+        }
+        values[SERVICE_PARAMETER] = serviceName;
+
+        const overridden = [];
+        expandedServices[serviceName] = mergeInto(substitute(fragment.content.service, values), ownKeys, ['services', serviceName], overridden);
+        overridden.forEach(keyPath => {
+            findings.push({
+                severity: 'warning',
+                path: keyPath,
+                message: `overrides ${keyPath.slice(2).join('.')} of fragment ${fragment.name}, consider a parameter of the fragment instead`,
+            });
+        });
+
+        substitute(fragment.content.variables || [], values).forEach(variable => {
+            fragmentVariables.push({
+                variable: variable,
+                fragmentName: fragment.name,
+            });
+        });
+    });
+
+    const expanded = Object.assign({}, content, { services: expandedServices });
+
+    if (fragmentVariables.length > 0) {
+        const app = Object.assign({}, content.caproverOneClickApp);
+        const variables = Array.isArray(app.variables) ? app.variables.slice() : [];
+        fragmentVariables.forEach(entry => {
+            const index = variables.findIndex(v => v && entry.variable && v.id === entry.variable.id);
+            if (index < 0) {
+                variables.push(entry.variable);
+                return;
+            }
+            // The same fragment extended twice, or two fragments that share a variable
+            const isOwnVariable = !!(content.caproverOneClickApp && Array.isArray(content.caproverOneClickApp.variables) &&
+                content.caproverOneClickApp.variables[index] === variables[index]);
+            if (isOwnVariable && !isEqual(variables[index], entry.variable)) {
+                findings.push({
+                    severity: 'warning',
+                    path: ['caproverOneClickApp', 'variables', index],
+                    message: `overrides the variable ${entry.variable.id} of fragment ${entry.fragmentName}`,
+                });
+            }
+        });
+        app.variables = variables;
+        expanded.caproverOneClickApp = app;
+    }
+
+    return {
+        content: expanded,
+        findings: findings,
+    };
+}
+
+/**
+ * expandFragments() for the build and the other scripts, which cannot continue with errors.
+ * The validator reports the warnings.
+ */
+function resolveFragments(appName, content, fragments) {
+    const result = expandFragments(content, fragments);
+    const errors = result.findings.filter(f => f.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`${appName}: ${errors.map(e => `${e.path.join('.')} ${e.message}`).join('\n    ')}`);
+    }
+    return result.content;
+}
+
+module.exports = {
+    pathOfFragments,
+    readFragments,
+    readFragmentFiles,
+    analyzeFragment,
+    fragmentsUsedBy,
+    expandFragments,
+    resolveFragments,
+};
@@ -0,0 +1,320 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const fs = require('fs-extra');
+const { BUILT_IN_VARIABLES } = require('./variable_references');
+
+/**
+ * Configuration of the image tag policy: which tags are floating, and which apps are
+ * grandfathered. Offending images of grandfathered apps are reported as warnings.
+ */
+const pathOfImagePolicy = path.join(__dirname, '..', 'image_policy.json');
+
+const RANDOM_HEX_REGEX = /\$\$cap_gen_random_hex\((\d+)\)/g;
+
+const FROM_REGEX = /^\s*FROM\s+((?:--\S+\s+)*)(\S+)(?:\s+AS\s+(\S+))?\s*$/i;
+
+const ARG_REGEX = /^\s*ARG\s+([A-Za-z_][A-Za-z0-9_]*)(?:=(\S*))?\s*$/i;
+
+const BUILD_ARG_REFERENCE_REGEX = /\$(?:\{([A-Za-z_][A-Za-z0-9_]*)(?::?-([^}]*))?\}|([A-Za-z_][A-Za-z0-9_]*))/g;
+
+function readImagePolicy(filePath) {
+    const policy = fs.readJsonSync(filePath || pathOfImagePolicy);
+    return {
+        floatingTags: (policy.floatingTags || []).map(tag => `${tag}`.toLowerCase()),
+        requireVersionInTag: !!policy.requireVersionInTag,
+        allowList: policy.allowList || [],
+    };
+}
+
+/**
+ * Splits an image reference such as `registry:5000/org/name:tag@sha256:...`
+ *
+ * @returns {{name: string, tag: string|undefined, digest: string|undefined}}
+ */
+function parseImageReference(reference) {
+    let name = `${reference}`.trim();
+    let digest = undefined;
+
+    const digestIndex = name.indexOf('@');
+    if (digestIndex >= 0) {
+        digest = name.substring(digestIndex + 1);
+        name = name.substring(0, digestIndex);
+    }
+
+    let tag = undefined;
+    const lastSlash = name.lastIndexOf('/');
+    const tagIndex = name.indexOf(':', lastSlash + 1);
+    if (tagIndex >= 0) {
+        tag = name.substring(tagIndex + 1);
+        name = name.substring(0, tagIndex);
+    }
+
+    return {
+        name: name,
+        tag: tag,
+        digest: digest,
+    };
+}
+
+/**
+ * Replaces the variables in `text` by their default values, the way CapRover would if
+ * the user does not change anything.
+ *
+ * @returns {{value: string, usedVariables: string[], emptyVariables: string[]}}
+ */
+function resolveVariableDefaults(text, variables) {
+    const idsLongestFirst = variables.map(v => v.id).sort((a, b) => b.length - a.length);
+    const usedVariables = [];
+    const emptyVariables = [];
+
+    let value = `${text}`;
+    idsLongestFirst.forEach(id => {
+        if (!value.includes(id)) {
+            return;
+        }
+        const variable = variables.find(v => v.id === id);
+        const defaultValue = variable.defaultValue === undefined || variable.defaultValue === null ?
+            '' : `${variable.defaultValue}`;
+        usedVariables.push(id);
+        if (!defaultValue) {
+            emptyVariables.push(id);
+        }
+        value = value.split(id).join(defaultValue);
+    });
+
+    BUILT_IN_VARIABLES.forEach(id => (value = value.split(id).join('myapp')));
+    value = value.replace(RANDOM_HEX_REGEX, (match, length) => '0'.repeat(Number(length)));
+
+    return {
+        value: value,
+        usedVariables: usedVariables,
+        emptyVariables: emptyVariables,
+    };
+}
+
+function environmentOf(service) {
+    const environment = {};
+    if (Array.isArray(service.environment)) {
+        service.environment.forEach(entry => {
+            const index = `${entry}`.indexOf('=');
+            if (index > 0) {
+                environment[`${entry}`.substring(0, index)] = `${entry}`.substring(index + 1);
+            }
+        });
+    } else if (service.environment) {
+        Object.keys(service.environment).forEach(key => {
+            const value = service.environment[key];
+            environment[key] = value === null || value === undefined ? '' : `${value}`;
+        });
+    }
+    return environment;
+}
+
+/**
+ * CapRover passes the environment variables of the service as build arguments, so
+ * `ARG VERSION` followed by `FROM image:$VERSION` takes its tag from `environment.VERSION`.
+ *
+ * @returns {{value: string, unresolvedArgs: string[]}}
+ */
+function resolveBuildArgs(text, buildArgs) {
+    const unresolvedArgs = [];
+    const value = `${text}`.replace(BUILD_ARG_REFERENCE_REGEX, (match, bracedName, fallback, plainName) => {
+        const name = bracedName || plainName;
+        if (buildArgs[name]) {
+            return buildArgs[name];
+        }
+        if (fallback) {
+            return fallback;
+        }
+        unresolvedArgs.push(name);
+        return '';
+    });
+    return {
+        value: value,
+        unresolvedArgs: unresolvedArgs,
+    };
+}
+
+function referencesBuildArg(text, name) {
+    return new RegExp(`\\$(\\{${name}[}:-]|${name}(?![A-Za-z0-9_]))`).test(text);
+}
+
+/**
+ * Lists the images of a service: its `image`, and the `FROM` lines of its dockerfileLines,
+ * except for references to earlier build stages and `scratch`.
+ *
+ * @returns [{ path: [], reference: string (as written), buildArgs: {} or undefined }]
+ */
+function imagesOf(serviceName, service) {
+    const images = [];
+
+    if (service.image) {
+        images.push({
+            path: ['services', serviceName, 'image'],
+            reference: `${service.image}`,
+            buildArgs: undefined,
+        });
+    }
+
+    const dockerfileLines = (service.caproverExtra && service.caproverExtra.dockerfileLines) || [];
+    const environment = environmentOf(service);
+    const buildArgs = {};
+    const stageNames = ['scratch'];
+
+    dockerfileLines.forEach((line, index) => {
+        const argMatch = `${line}`.match(ARG_REGEX);
+        if (argMatch) {
+            const name = argMatch[1];
+            buildArgs[name] = environment[name] || argMatch[2] || '';
+            return;
+        }
+
+        const fromMatch = `${line}`.match(FROM_REGEX);
+        if (!fromMatch) {
+            return;
+        }
+        if (fromMatch[3]) {
+            stageNames.push(fromMatch[3].toLowerCase());
+        }
+        if (stageNames.includes(fromMatch[2].toLowerCase())) {
+            return;
+        }
+        images.push({
+            path: ['services', serviceName, 'caproverExtra', 'dockerfileLines', index],
+            reference: fromMatch[2],
+            buildArgs: Object.assign({}, buildArgs),
+        });
+    });
+
+    return images;
+}
+
+/**
+ * @param parsed see parseImageReference()
+ * @param policy see readImagePolicy()
+ * @returns a description of what is wrong with the tag, or undefined if it is pinned
+ */
+function checkTag(parsed, policy) {
+    if (parsed.digest) {
+        return undefined;
+    }
+    if (parsed.tag === undefined) {
+        return 'has no tag, so it always pulls "latest"';
+    }
+    if (parsed.tag === '') {
+        return 'has an empty tag';
+    }
+    if (policy.floatingTags.includes(parsed.tag.toLowerCase())) {
+        return `uses the floating tag "${parsed.tag}"`;
+    }
+    if (policy.requireVersionInTag && !/\d/.test(parsed.tag)) {
+        return `uses the tag "${parsed.tag}", which has no version number`;
+    }
+    return undefined;
+}
+
+/**
+ * Lists every image of the app, including the FROM lines of dockerfileLines, with the reference resolved
+ * through the default values of the variables and the build arguments, since that is what gets deployed
+ * when the user does not change anything.
+ *
+ * @param content the parsed template
+ * @returns [{ serviceName, path: [], reference, resolved, usedVariables: [], emptyVariables: [], unresolvedArgs: [] }]
+ */
+function resolveImages(content) {
+    const resolvedImages = [];
+    const services = (content && content.services) || {};
+    const variables = ((content && content.caproverOneClickApp && content.caproverOneClickApp.variables) || [])
+        .filter(v => v && v.id);
+
+    Object.keys(services).forEach(serviceName => {
+        const service = services[serviceName] || {};
+        imagesOf(serviceName, service).forEach(image => {
+            const resolved = resolveVariableDefaults(image.reference, variables);
+            let unresolvedArgs = [];
+
+            if (image.buildArgs) {
+                const buildArgs = {};
+                Object.keys(image.buildArgs).forEach(name => {
+                    const arg = resolveVariableDefaults(image.buildArgs[name], variables);
+                    buildArgs[name] = arg.value;
+                    if (referencesBuildArg(resolved.value, name)) {
+                        resolved.usedVariables.push(...arg.usedVariables);
+                        resolved.emptyVariables.push(...arg.emptyVariables);
+                    }
+                });
+                const withArgs = resolveBuildArgs(resolved.value, buildArgs);
+                unresolvedArgs = withArgs.unresolvedArgs;
+                resolved.value = withArgs.value;
+            }
+
+            resolvedImages.push({
+                serviceName: serviceName,
+                path: image.path,
+                reference: image.reference,
+                resolved: resolved.value,
+                usedVariables: resolved.usedVariables,
+                emptyVariables: resolved.emptyVariables,
+                unresolvedArgs: unresolvedArgs,
+            });
+        });
+    });
+
+    return resolvedImages;
+}
+
+/**
+ * Checks that every image of the app, including the FROM lines of dockerfileLines, is pinned to a
+ * version. Image references are resolved first, see resolveImages().
+ *
+ * @param appName used for the allow-list
+ * @param content the parsed template
+ * @param policy  see readImagePolicy()
+ * @returns an array of {severity, path: [], message, image}, where image is the resolved reference
+ */
+function analyzeImageTags(appName, content, policy) {
+    const severity = policy.allowList.includes(appName) ? 'warning' : 'error';
+    const findings = [];
+
+    resolveImages(content).forEach(image => {
+        const problem = checkTag(parseImageReference(image.resolved), policy);
+        if (!problem) {
+            return;
+        }
+
+        let message = `image "${image.reference}"`;
+        if (image.resolved !== image.reference) {
+            message += ` resolves to "${image.resolved}" and`;
+        }
+        message += ` ${problem}.`;
+        if (image.emptyVariables.length > 0) {
+            message += ` ${image.emptyVariables.join(', ')} has no default value.`;
+        } else if (image.usedVariables.length > 0) {
+            message += ` Change the default value of ${image.usedVariables.join(', ')}.`;
+        }
+        if (image.unresolvedArgs.length > 0) {
+            message += ` The build argument ${image.unresolvedArgs.join(', ')} has no default value and no environment variable.`;
+        }
+        if (severity === 'warning') {
+            message += ' Allowed for now by scripts/image_policy.json.';
+        }
+
+        findings.push({
+            severity: severity,
+            path: image.path,
+            message: message,
+            image: image.resolved,
+        });
+    });
+
+    return findings;
+}
+
+module.exports = {
+    pathOfImagePolicy,
+    readImagePolicy,
+    parseImageReference,
+    checkTag,
+    resolveImages,
+    analyzeImageTags,
+};
@@ -0,0 +1,195 @@
+/*jshint esversion: 6 */
+const yaml = require('yaml');
+const { Scalar } = require('yaml/types');
+const { parseImageReference, resolveImages } = require('./image_policy');
+
+/**
+ * A tag such as `v1.28.0`, `16.2-alpine` or `2025.2.1`: an optional `v`, up to four numbers and anything after them
+ */
+const VERSION_REGEX = /^(v?)(\d+(?:\.\d+){0,3})(.*)$/;
+
+const DEFAULT_REGISTRY = 'docker.io';
+
+/**
+ * @returns {prefix, numbers: [], suffix} or undefined if the tag does not start with a version
+ */
+function parseVersion(tag) {
+    const match = `${tag}`.match(VERSION_REGEX);
+    if (!match) {
+        return undefined;
+    }
+    return {
+        prefix: match[1],
+        numbers: match[2].split('.').map(Number),
+        suffix: match[3],
+    };
+}
+
+function compareNumbers(a, b) {
+    for (var i = 0; i < Math.max(a.length, b.length); i++) {
+        const difference = (a[i] || 0) - (b[i] || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Whether `candidate` is a semver-compatible update of `current`, like a caret range: the same major
+ * version, or for 0.x versions the same minor version
+ */
+function isCompatible(current, candidate) {
+    const significant = current.numbers[0] === 0 && current.numbers.length > 1 ? 2 : 1;
+    return current.numbers.slice(0, significant).join('.') === candidate.numbers.slice(0, significant).join('.');
+}
+
+/**
+ * The newer versions among the tags of the image. Only tags written like the current one count, with the
+ * same `v`, as many numbers and the same suffix, so that `16.2-alpine` moves to `16.4-alpine` but not to
+ * `17rc1` or `16.4-bookworm`.
+ *
+ * @returns {compatible, latest}, the newest tag with the same major version and the newest tag at all,
+ *          each undefined if there is no newer one
+ */
+function findNewerVersions(currentTag, tags) {
+    const current = parseVersion(currentTag);
+    if (!current) {
+        return { compatible: undefined, latest: undefined };
+    }
+
+    const newer = tags
+        .map(tag => ({ tag: tag, version: parseVersion(tag) }))
+        .filter(t => t.version && t.version.prefix === current.prefix && t.version.suffix === current.suffix &&
+            t.version.numbers.length === current.numbers.length && compareNumbers(t.version.numbers, current.numbers) > 0)
+        .sort((a, b) => compareNumbers(b.version.numbers, a.version.numbers));
+    const compatible = newer.find(t => isCompatible(current, t.version));
+
+    return {
+        compatible: compatible ? compatible.tag : undefined,
+        latest: newer.length > 0 ? newer[0].tag : undefined,
+    };
+}
+
+/**
+ * Splits an image name into its registry and repository the way docker does, e.g. `postgres` is
+ * `library/postgres` on Docker Hub and `ghcr.io/org/app` is `org/app` on ghcr.io
+ *
+ * @returns {registry, repository}
+ */
+function parseRepository(name) {
+    const parts = `${name}`.split('/');
+    const hasRegistry = parts.length > 1 && (parts[0].includes('.') || parts[0].includes(':') || parts[0] === 'localhost');
+    const registry = hasRegistry ? parts.shift() : DEFAULT_REGISTRY;
+    if (registry === DEFAULT_REGISTRY && parts.length === 1) {
+        parts.unshift('library');
+    }
+    return {
+        registry: registry,
+        repository: parts.join('/'),
+    };
+}
+
+/**
+ * The variables of the template that are the tag of an image, e.g. $$cap_wp_version of
+ * `wordpress:$$cap_wp_version`, with the images that use them. Tags may have more around the
+ * variable, like `zammad-postgresql-$$cap_version`. Images whose tag comes from a build argument
+ * or from a fragment are not included.
+ *
+ * @param content the parsed template
+ * @returns [{ id, defaultValue, images: [{ serviceName, path: [], reference, registry, repository, tagPrefix, tagSuffix }] }]
+ */
+function findVersionVariables(content) {
+    const variables = ((content && content.caproverOneClickApp && content.caproverOneClickApp.variables) || [])
+        .filter(v => v && v.id);
+    const idsLongestFirst = variables.map(v => `${v.id}`).sort((a, b) => b.length - a.length);
+    const byId = {};
+
+    resolveImages(content).forEach(image => {
+        const parsed = parseImageReference(image.reference);
+        if (!parsed.tag || parsed.digest) {
+            return;
+        }
+        const id = idsLongestFirst.find(variableId => parsed.tag.includes(variableId));
+        if (!id) {
+            return;
+        }
+        const index = parsed.tag.indexOf(id);
+        const tagPrefix = parsed.tag.substring(0, index);
+        const tagSuffix = parsed.tag.substring(index + id.length);
+        // the name has to resolve through the default values, since that is the image that gets deployed
+        const name = parseImageReference(image.resolved).name;
+        if (`${tagPrefix}${tagSuffix}${name}`.includes('$$cap_') || name.includes('$')) {
+            return;
+        }
+
+        const variable = variables.find(v => `${v.id}` === id);
+        byId[id] = byId[id] || {
+            id: id,
+            defaultValue: variable.defaultValue === undefined || variable.defaultValue === null ? '' : `${variable.defaultValue}`,
+            images: [],
+        };
+        byId[id].images.push(Object.assign({
+            serviceName: image.serviceName,
+            path: image.path,
+            reference: image.reference,
+            tagPrefix: tagPrefix,
+            tagSuffix: tagSuffix,
+        }, parseRepository(name)));
+    });
+
+    return Object.keys(byId).map(id => byId[id]);
+}
+
+/**
+ * The newer versions of a version variable, among the tags that every image that uses it has
+ *
+ * @param variable    see findVersionVariables()
+ * @param tagsOfImage function(image) that returns the tags of its repository
+ * @returns {compatible, latest}, see findNewerVersions()
+ */
+function findUpdates(variable, tagsOfImage) {
+    let versions;
+    variable.images.forEach(image => {
+        const ofImage = tagsOfImage(image)
+            .filter(tag => tag.startsWith(image.tagPrefix) && tag.endsWith(image.tagSuffix) &&
+                tag.length > image.tagPrefix.length + image.tagSuffix.length)
+            .map(tag => tag.substring(image.tagPrefix.length, tag.length - image.tagSuffix.length));
+        versions = versions === undefined ? ofImage : versions.filter(version => ofImage.includes(version));
+    });
+    return findNewerVersions(variable.defaultValue, versions || []);
+}
+
+/**
+ * Changes the defaultValue of a variable in the text of the template, everything else, including its quotes, stays as it is
+ *
+ * @returns the new text of the template
+ * @throws if the variable has no defaultValue that is written as a plain or quoted value
+ */
+function updateDefaultValue(contentString, variableId, newValue) {
+    const doc = yaml.parseDocument(contentString, { keepCstNodes: true });
+    const variables = doc.getIn(['caproverOneClickApp', 'variables']);
+    const variable = ((variables && variables.items) || []).find(item => item && item.get && `${item.get('id')}` === variableId);
+    const node = variable ? variable.get('defaultValue', true) : undefined;
+    if (!(node instanceof Scalar) || !['PLAIN', 'QUOTE_SINGLE', 'QUOTE_DOUBLE'].includes(node.type)) {
+        throw new Error(`${variableId} has no defaultValue that can be updated`);
+    }
+
+    let text = newValue;
+    if (node.type === 'QUOTE_DOUBLE') {
+        text = JSON.stringify(newValue);
+    } else if (node.type === 'QUOTE_SINGLE' || typeof yaml.parse(newValue) !== 'string') {
+        // e.g. 1.10 would be the number 1.1 without quotes
+        text = `'${newValue.replace(/'/g, "''")}'`;
+    }
+
+    const range = node.cstNode.valueRange;
+    return contentString.substring(0, range.start) + text + contentString.substring(range.end);
+}
+
+module.exports = {
+    findNewerVersions,
+    findVersionVariables,
+    findUpdates,
+    updateDefaultValue,
+};
@@ -0,0 +1,65 @@
+/*jshint esversion: 6 */
+
+/**
+ * Apps are never deleted, since CapRover users may still refer to them by name. Instead, caproverOneClickApp can say
+ *   deprecated: <why the app should not be installed anymore>
+ *   replacedBy: <the app to install instead>
+ *   hidden: true, to leave the app out of the lists, while it can still be installed by its name
+ *
+ * @returns {deprecated: boolean, deprecationReason, replacedBy, hidden: boolean}
+ */
+function lifecycleOf(content) {
+    const app = (content && content.caproverOneClickApp) || {};
+    const reason = typeof app.deprecated === 'string' ? app.deprecated.trim() : '';
+    return {
+        deprecated: !!reason,
+        deprecationReason: reason || undefined,
+        replacedBy: app.replacedBy ? `${app.replacedBy}` : undefined,
+        hidden: `${app.hidden}`.toLowerCase().trim() === 'true',
+    };
+}
+
+/**
+ * Checks that replacedBy names another app that exists and is neither hidden nor deprecated itself,
+ * and that an app with a replacement is deprecated. Everything else of a deprecated or hidden app is
+ * validated like any other app.
+ *
+ * @param appName     the name of the app
+ * @param content     the parsed template
+ * @param allAppNames every app of the sources
+ * @param lifecycles  {[appName]: lifecycleOf()} of the apps of the sources, to check the app that replacedBy names
+ * @returns an array of {severity, path: [], message}
+ */
+function analyzeLifecycle(appName, content, allAppNames, lifecycles) {
+    const lifecycle = lifecycleOf(content);
+    const findings = [];
+    const error = (key, message) => findings.push({ severity: 'error', path: ['caproverOneClickApp', key], message: message });
+
+    if (lifecycle.replacedBy === undefined) {
+        return findings;
+    }
+    if (!lifecycle.deprecated) {
+        error('replacedBy', `an app with a replacement is deprecated, add "deprecated: <reason>" next to replacedBy: ${lifecycle.replacedBy}`);
+    }
+    if (lifecycle.replacedBy === appName) {
+        error('replacedBy', 'an app cannot replace itself');
+    } else if (!allAppNames.includes(lifecycle.replacedBy)) {
+        error('replacedBy', `replacedBy names the app ${lifecycle.replacedBy}, which does not exist`);
+    } else {
+        const replacement = (lifecycles || {})[lifecycle.replacedBy];
+        if (replacement && replacement.hidden) {
+            error('replacedBy', `replacedBy names the app ${lifecycle.replacedBy}, which is hidden from the lists, name an app that users can find`);
+        }
+        if (replacement && replacement.deprecated) {
+            error('replacedBy', `replacedBy names the app ${lifecycle.replacedBy}, which is deprecated itself` +
+                (replacement.replacedBy ? `, name its replacement ${replacement.replacedBy} instead` : ''));
+        }
+    }
+
+    return findings;
+}
+
+module.exports = {
+    lifecycleOf,
+    analyzeLifecycle,
+};
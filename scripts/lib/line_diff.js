@@ -0,0 +1,97 @@
+/*jshint esversion: 6 */
+
+/**
+ * Line diffs in the unified format of `diff -u` and git, for dry runs that show what a script would change
+ */
+const CONTEXT_LINES = 3;
+
+/**
+ * The operations that turn the old lines into the new ones, from the longest common subsequence
+ *
+ * @returns [{ type: ' ' | '-' | '+', line }]
+ */
+function diffLines(oldLines, newLines) {
+    const lengths = [];
+    for (var i = oldLines.length; i >= 0; i--) {
+        lengths[i] = [];
+        for (var j = newLines.length; j >= 0; j--) {
+            if (i === oldLines.length || j === newLines.length) {
+                lengths[i][j] = 0;
+            } else if (oldLines[i] === newLines[j]) {
+                lengths[i][j] = lengths[i + 1][j + 1] + 1;
+            } else {
+                lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+    }
+
+    const operations = [];
+    let o = 0;
+    let n = 0;
+    while (o < oldLines.length || n < newLines.length) {
+        if (o < oldLines.length && n < newLines.length && oldLines[o] === newLines[n]) {
+            operations.push({ type: ' ', line: oldLines[o++] });
+            n++;
+        } else if (o < oldLines.length && (n === newLines.length || lengths[o + 1][n] >= lengths[o][n + 1])) {
+            operations.push({ type: '-', line: oldLines[o++] });
+        } else {
+            operations.push({ type: '+', line: newLines[n++] });
+        }
+    }
+    return operations;
+}
+
+function hunkRange(start, count) {
+    return count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * @param oldText  the text before
+ * @param newText  the text after
+ * @param fileName shown in the --- and +++ lines
+ * @returns the unified diff, empty if the texts are the same
+ */
+function unifiedDiff(oldText, newText, fileName) {
+    if (oldText === newText) {
+        return '';
+    }
+    const operations = diffLines(oldText.split('\n'), newText.split('\n'));
+
+    // the changes with their context, changes that are close together share a hunk
+    const hunks = [];
+    operations.forEach((operation, index) => {
+        if (operation.type === ' ') {
+            return;
+        }
+        const start = Math.max(0, index - CONTEXT_LINES);
+        const end = Math.min(operations.length, index + CONTEXT_LINES + 1);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end) {
+            last.end = end;
+        } else {
+            hunks.push({ start: start, end: end });
+        }
+    });
+
+    const lines = [`--- a/${fileName}`, `+++ b/${fileName}`];
+    let oldLine = 1;
+    let newLine = 1;
+    let position = 0;
+    hunks.forEach(hunk => {
+        for (; position < hunk.start; position++) {
+            oldLine += operations[position].type !== '+' ? 1 : 0;
+            newLine += operations[position].type !== '-' ? 1 : 0;
+        }
+        const part = operations.slice(hunk.start, hunk.end);
+        const oldCount = part.filter(operation => operation.type !== '+').length;
+        const newCount = part.filter(operation => operation.type !== '-').length;
+        lines.push(`@@ -${hunkRange(oldLine, oldCount)} +${hunkRange(newLine, newCount)} @@`);
+        part.forEach(operation => lines.push(`${operation.type}${operation.line}`));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    unifiedDiff,
+};
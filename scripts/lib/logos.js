@@ -0,0 +1,199 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const fs = require('fs-extra');
+const { decodePng, encodePng, readPngHeader } = require('./png');
+
+/**
+ * Configuration of the logo checks: the limits of the dimensions and the file size, the sizes of
+ * the thumbnails in dist/v4/logos, and which apps are grandfathered. Offending logos of
+ * grandfathered apps are reported as warnings.
+ */
+const pathOfLogoPolicy = path.join(__dirname, '..', 'logo_policy.json');
+
+function readLogoPolicy(filePath) {
+    const policy = fs.readJsonSync(filePath || pathOfLogoPolicy);
+    return {
+        minSize: policy.minSize || 0,
+        maxSize: policy.maxSize || Infinity,
+        maxAspectRatio: policy.maxAspectRatio || Infinity,
+        maxFileSize: policy.maxFileSize || Infinity,
+        thumbnailSizes: policy.thumbnailSizes || [],
+        allowList: policy.allowList || [],
+    };
+}
+
+function formatFileSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Checks that the logo is a PNG within the limits of the policy
+ *
+ * @param appName used for the allow-list
+ * @param buffer  the content of the logo file
+ * @param policy  see readLogoPolicy()
+ * @returns {header, findings}, header is undefined if the file is not a readable PNG.
+ *          findings is an array of {severity, path: [], message}
+ */
+function analyzeLogo(appName, buffer, policy) {
+    const allowed = policy.allowList.includes(appName);
+    const findings = [];
+    const report = message => findings.push({
+        severity: allowed ? 'warning' : 'error',
+        path: [],
+        message: `logo: ${message}${allowed ? '. Allowed for now by scripts/logo_policy.json.' : ''}`,
+    });
+
+    let header;
+    try {
+        header = readPngHeader(buffer);
+    } catch (err) {
+        report(err.message);
+        return { header: undefined, findings: findings };
+    }
+
+    const dimensions = `${header.width}x${header.height}`;
+    const smaller = Math.min(header.width, header.height);
+    const larger = Math.max(header.width, header.height);
+    if (smaller < policy.minSize) {
+        report(`${dimensions} pixels is too small, both sides need at least ${policy.minSize} pixels`);
+    }
+    if (larger > policy.maxSize) {
+        report(`${dimensions} pixels is too large, neither side may have more than ${policy.maxSize} pixels`);
+    }
+    if (larger / smaller > policy.maxAspectRatio) {
+        report(`${dimensions} pixels is too wide or too tall, the aspect ratio may be at most ${policy.maxAspectRatio}:1, ` +
+            'a square logo works best');
+    }
+    if (buffer.length > policy.maxFileSize) {
+        report(`the file has ${formatFileSize(buffer.length)}, at most ${formatFileSize(policy.maxFileSize)} are allowed`);
+    }
+
+    return { header: header, findings: findings };
+}
+
+/**
+ * Logos that no app uses, compared by the file name without extension
+ *
+ * @param logoFileNames e.g. ['adminer.png']
+ * @param appNames      e.g. ['adminer']
+ */
+function findOrphanLogos(logoFileNames, appNames) {
+    return logoFileNames.filter(fileName => !appNames.includes(fileName.replace(/\.png$/, '')));
+}
+
+/**
+ * For every target pixel, the source pixels it covers and by how much, for an area-average resize
+ *
+ * @returns [[{index, weight}]], the weights of a target pixel sum up to 1
+ */
+function coverage(sourceLength, targetLength) {
+    const scale = sourceLength / targetLength;
+    const result = [];
+    for (var t = 0; t < targetLength; t++) {
+        const start = t * scale;
+        const end = start + scale;
+        const weights = [];
+        for (var s = Math.floor(start); s < Math.min(Math.ceil(end), sourceLength); s++) {
+            const overlap = Math.min(end, s + 1) - Math.max(start, s);
+            if (overlap > 0) {
+                weights.push({ index: s, weight: overlap / scale });
+            }
+        }
+        result.push(weights);
+    }
+    return result;
+}
+
+/**
+ * Scales the image to fit into a square of `size` pixels, keeping its aspect ratio, and centers it
+ * on a transparent background. The colors are averaged with premultiplied alpha, so that transparent
+ * pixels do not darken the edges.
+ *
+ * @param image see decodePng()
+ * @returns {width, height, data} of size x size pixels
+ */
+function fitIntoSquare(image, size) {
+    const scale = Math.min(size / image.width, size / image.height);
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const columns = coverage(image.width, width);
+    const rows = coverage(image.height, height);
+
+    // Horizontally first, into premultiplied floats of width x image.height
+    const horizontal = new Float64Array(width * image.height * 4);
+    for (var y = 0; y < image.height; y++) {
+        for (var x = 0; x < width; x++) {
+            const target = (y * width + x) * 4;
+            columns[x].forEach(c => {
+                const source = (y * image.width + c.index) * 4;
+                const alpha = (image.data[source + 3] / 255) * c.weight;
+                horizontal[target] += image.data[source] * alpha;
+                horizontal[target + 1] += image.data[source + 1] * alpha;
+                horizontal[target + 2] += image.data[source + 2] * alpha;
+                horizontal[target + 3] += alpha;
+            });
+        }
+    }
+
+    const data = Buffer.alloc(size * size * 4);
+    const left = Math.floor((size - width) / 2);
+    const top = Math.floor((size - height) / 2);
+    const pixel = [0, 0, 0, 0];
+    for (var ty = 0; ty < height; ty++) {
+        for (var tx = 0; tx < width; tx++) {
+            pixel.fill(0);
+            rows[ty].forEach(r => {
+                const source = (r.index * width + tx) * 4;
+                for (var c = 0; c < 4; c++) {
+                    pixel[c] += horizontal[source + c] * r.weight;
+                }
+            });
+            const target = ((top + ty) * size + left + tx) * 4;
+            if (pixel[3] > 0) {
+                data[target] = Math.min(255, Math.round(pixel[0] / pixel[3]));
+                data[target + 1] = Math.min(255, Math.round(pixel[1] / pixel[3]));
+                data[target + 2] = Math.min(255, Math.round(pixel[2] / pixel[3]));
+                data[target + 3] = Math.min(255, Math.round(pixel[3] * 255));
+            }
+        }
+    }
+
+    return {
+        width: size,
+        height: size,
+        data: data,
+    };
+}
+
+/**
+ * The path of a thumbnail relative to dist/v4/logos, e.g. 64x64/adminer.png
+ */
+function thumbnailPath(logoFileName, size) {
+    return `${size}x${size}/${logoFileName}`;
+}
+
+/**
+ * Creates the square thumbnails of a logo
+ *
+ * @param buffer the content of the logo file, a PNG
+ * @param sizes  e.g. [64, 128]
+ * @returns [{size, content}], the content being PNG files. Throws if the logo cannot be decoded.
+ */
+function createThumbnails(buffer, sizes) {
+    const image = decodePng(buffer);
+    return sizes.map(size => ({
+        size: size,
+        content: encodePng(fitIntoSquare(image, size)),
+    }));
+}
+
+module.exports = {
+    pathOfLogoPolicy,
+    readLogoPolicy,
+    analyzeLogo,
+    findOrphanLogos,
+    fitIntoSquare,
+    thumbnailPath,
+    createThumbnails,
+};
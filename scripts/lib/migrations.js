@@ -0,0 +1,143 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const fs = require('fs-extra');
+const prettier = require('prettier');
+const { createYamlEditor } = require('./yaml_edit');
+const { formatTemplateFile } = require('./canonical_format');
+
+/**
+ * Migrations evolve the v4 format across all templates, e.g. to rename a field. They are listed in
+ * scripts/migrations/index.js, in the order they run, and each one is a module:
+ *   {
+ *       id: '0002-short-name',                    <- the number gives the order, never change it
+ *       description: 'What it changes and why',
+ *       migrateApp(template, appName),            <- optional, for public/v4/apps/*.yml
+ *       migrateFragment(fragment, fragmentName),  <- optional, for public/v4/fragments/*.yml
+ *   }
+ * The functions edit the template through createYamlEditor() of yaml_edit.js, so that comments and
+ * formatting stay. Running a migration again must not change anything.
+ *
+ * Every source records the migrations that it has applied in migrations.json, next to its apps directory.
+ */
+const ID_REGEX = /^\d{4}-[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const RECORD_FILE_NAME = 'migrations.json';
+
+/**
+ * Checks that the ids are unique and in order, and that every migration has something to run
+ *
+ * @returns the migrations
+ */
+function checkRegistry(migrations) {
+    migrations.forEach((migration, index) => {
+        const name = migration.id || `migrations[${index}]`;
+        if (typeof migration.id !== 'string' || !ID_REGEX.test(migration.id)) {
+            throw new Error(`${name}: the id must be a 4 digit number and a name, e.g. 0002-rename-something`);
+        }
+        if (migrations.findIndex(m => m.id === migration.id) !== index) {
+            throw new Error(`${name}: there is more than one migration with this id`);
+        }
+        if (index > 0 && migration.id <= migrations[index - 1].id) {
+            throw new Error(`${name}: migrations are listed in the order of their ids, it comes before ${migrations[index - 1].id}`);
+        }
+        if (typeof migration.description !== 'string' || !migration.description) {
+            throw new Error(`${name}: needs a description`);
+        }
+        if (typeof migration.migrateApp !== 'function' && typeof migration.migrateFragment !== 'function') {
+            throw new Error(`${name}: needs a migrateApp or a migrateFragment function`);
+        }
+    });
+    return migrations;
+}
+
+function recordPathOf(source) {
+    return path.join(source.path, RECORD_FILE_NAME);
+}
+
+/**
+ * @param source see readSources() of sources.js
+ * @returns the ids of the migrations the source has applied, in order
+ */
+function readAppliedIds(source) {
+    const filePath = recordPathOf(source);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    const record = fs.readJsonSync(filePath);
+    if (!record || !Array.isArray(record.applied) || record.applied.some(id => typeof id !== 'string')) {
+        throw new Error(`${filePath}: expected { "applied": ["<migration id>", ...] }`);
+    }
+    return record.applied;
+}
+
+function writeAppliedIds(source, ids) {
+    const filePath = recordPathOf(source);
+    const json = JSON.stringify({ applied: ids }, null, 4);
+    const config = Object.assign({}, prettier.resolveConfig.sync(filePath), { parser: 'json' });
+    fs.outputFileSync(filePath, prettier.format(json, config));
+}
+
+/**
+ * The migrations that the source has not applied yet. Migrations run in order, so the applied ones
+ * have to be the first ones of the registry.
+ */
+function pendingMigrations(migrations, appliedIds, source) {
+    appliedIds.forEach((id, index) => {
+        if (!migrations.some(migration => migration.id === id)) {
+            throw new Error(`${recordPathOf(source)}: ${id} has been applied, but it is not in scripts/migrations/index.js`);
+        }
+        if (migrations[index].id !== id) {
+            throw new Error(`${recordPathOf(source)}: ${migrations[index].id} comes before ${id} in scripts/migrations/index.js, ` +
+                'but it has not been applied. New migrations go at the end of the list.');
+        }
+    });
+    return migrations.slice(appliedIds.length);
+}
+
+/**
+ * Runs the migrations on one template. Templates that the migrations change get the canonical form
+ * of format_apps.js, those that they do not change stay as they are.
+ *
+ * @param contentString the template
+ * @param migrations    the migrations to run, in order
+ * @param file          { kind: 'app' | 'fragment', name, filePath }, the filePath finds the prettier config
+ * @returns { content, migrationIds }: the migrated template, and the ids of the migrations that changed it
+ */
+function migrateTemplate(contentString, migrations, file) {
+    const editor = createYamlEditor(contentString);
+    const migrationIds = [];
+
+    migrations.forEach(migration => {
+        const migrate = file.kind === 'fragment' ? migration.migrateFragment : migration.migrateApp;
+        if (typeof migrate !== 'function') {
+            return;
+        }
+        const before = editor.toString();
+        try {
+            migrate(editor, file.name);
+        } catch (err) {
+            throw new Error(`${migration.id} failed on ${file.filePath}: ${err.message || err}`);
+        }
+        if (editor.toString() !== before) {
+            migrationIds.push(migration.id);
+        }
+    });
+
+    if (migrationIds.length === 0) {
+        return { content: contentString, migrationIds: migrationIds };
+    }
+    if (file.kind !== 'fragment') {
+        return { content: formatTemplateFile(editor.toString(), file.filePath), migrationIds: migrationIds };
+    }
+    const config = Object.assign({}, prettier.resolveConfig.sync(file.filePath), { parser: 'yaml' });
+    return { content: prettier.format(editor.toString(), config), migrationIds: migrationIds };
+}
+
+module.exports = {
+    checkRegistry,
+    recordPathOf,
+    readAppliedIds,
+    writeAppliedIds,
+    pendingMigrations,
+    migrateTemplate,
+};
@@ -0,0 +1,354 @@
+/*jshint esversion: 6 */
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = [];
+for (var n = 0; n < 256; n++) {
+    let c = n;
+    for (var k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (var i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encodes an RGB image of a single color, used as a placeholder logo.
+ *
+ * @param width  in pixels
+ * @param height in pixels
+ * @param rgb    e.g. [0x1f, 0x8c, 0xe6]
+ * @returns a Buffer with the PNG file content
+ */
+function createSolidPng(width, height, rgb) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: RGB
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // interlace
+
+    const row = Buffer.alloc(1 + width * 3); // each row starts with filter type 0
+    for (var x = 0; x < width; x++) {
+        row[1 + x * 3] = rgb[0];
+        row[2 + x * 3] = rgb[1];
+        row[3 + x * 3] = rgb[2];
+    }
+    const pixels = Buffer.concat(new Array(height).fill(row));
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(pixels)),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+/**
+ * Encodes an 8 bit RGBA image, e.g. a logo thumbnail
+ *
+ * @param image {width, height, data}, data has 4 bytes per pixel, row by row
+ * @returns a Buffer with the PNG file content
+ */
+function encodePng(image) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // color type: RGBA
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // interlace
+
+    const stride = image.width * 4;
+    const pixels = Buffer.alloc((1 + stride) * image.height);
+    for (var y = 0; y < image.height; y++) {
+        pixels[y * (1 + stride)] = 0; // filter type 0
+        Buffer.from(image.data.buffer, image.data.byteOffset + y * stride, stride).copy(pixels, y * (1 + stride) + 1);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(pixels, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+/**
+ * Signatures of image formats that are sometimes saved with a .png extension
+ */
+const OTHER_FORMATS = [
+    { name: 'JPEG', signature: [0xff, 0xd8, 0xff] },
+    { name: 'GIF', signature: [0x47, 0x49, 0x46, 0x38] },
+    { name: 'WebP', signature: [0x52, 0x49, 0x46, 0x46] },
+    { name: 'ICO', signature: [0x00, 0x00, 0x01, 0x00] },
+];
+
+const CHANNELS_BY_COLOR_TYPE = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const BIT_DEPTHS_BY_COLOR_TYPE = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+/**
+ * Splits a PNG file into its chunks
+ *
+ * @returns [{type, data}], throws if the file is not a PNG or is truncated
+ */
+function readChunks(buffer) {
+    if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+        const other = OTHER_FORMATS.find(format => format.signature.every((byte, i) => buffer[i] === byte));
+        if (other) {
+            throw new Error(`not a PNG, the file is a ${other.name} image`);
+        }
+        if (/^\s*<(\?xml|svg)/.test(buffer.subarray(0, 64).toString('utf-8'))) {
+            throw new Error('not a PNG, the file is an SVG image');
+        }
+        throw new Error('not a PNG, the PNG signature is missing');
+    }
+
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset < buffer.length) {
+        if (offset + 12 > buffer.length) {
+            throw new Error('the PNG is truncated');
+        }
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        if (offset + 12 + length > buffer.length) {
+            throw new Error(`the PNG is truncated in its ${type} chunk`);
+        }
+        chunks.push({ type: type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === 'IEND') {
+            break;
+        }
+    }
+    return chunks;
+}
+
+function parseHeader(chunks) {
+    if (chunks.length === 0 || chunks[0].type !== 'IHDR' || chunks[0].data.length !== 13) {
+        throw new Error('the PNG does not start with an IHDR chunk');
+    }
+    const data = chunks[0].data;
+    const header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlaced: data[12] === 1,
+    };
+    if (header.width === 0 || header.height === 0) {
+        throw new Error(`the PNG is ${header.width}x${header.height} pixels`);
+    }
+    if (!BIT_DEPTHS_BY_COLOR_TYPE[header.colorType] ||
+        !BIT_DEPTHS_BY_COLOR_TYPE[header.colorType].includes(header.bitDepth)) {
+        throw new Error(`the PNG has an invalid color type ${header.colorType} with bit depth ${header.bitDepth}`);
+    }
+    return header;
+}
+
+/**
+ * Reads the dimensions and pixel format of a PNG without decoding its pixels
+ *
+ * @param buffer the PNG file content
+ * @returns {width, height, bitDepth, colorType, interlaced}, throws if the file is not a PNG
+ */
+function readPngHeader(buffer) {
+    return parseHeader(readChunks(buffer));
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Reverts the filter of every row of one (sub)image in place
+ *
+ * @returns the offset after the last row
+ */
+function unfilter(pixels, offset, rowBytes, rows, bytesPerPixel) {
+    let previousRow = -1;
+    for (var y = 0; y < rows; y++) {
+        const filterType = pixels[offset];
+        const row = offset + 1;
+        if (row + rowBytes > pixels.length) {
+            throw new Error('the PNG has less image data than its dimensions need');
+        }
+        for (var x = 0; x < rowBytes; x++) {
+            const left = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+            const up = previousRow >= 0 ? pixels[previousRow + x] : 0;
+            const upLeft = previousRow >= 0 && x >= bytesPerPixel ? pixels[previousRow + x - bytesPerPixel] : 0;
+            let predictor;
+            switch (filterType) {
+                case 0:
+                    predictor = 0;
+                    break;
+                case 1:
+                    predictor = left;
+                    break;
+                case 2:
+                    predictor = up;
+                    break;
+                case 3:
+                    predictor = (left + up) >> 1;
+                    break;
+                case 4:
+                    predictor = paeth(left, up, upLeft);
+                    break;
+                default:
+                    throw new Error(`the PNG has an invalid filter type ${filterType}`);
+            }
+            pixels[row + x] = (pixels[row + x] + predictor) & 0xff;
+        }
+        previousRow = row;
+        offset = row + rowBytes;
+    }
+    return offset;
+}
+
+// xStart, yStart, xStep, yStep of the seven Adam7 passes
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+/**
+ * Decodes any PNG into 8 bit RGBA, including palettes, transparency (tRNS), 16 bit and interlaced images
+ *
+ * @param buffer the PNG file content
+ * @returns {width, height, data}, data has 4 bytes per pixel, row by row
+ */
+function decodePng(buffer) {
+    const chunks = readChunks(buffer);
+    const header = parseHeader(chunks);
+    const palette = chunks.find(c => c.type === 'PLTE');
+    const transparency = chunks.find(c => c.type === 'tRNS');
+    if (header.colorType === 3 && !palette) {
+        throw new Error('the PNG has a palette color type but no PLTE chunk');
+    }
+
+    let pixels;
+    try {
+        pixels = zlib.inflateSync(Buffer.concat(chunks.filter(c => c.type === 'IDAT').map(c => c.data)));
+    } catch (err) {
+        throw new Error(`the image data of the PNG is corrupt: ${err.message}`);
+    }
+
+    const width = header.width;
+    const height = header.height;
+    const bitDepth = header.bitDepth;
+    const channels = CHANNELS_BY_COLOR_TYPE[header.colorType];
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const maxSample = (1 << bitDepth) - 1;
+    const data = Buffer.alloc(width * height * 4);
+
+    const sampleAt = (row, index) => {
+        if (bitDepth === 8) {
+            return pixels[row + index];
+        }
+        if (bitDepth === 16) {
+            return pixels[row + index * 2] * 256 + pixels[row + index * 2 + 1];
+        }
+        const bit = index * bitDepth;
+        return (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    const toByte = sample => (bitDepth === 8 ? sample : bitDepth === 16 ? sample >> 8 : Math.round((sample * 255) / maxSample));
+    const transparentSample = index => (transparency && transparency.data.length >= index * 2 + 2 ?
+        transparency.data.readUInt16BE(index * 2) : -1);
+
+    const writePixel = (row, x, target) => {
+        const i = x * channels;
+        switch (header.colorType) {
+            case 0: {
+                const gray = sampleAt(row, i);
+                data.fill(toByte(gray), target, target + 3);
+                data[target + 3] = gray === transparentSample(0) ? 0 : 255;
+                break;
+            }
+            case 2: {
+                const r = sampleAt(row, i);
+                const g = sampleAt(row, i + 1);
+                const b = sampleAt(row, i + 2);
+                data[target] = toByte(r);
+                data[target + 1] = toByte(g);
+                data[target + 2] = toByte(b);
+                data[target + 3] = r === transparentSample(0) && g === transparentSample(1) && b === transparentSample(2) ? 0 : 255;
+                break;
+            }
+            case 3: {
+                const index = sampleAt(row, i);
+                if (index * 3 + 2 >= palette.data.length) {
+                    throw new Error(`the PNG uses the color ${index} that is not in its palette`);
+                }
+                palette.data.copy(data, target, index * 3, index * 3 + 3);
+                data[target + 3] = transparency && index < transparency.data.length ? transparency.data[index] : 255;
+                break;
+            }
+            case 4:
+                data.fill(toByte(sampleAt(row, i)), target, target + 3);
+                data[target + 3] = toByte(sampleAt(row, i + 1));
+                break;
+            default:
+                for (var c = 0; c < 4; c++) {
+                    data[target + c] = toByte(sampleAt(row, i + c));
+                }
+        }
+    };
+
+    const passes = header.interlaced ? ADAM7 : [[0, 0, 1, 1]];
+    let offset = 0;
+    passes.forEach(pass => {
+        const passWidth = Math.ceil((width - pass[0]) / pass[2]);
+        const passHeight = Math.ceil((height - pass[1]) / pass[3]);
+        if (passWidth <= 0 || passHeight <= 0) {
+            return;
+        }
+        const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+        const start = offset;
+        offset = unfilter(pixels, offset, rowBytes, passHeight, bytesPerPixel);
+        for (var y = 0; y < passHeight; y++) {
+            const row = start + y * (rowBytes + 1) + 1;
+            const targetY = pass[1] + y * pass[3];
+            for (var x = 0; x < passWidth; x++) {
+                writePixel(row, x, (targetY * width + pass[0] + x * pass[2]) * 4);
+            }
+        }
+    });
+
+    return {
+        width: width,
+        height: height,
+        data: data,
+    };
+}
+
+module.exports = {
+    PNG_SIGNATURE,
+    createSolidPng,
+    crc32,
+    decodePng,
+    encodePng,
+    readPngHeader,
+};
@@ -0,0 +1,176 @@
+/*jshint esversion: 6 */
+const fs = require('fs-extra');
+
+/**
+ * Reads the tags of images from a Docker Registry v2 API, or from a fixture that was recorded from one:
+ *   { "tags": { "docker.io/library/postgres": ["16.1", "16.2", ...], ... } }
+ */
+const REGISTRY_HOSTS = {
+    'docker.io': 'https://registry-1.docker.io',
+};
+
+const MAX_PAGES = 50;
+
+const PAGE_SIZE = 1000;
+
+const TIMEOUT_MS = 30000;
+
+/**
+ * The key of the repository in fixtures, e.g. docker.io/library/postgres
+ */
+function repositoryKey(image) {
+    return `${image.registry}/${image.repository}`;
+}
+
+/**
+ * @param image        {registry, repository}, see parseRepository() of image_updates.js
+ * @param registryUrl  the registry to ask instead of the one of the image, e.g. http://localhost:5000
+ */
+function tagsListUrl(image, registryUrl) {
+    const base = registryUrl || REGISTRY_HOSTS[image.registry] || `https://${image.registry}`;
+    return `${base.replace(/\/+$/, '')}/v2/${image.repository}/tags/list?n=${PAGE_SIZE}`;
+}
+
+/**
+ * e.g. Bearer realm="https://auth.docker.io/token",service="registry.docker.io",scope="repository:library/postgres:pull"
+ */
+function parseChallenge(header) {
+    const match = `${header || ''}`.match(/^Bearer\s+(.*)$/i);
+    if (!match) {
+        return undefined;
+    }
+    const params = {};
+    const paramRegex = /([a-z]+)="([^"]*)"/gi;
+    let param;
+    while ((param = paramRegex.exec(match[1])) !== null) {
+        params[param[1].toLowerCase()] = param[2];
+    }
+    return params.realm ? params : undefined;
+}
+
+/**
+ * The URL of the next page from a header like `</v2/library/postgres/tags/list?last=16&n=1000>; rel="next"`
+ */
+function nextPageUrl(linkHeader, currentUrl) {
+    const match = `${linkHeader || ''}`.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+    return match ? new URL(match[1], currentUrl).toString() : undefined;
+}
+
+function request(url, token) {
+    return fetch(url, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+    }).catch(function (err) {
+        throw new Error(`Cannot reach ${url}: ${(err.cause && err.cause.message) || err.message}`);
+    });
+}
+
+/**
+ * An anonymous pull token for the realm of the challenge, which is all public images need
+ */
+function fetchToken(challenge) {
+    const url = new URL(challenge.realm);
+    ['service', 'scope'].filter(key => challenge[key]).forEach(key => url.searchParams.set(key, challenge[key]));
+    return request(url.toString())
+        .then(function (response) {
+            if (!response.ok) {
+                throw new Error(`${url.origin}${url.pathname} refused a token: HTTP ${response.status}`);
+            }
+            return response.json();
+        })
+        .then(function (body) {
+            return body.token || body.access_token;
+        });
+}
+
+/**
+ * Fetches every page of /v2/<repository>/tags/list, with a token if the registry asks for one
+ *
+ * @returns Promise of the tags
+ */
+function fetchTags(image, registryUrl) {
+    let token;
+    const tags = [];
+
+    const fetchPage = function (url, page) {
+        return request(url, token)
+            .then(function (response) {
+                const challenge = parseChallenge(response.headers.get('www-authenticate'));
+                if (response.status === 401 && !token && challenge) {
+                    return fetchToken(challenge).then(function (newToken) {
+                        token = newToken;
+                        return fetchPage(url, page);
+                    });
+                }
+                if (!response.ok) {
+                    throw new Error(`${url} answered HTTP ${response.status}`);
+                }
+                return response.json().then(function (body) {
+                    (body.tags || []).forEach(tag => tags.push(`${tag}`));
+                    const next = nextPageUrl(response.headers.get('link'), url);
+                    return next && page < MAX_PAGES ? fetchPage(next, page + 1) : tags;
+                });
+            });
+    };
+
+    return fetchPage(tagsListUrl(image, registryUrl), 1);
+}
+
+/**
+ * @returns {tags: {[repositoryKey]: []}}
+ */
+function readFixture(filePath) {
+    const fixture = fs.readJsonSync(filePath);
+    if (!fixture || typeof fixture.tags !== 'object' || Array.isArray(fixture.tags)) {
+        throw new Error(`${filePath}: a fixture needs "tags": { "<registry>/<repository>": ["<tag>", ...] }`);
+    }
+    return fixture;
+}
+
+/**
+ * A source of tags that asks each registry once per repository
+ *
+ * @param options { registryUrl, fixture: see readFixture() }, with a fixture nothing is fetched
+ * @returns { tagsOf(image): Promise of the tags, recorded(): the fixture of everything that was fetched }
+ */
+function createTagSource(options) {
+    const cache = {};
+
+    return {
+        tagsOf: function (image) {
+            const key = repositoryKey(image);
+            if (!cache[key]) {
+                if (options.fixture) {
+                    const tags = options.fixture.tags[key];
+                    cache[key] = tags ?
+                        Promise.resolve(tags.map(tag => `${tag}`)) :
+                        Promise.reject(new Error(`${key} is not in the fixture`));
+                } else {
+                    cache[key] = fetchTags(image, options.registryUrl);
+                }
+                // a failed repository is reported with every variable that uses it, not as an unhandled rejection
+                cache[key].catch(() => {});
+            }
+            return cache[key];
+        },
+        recorded: function () {
+            const keys = Object.keys(cache).sort();
+            return Promise.all(keys.map(key => cache[key].then(tags => tags, () => undefined)))
+                .then(function (results) {
+                    const tags = {};
+                    keys.forEach((key, index) => {
+                        if (results[index]) {
+                            tags[key] = results[index];
+                        }
+                    });
+                    return { tags: tags };
+                });
+        },
+    };
+}
+
+module.exports = {
+    repositoryKey,
+    readFixture,
+    createTagSource,
+};
@@ -0,0 +1,232 @@
+/*jshint esversion: 6 */
+const crypto = require('crypto');
+const { BUILT_IN_VARIABLES, VARIABLE_PREFIX } = require('./variable_references');
+const { parseValidRegex } = require('./variable_regex');
+const { deriveValidRegex } = require('./variable_types');
+
+const RANDOM_HEX_REGEX = /\$\$cap_gen_random_hex\((\d+)\)/g;
+
+/**
+ * Returns a function that generates hex strings. With a seed, the sequence of
+ * generated values is the same on every run.
+ */
+function createHexGenerator(seed) {
+    let counter = 0;
+    return function (length) {
+        if (seed === undefined || seed === null) {
+            return crypto
+                .randomBytes(Math.ceil(length / 2))
+                .toString('hex')
+                .substring(0, length);
+        }
+        let result = '';
+        while (result.length < length) {
+            result += crypto.createHash('sha256').update(`${seed}:${counter++}`).digest('hex');
+        }
+        return result.substring(0, length);
+    };
+}
+
+/**
+ * Accepts `$$cap_x`, `cap_x` and `x` as the name of the variable `$$cap_x`,
+ * since `$$` is awkward to type in most shells.
+ */
+function normalizeVariableId(id) {
+    id = `${id}`.trim();
+    if (id.startsWith(VARIABLE_PREFIX)) {
+        return id;
+    }
+    if (id.startsWith('cap_')) {
+        return '$$' + id;
+    }
+    return VARIABLE_PREFIX + id;
+}
+
+function replaceAll(text, replacements, idsLongestFirst) {
+    idsLongestFirst.forEach(id => {
+        text = text.split(id).join(replacements[id]);
+    });
+    return text;
+}
+
+function mapStrings(node, fn) {
+    if (Array.isArray(node)) {
+        return node.map(item => mapStrings(item, fn));
+    }
+    if (node !== null && typeof node === 'object') {
+        const result = {};
+        Object.keys(node).forEach(key => {
+            result[fn(key)] = mapStrings(node[key], fn);
+        });
+        return result;
+    }
+    if (typeof node === 'string') {
+        return fn(node);
+    }
+    return node;
+}
+
+/**
+ * Resolves the value of every declared variable: overrides first, then the
+ * default value. Throws if an override is unknown or fails its validRegex.
+ */
+function resolveVariables(variables, overrides, generateHex) {
+    const values = {};
+    const declared = {};
+    variables.forEach(v => (declared[v.id] = v));
+
+    Object.keys(overrides).forEach(id => {
+        if (!declared[id]) {
+            throw new Error(`Unknown variable ${id}, declared variables are: ${Object.keys(declared).join(', ')}`);
+        }
+    });
+
+    variables.forEach(variable => {
+        const hasOverride = Object.prototype.hasOwnProperty.call(overrides, variable.id);
+        let value = hasOverride ? overrides[variable.id] : variable.defaultValue;
+        value = value === undefined || value === null ? '' : `${value}`;
+        value = value.replace(RANDOM_HEX_REGEX, (match, length) => generateHex(Number(length)));
+
+        const validRegex = variable.validRegex || deriveValidRegex(variable);
+        if (hasOverride && validRegex) {
+            const parsed = parseValidRegex(validRegex);
+            if (parsed.regex && !parsed.regex.test(value)) {
+                throw new Error(`Value ${JSON.stringify(value)} for ${variable.id} does not match ${validRegex}`);
+            }
+        }
+
+        values[variable.id] = value;
+    });
+
+    return values;
+}
+
+function isNamedVolume(volume) {
+    const source = `${volume}`.split(':')[0];
+    return `${volume}`.includes(':') && !!source && !/^[./~$]/.test(source);
+}
+
+/**
+ * Renders a parsed v4 template into a plain docker-compose definition, the same
+ * way CapRover substitutes the variables during a deployment.
+ *
+ * @param content the parsed v4 template
+ * @param options {
+ *     appName: string,
+ *     rootDomain: string,
+ *     values: {[id]: string},  // overrides for the declared variables
+ *     seed: string|undefined   // makes $$cap_gen_random_hex(n) reproducible
+ * }
+ * @returns {
+ *     compose: object,                  // plain docker-compose content
+ *     dockerfiles: {[service]: string}, // contents of the Dockerfiles referenced by `build`
+ *     notes: {[service]: string[]},     // CapRover specific settings that have no compose equivalent
+ *     values: {[id]: string},           // the final value of each variable
+ *     instructions: {start, end}        // the instructions with the variables substituted
+ * }
+ */
+function renderApp(content, options) {
+    if (`${content.captainVersion}` !== '4') {
+        throw new Error('CaptainVersion must be 4 for rendering');
+    }
+
+    const app = content.caproverOneClickApp || {};
+    const variables = (app.variables || []).filter(v => v && typeof v.id === 'string');
+    const generateHex = createHexGenerator(options.seed);
+
+    const overrides = {};
+    Object.keys(options.values || {}).forEach(key => {
+        overrides[normalizeVariableId(key)] = options.values[key];
+    });
+
+    const values = resolveVariables(variables, overrides, generateHex);
+    values['$$cap_appname'] = options.appName;
+    values['$$cap_root_domain'] = options.rootDomain;
+
+    const idsLongestFirst = Object.keys(values).sort((a, b) => b.length - a.length);
+
+    // Declared variables are replaced first, their values may contain built-in variables
+    const declaredIds = idsLongestFirst.filter(id => !BUILT_IN_VARIABLES.includes(id));
+    const substitute = text =>
+        replaceAll(replaceAll(text, values, declaredIds), values, BUILT_IN_VARIABLES).replace(
+            RANDOM_HEX_REGEX,
+            (match, length) => generateHex(Number(length))
+        );
+
+    const services = mapStrings(content.services || {}, substitute);
+
+    const compose = {
+        services: {},
+    };
+    const dockerfiles = {};
+    const notes = {};
+    const namedVolumes = {};
+
+    Object.keys(services).forEach(serviceName => {
+        const service = Object.assign({}, services[serviceName]);
+        const extra = service.caproverExtra || {};
+        delete service.caproverExtra;
+        delete service.documentation;
+
+        const serviceNotes = [];
+
+        if (extra.dockerfileLines) {
+            dockerfiles[serviceName] = [].concat(extra.dockerfileLines).join('\n') + '\n';
+            delete service.image;
+            service.build = {
+                context: `./${serviceName}`,
+            };
+        }
+
+        if (`${extra.notExposeAsWebApp}` === 'true') {
+            serviceNotes.push('Not exposed as a web app by CapRover');
+        } else {
+            serviceNotes.push(`CapRover serves this service over HTTP from container port ${extra.containerHttpPort || '80'}`);
+            if (`${extra.websocketSupport}` === 'true') {
+                serviceNotes.push('CapRover enables websocket support for this service');
+            }
+        }
+
+        // Sibling services reach each other as srv-captain--<name> on CapRover
+        if (!service.networks) {
+            service.networks = {
+                default: {
+                    aliases: [`srv-captain--${serviceName}`],
+                },
+            };
+        }
+
+        (service.volumes || []).forEach(volume => {
+            if (typeof volume === 'string' && isNamedVolume(volume)) {
+                namedVolumes[volume.split(':')[0]] = {};
+            }
+        });
+
+        compose.services[serviceName] = service;
+        notes[serviceName] = serviceNotes;
+    });
+
+    if (content.volumes && !Array.isArray(content.volumes)) {
+        Object.assign(namedVolumes, mapStrings(content.volumes, substitute));
+    }
+    if (Object.keys(namedVolumes).length > 0) {
+        compose.volumes = namedVolumes;
+    }
+    if (content.networks) {
+        compose.networks = mapStrings(content.networks, substitute);
+    }
+
+    return {
+        compose: compose,
+        dockerfiles: dockerfiles,
+        notes: notes,
+        values: values,
+        instructions: mapStrings(app.instructions || {}, substitute),
+    };
+}
+
+module.exports = {
+    createHexGenerator,
+    normalizeVariableId,
+    renderApp,
+};
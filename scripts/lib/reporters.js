@@ -0,0 +1,224 @@
+/*jshint esversion: 6 */
+
+/**
+ * Output formats of validate_apps, each one turns the result of runValidation() of validation.js into a string
+ */
+const TARGET_KINDS = {
+    'app': 'app(s)',
+    'fragment': 'fragment(s)',
+    'logo': 'logo(s)',
+    'v2-app': 'v2 app(s)',
+};
+
+function isActive(finding) {
+    return !finding.suppressed;
+}
+
+function countOf(findings, severity) {
+    return findings.filter(f => isActive(f) && f.severity === severity).length;
+}
+
+/**
+ * @returns { errors, warnings, suppressed, targets, failedTargets }
+ */
+function summarize(result) {
+    const failed = {};
+    result.findings
+        .filter(f => isActive(f) && f.severity === 'error')
+        .forEach(f => (failed[f.target] = true));
+    return {
+        errors: countOf(result.findings, 'error'),
+        warnings: countOf(result.findings, 'warning'),
+        suppressed: result.findings.filter(f => !isActive(f)).length,
+        targets: result.targets.length,
+        failedTargets: Object.keys(failed).length,
+    };
+}
+
+/**
+ * The findings of every target, in the order of the targets. Findings about files that are not
+ * a target, e.g. the suppression config, come last.
+ */
+function groupByTarget(result) {
+    const groups = result.targets.map(target => ({ target: target, findings: [] }));
+    const byFile = {};
+    groups.forEach(group => (byFile[group.target.file] = group));
+    result.findings.forEach(finding => {
+        if (!byFile[finding.target]) {
+            byFile[finding.target] = { target: { kind: 'file', name: finding.target, file: finding.target }, findings: [] };
+            groups.push(byFile[finding.target]);
+        }
+        byFile[finding.target].findings.push(finding);
+    });
+    return groups;
+}
+
+function formatLocation(finding) {
+    return `${finding.file}${finding.line ? `:${finding.line}:${finding.column}` : ''}`;
+}
+
+function formatFindingLine(finding) {
+    return `${formatLocation(finding)}  ${finding.severity}  ${finding.rule}  ${finding.path}  ${finding.message}`;
+}
+
+function describeTargets(result) {
+    const counts = Object.keys(TARGET_KINDS)
+        .map(kind => ({ kind: kind, count: result.targets.filter(t => t.kind === kind).length }))
+        .filter(c => c.count > 0)
+        .map(c => `${c.count} ${TARGET_KINDS[c.kind]}`);
+    if (counts.length === 0) {
+        return 'nothing';
+    }
+    return counts.length === 1 ? counts[0] : `${counts.slice(0, -1).join(', ')} and ${counts[counts.length - 1]}`;
+}
+
+/**
+ * The findings grouped by app, suppressed ones are only counted
+ */
+function formatText(result) {
+    const lines = [];
+    groupByTarget(result).forEach(group => {
+        const findings = group.findings.filter(isActive);
+        if (findings.length === 0) {
+            return;
+        }
+        const errors = countOf(findings, 'error');
+        const warnings = countOf(findings, 'warning');
+        lines.push(errors > 0 ?
+            `Invalid ${group.target.name} - ${errors} error(s), ${warnings} warning(s):` :
+            `${group.target.name} - ${warnings} warning(s):`);
+        findings.forEach(finding => lines.push(`    ${formatFindingLine(finding)}`));
+    });
+
+    const summary = summarize(result);
+    if (lines.length > 0) {
+        lines.push('');
+    }
+    lines.push(`Validated ${describeTargets(result)}: ${summary.errors} error(s), ${summary.warnings} warning(s), ` +
+        `${summary.suppressed} suppressed.`);
+    return lines.join('\n') + '\n';
+}
+
+function formatJson(result) {
+    return JSON.stringify({
+        summary: summarize(result),
+        targets: result.targets,
+        findings: result.findings,
+    }, null, 2) + '\n';
+}
+
+/**
+ * SARIF 2.1.0, e.g. for GitHub code scanning
+ *
+ * @param rules {[id]: description}, see RULES of validation.js
+ */
+function formatSarif(result, rules) {
+    const ruleIds = Object.keys(rules);
+    const results = result.findings.map(finding => {
+        const location = {
+            physicalLocation: {
+                artifactLocation: { uri: finding.file },
+            },
+        };
+        if (finding.line) {
+            location.physicalLocation.region = { startLine: finding.line, startColumn: finding.column || 1 };
+        }
+        if (finding.path && finding.path !== '(root)') {
+            location.logicalLocations = [{ fullyQualifiedName: finding.path }];
+        }
+
+        const sarifResult = {
+            ruleId: finding.rule,
+            ruleIndex: ruleIds.indexOf(finding.rule),
+            level: finding.severity === 'error' ? 'error' : 'warning',
+            message: { text: finding.message },
+            locations: [location],
+        };
+        if (finding.suppressed) {
+            sarifResult.suppressions = [{ kind: finding.suppressed.kind, justification: finding.suppressed.reason }];
+        }
+        return sarifResult;
+    });
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'validate_apps',
+                    informationUri: 'https://github.com/caprover/one-click-apps',
+                    rules: ruleIds.map(id => ({
+                        id: id,
+                        shortDescription: { text: rules[id] },
+                    })),
+                },
+            },
+            results: results,
+        }],
+    }, null, 2) + '\n';
+}
+
+function escapeXml(text) {
+    return `${text === undefined || text === null ? '' : text}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * JUnit XML, one test case per app, fragment and logo. Errors fail the test case, warnings are its output.
+ */
+function formatJunit(result) {
+    const groups = groupByTarget(result);
+    const suites = {};
+    groups.forEach(group => {
+        const suiteName = group.target.kind === 'file' ? 'other' : `${group.target.kind}s`;
+        suites[suiteName] = suites[suiteName] || [];
+        suites[suiteName].push(group);
+    });
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    const summary = summarize(result);
+    lines.push(`<testsuites name="validate_apps" tests="${groups.length}" failures="${summary.failedTargets}">`);
+    Object.keys(suites).forEach(suiteName => {
+        const cases = suites[suiteName];
+        const failures = cases.filter(group => countOf(group.findings, 'error') > 0).length;
+        lines.push(`  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}">`);
+        cases.forEach(group => {
+            const errors = group.findings.filter(f => isActive(f) && f.severity === 'error');
+            const warnings = group.findings.filter(f => isActive(f) && f.severity !== 'error');
+            const attributes = `classname="${escapeXml(suiteName)}" name="${escapeXml(group.target.name)}" file="${escapeXml(group.target.file)}"`;
+            if (errors.length === 0 && warnings.length === 0) {
+                lines.push(`    <testcase ${attributes}/>`);
+                return;
+            }
+            lines.push(`    <testcase ${attributes}>`);
+            if (errors.length > 0) {
+                lines.push(`      <failure message="${errors.length} error(s)" type="error">` +
+                    `${escapeXml(errors.map(formatFindingLine).join('\n'))}</failure>`);
+            }
+            if (warnings.length > 0) {
+                lines.push(`      <system-out>${escapeXml(warnings.map(formatFindingLine).join('\n'))}</system-out>`);
+            }
+            lines.push('    </testcase>');
+        });
+        lines.push('  </testsuite>');
+    });
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+const REPORTERS = {
+    text: result => formatText(result),
+    json: result => formatJson(result),
+    sarif: (result, rules) => formatSarif(result, rules),
+    junit: result => formatJunit(result),
+};
+
+module.exports = {
+    REPORTERS,
+    summarize,
+};
@@ -0,0 +1,134 @@
+/*jshint esversion: 6 */
+
+/**
+ * What an app needs from the server, under caproverOneClickApp:
+ *   requirements:
+ *       memory: 2G           <- at least, in M, G or T (1G = 1024M)
+ *       cpus: 2              <- at least, may be a fraction like 0.5
+ *       disk: 10G            <- at least, in M, G or T
+ *       architectures:       <- the only CPU architectures the images are published for
+ *           - amd64
+ *           - arm64
+ * All fields are optional, scripts/schema/v4_app.schema.json checks the units and the architectures.
+ */
+const SIZE_REGEX = /^(\d+(?:\.\d+)?)([MGT])$/;
+
+const MEGABYTES_PER_UNIT = {
+    M: 1,
+    G: 1024,
+    T: 1024 * 1024,
+};
+
+/**
+ * @returns the size in megabytes, e.g. 2048 for 2G, or undefined if it is not a size
+ */
+function parseSize(value) {
+    const match = `${value}`.match(SIZE_REGEX);
+    return match ? Math.round(Number(match[1]) * MEGABYTES_PER_UNIT[match[2]]) : undefined;
+}
+
+/**
+ * e.g. 512 MB, 1.5 GB
+ */
+function formatSize(megabytes) {
+    if (megabytes >= MEGABYTES_PER_UNIT.G) {
+        return `${Math.round((megabytes / MEGABYTES_PER_UNIT.G) * 100) / 100} GB`;
+    }
+    return `${megabytes} MB`;
+}
+
+function requirementsFieldOf(content) {
+    const app = (content && content.caproverOneClickApp) || {};
+    const requirements = app.requirements;
+    return requirements && typeof requirements === 'object' && !Array.isArray(requirements) ? requirements : undefined;
+}
+
+/**
+ * The requirements for clients that filter the apps that fit a server, sizes in megabytes:
+ *   { memoryMB: 2048, cpus: 2, diskMB: 10240, architectures: ['amd64', 'arm64'] }
+ *
+ * @returns undefined if the app has no requirements
+ */
+function requirementsOf(content) {
+    const requirements = requirementsFieldOf(content);
+    if (!requirements) {
+        return undefined;
+    }
+
+    const result = {};
+    if (parseSize(requirements.memory)) {
+        result.memoryMB = parseSize(requirements.memory);
+    }
+    if (typeof requirements.cpus === 'number' && requirements.cpus > 0) {
+        result.cpus = requirements.cpus;
+    }
+    if (parseSize(requirements.disk)) {
+        result.diskMB = parseSize(requirements.disk);
+    }
+    if (Array.isArray(requirements.architectures) && requirements.architectures.length > 0) {
+        result.architectures = requirements.architectures.map(architecture => `${architecture}`);
+    }
+    return Object.keys(result).length > 0 ? result : undefined;
+}
+
+function joinWithAnd(parts) {
+    return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts.join('');
+}
+
+/**
+ * The requirements as text, for instructions.start of v2 and for the catalog, e.g.
+ *   Requirements: at least 2 GB of memory, 2 CPU cores and 10 GB of disk space. Only runs on these CPU architectures: amd64, arm64.
+ *
+ * @returns undefined if the app has no requirements
+ */
+function describeRequirements(content) {
+    const requirements = requirementsOf(content);
+    if (!requirements) {
+        return undefined;
+    }
+
+    const minimums = [];
+    if (requirements.memoryMB) {
+        minimums.push(`${formatSize(requirements.memoryMB)} of memory`);
+    }
+    if (requirements.cpus) {
+        minimums.push(`${requirements.cpus} CPU ${requirements.cpus === 1 ? 'core' : 'cores'}`);
+    }
+    if (requirements.diskMB) {
+        minimums.push(`${formatSize(requirements.diskMB)} of disk space`);
+    }
+
+    const sentences = [];
+    if (minimums.length > 0) {
+        sentences.push(`Requirements: at least ${joinWithAnd(minimums)}.`);
+    }
+    if (requirements.architectures) {
+        sentences.push(`Only runs on these CPU architectures: ${requirements.architectures.join(', ')}.`);
+    }
+    return sentences.join(' ');
+}
+
+/**
+ * instructions.start with the requirements in front, for CapRover versions that only show the instructions
+ */
+function withRequirementsText(content, start) {
+    const text = describeRequirements(content);
+    return text !== undefined && typeof start === 'string' && start !== '' ? `${text}\n\n${start}` : start;
+}
+
+/**
+ * Reverts withRequirementsText()
+ */
+function withoutRequirementsText(content, start) {
+    const text = describeRequirements(content);
+    return text !== undefined && typeof start === 'string' && start.startsWith(`${text}\n\n`) ?
+        start.substring(text.length + 2) :
+        start;
+}
+
+module.exports = {
+    requirementsOf,
+    describeRequirements,
+    withRequirementsText,
+    withoutRequirementsText,
+};
@@ -0,0 +1,85 @@
+/*jshint esversion: 6 */
+const Ajv = require('ajv');
+const v4Schema = require('../schema/v4_app.schema.json');
+const { locate, formatPath } = require('./yaml_location');
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, verbose: true });
+const validateV4Schema = ajv.compile(v4Schema);
+
+function pointerToPath(instancePath) {
+    if (!instancePath) {
+        return [];
+    }
+    return instancePath
+        .split('/')
+        .slice(1)
+        .map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * anyOf/oneOf failures are reported by ajv once for the combinator and once
+ * for every branch. Only the combinator error is useful to template authors.
+ */
+function removeBranchErrors(errors) {
+    const combinators = errors.filter(e => e.keyword === 'oneOf' || e.keyword === 'anyOf');
+    return errors.filter(e => {
+        if (e.keyword === 'oneOf' || e.keyword === 'anyOf') {
+            return true;
+        }
+        return !combinators.some(c => c.instancePath === e.instancePath &&
+            e.schemaPath.startsWith(c.schemaPath.replace(/\/(oneOf|anyOf)$/, '')));
+    });
+}
+
+function describe(error) {
+    switch (error.keyword) {
+        case 'additionalProperties':
+            return `unknown key "${error.params.additionalProperty}"`;
+        case 'required':
+            return `missing required key "${error.params.missingProperty}"`;
+        case 'enum':
+            return `must be one of ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+        case 'oneOf':
+        case 'anyOf':
+            return 'does not match any of the allowed forms';
+        case 'pattern':
+            // the pattern alone does not tell e.g. the units of a size
+            return error.parentSchema && error.parentSchema.description ?
+                `${error.message}: ${error.parentSchema.description}` :
+                error.message;
+        default:
+            return error.message;
+    }
+}
+
+/**
+ * Validates a parsed v4 template against scripts/schema/v4_app.schema.json
+ *
+ * @param content       the parsed template (plain JS object)
+ * @param doc           the YAML document, used for locating errors
+ * @param contentString the raw YAML
+ * @returns an array of {path, line, column, message}, empty if valid
+ */
+function validateAgainstV4Schema(content, doc, contentString) {
+    if (validateV4Schema(content)) {
+        return [];
+    }
+
+    return removeBranchErrors(validateV4Schema.errors).map(error => {
+        const pathArray = pointerToPath(error.instancePath);
+        if (error.keyword === 'additionalProperties') {
+            pathArray.push(error.params.additionalProperty);
+        }
+        const location = locate(doc, contentString, pathArray);
+        return {
+            path: formatPath(pathArray),
+            line: location.line,
+            column: location.column,
+            message: describe(error),
+        };
+    });
+}
+
+module.exports = {
+    validateAgainstV4Schema,
+};
@@ -0,0 +1,229 @@
+/*jshint esversion: 6 */
+
+const DOCKER_SOCKET_REGEX = /(^|\/)docker\.sock$/;
+
+/**
+ * Environment variables and variable ids that hold a secret, e.g. POSTGRES_PASSWORD or $$cap_jwt_secret
+ */
+const SECRET_NAME_REGEX = /(pass(word|wd)?|secret|token|api_?key|private_?key|salt)$/i;
+
+/**
+ * Values of secret-looking environment variables that are flags, e.g. MYSQL_RANDOM_ROOT_PASSWORD: 1
+ */
+const FLAG_VALUES = ['', '0', '1', 'true', 'false', 'yes', 'no'];
+
+/**
+ * docker run flags that CapRover does not offer, and the BuildKit flags with the same effect.
+ * In dockerfileLines they either do nothing or weaken the isolation of the build.
+ */
+const PRIVILEGED_DOCKERFILE_REGEX = /--privileged\b|\bprivileged\s*[:=]\s*['"]?true|--security=insecure|--network[= ]host\b|\bnetwork_mode\b/i;
+
+const MAX_LISTED = 5;
+
+/**
+ * e.g. "80, 443" or "8000, 8005, 8006, 8010, 8015 and 140 more"
+ */
+function listOf(items) {
+    if (items.length <= MAX_LISTED) {
+        return items.join(', ');
+    }
+    return `${items.slice(0, MAX_LISTED).join(', ')} and ${items.length - MAX_LISTED} more`;
+}
+
+function hostPortOf(port) {
+    if (port !== null && typeof port === 'object') {
+        return port.published === undefined ? undefined : `${port.published}${port.protocol ? '/' + port.protocol : ''}`;
+    }
+    const parts = `${port}`.split(':');
+    if (parts.length < 2) {
+        // Only the container port, docker picks a random host port
+        return `${port}`;
+    }
+    const protocol = `${port}`.includes('/') ? '/' + `${port}`.split('/').pop() : '';
+    return parts[parts.length - 2] + protocol;
+}
+
+function hostPathOf(volume) {
+    if (volume !== null && typeof volume === 'object') {
+        return volume.type === 'bind' ? `${volume.source}` : undefined;
+    }
+    const source = `${volume}`.split(':')[0];
+    return source.startsWith('/') || source.startsWith('.') || source.startsWith('~') ? source : undefined;
+}
+
+function environmentEntries(service) {
+    if (Array.isArray(service.environment)) {
+        return service.environment.map((entry, index) => {
+            const text = `${entry}`;
+            const separator = text.indexOf('=');
+            return {
+                key: separator < 0 ? text : text.substring(0, separator),
+                value: separator < 0 ? '' : text.substring(separator + 1),
+                path: ['environment', index],
+            };
+        });
+    }
+    if (service.environment && typeof service.environment === 'object') {
+        return Object.keys(service.environment).map(key => ({
+            key: key,
+            value: service.environment[key] === null || service.environment[key] === undefined ? '' : `${service.environment[key]}`,
+            path: ['environment', key],
+        }));
+    }
+    return [];
+}
+
+/**
+ * Collects the settings of a template that weaken the isolation of the containers, or that
+ * ship the same secret to everyone who installs the app.
+ *
+ * @returns [{ kind, severity, path: [], message, details: [] }]
+ */
+function collectSecurityIssues(content) {
+    const issues = [];
+    const services = (content && content.services) || {};
+
+    Object.keys(services).forEach(serviceName => {
+        const service = services[serviceName] || {};
+        const servicePath = ['services', serviceName];
+
+        const hostPorts = (service.ports || []).map(hostPortOf).filter(hostPort => hostPort !== undefined);
+        if (hostPorts.length > 0) {
+            issues.push({
+                kind: 'host-port',
+                severity: 'warning',
+                path: servicePath.concat(['ports']),
+                message: `publishes ${hostPorts.length > 1 ? 'ports' : 'port'} ${listOf(hostPorts)} ` +
+                    'on every node of the cluster, bypassing the CapRover proxy',
+                details: hostPorts,
+            });
+        }
+
+        (service.volumes || []).forEach((volume, index) => {
+            const hostPath = hostPathOf(volume);
+            if (hostPath === undefined) {
+                return;
+            }
+            const isDockerSocket = DOCKER_SOCKET_REGEX.test(hostPath);
+            issues.push({
+                kind: isDockerSocket ? 'docker-socket' : 'host-path',
+                severity: 'warning',
+                path: servicePath.concat(['volumes', index]),
+                message: isDockerSocket ?
+                    `mounts the Docker socket ${hostPath}, which gives the container full control over the host` :
+                    `mounts the host path ${hostPath}`,
+                details: [hostPath],
+            });
+        });
+
+        [].concat(service.cap_add || []).forEach((capability, index) => {
+            issues.push({
+                kind: 'capability',
+                severity: 'warning',
+                path: servicePath.concat(Array.isArray(service.cap_add) ? ['cap_add', index] : ['cap_add']),
+                message: `adds the Linux capability ${capability}`,
+                details: [`${capability}`],
+            });
+        });
+
+        const dockerfileLines = (service.caproverExtra && service.caproverExtra.dockerfileLines) || [];
+        dockerfileLines.forEach((line, index) => {
+            const match = `${line}`.match(PRIVILEGED_DOCKERFILE_REGEX);
+            if (!match) {
+                return;
+            }
+            issues.push({
+                kind: 'privileged',
+                severity: 'error',
+                path: servicePath.concat(['caproverExtra', 'dockerfileLines', index]),
+                message: `"${match[0]}" is not allowed in dockerfileLines, CapRover does not run containers privileged or on the host network`,
+                details: [match[0]],
+            });
+        });
+
+        environmentEntries(service).forEach(entry => {
+            if (!SECRET_NAME_REGEX.test(entry.key) || FLAG_VALUES.includes(entry.value.trim().toLowerCase())) {
+                return;
+            }
+            if (entry.value.includes('$$cap_')) {
+                return;
+            }
+            issues.push({
+                kind: 'hard-coded-secret',
+                severity: 'error',
+                path: servicePath.concat(entry.path),
+                message: `${entry.key} is hard-coded, every installation gets the same secret. ` +
+                    'Use a variable with a default value of $$cap_gen_random_hex(32) instead',
+                details: [entry.key],
+            });
+        });
+    });
+
+    const variables = (content && content.caproverOneClickApp && content.caproverOneClickApp.variables) || [];
+    variables.forEach((variable, index) => {
+        if (!variable || !SECRET_NAME_REGEX.test(`${variable.id}`)) {
+            return;
+        }
+        const defaultValue = variable.defaultValue === undefined || variable.defaultValue === null ? '' : `${variable.defaultValue}`;
+        if (FLAG_VALUES.includes(defaultValue.trim().toLowerCase()) || defaultValue.includes('$$cap_gen_random_hex')) {
+            return;
+        }
+        issues.push({
+            kind: 'default-secret',
+            severity: 'warning',
+            path: ['caproverOneClickApp', 'variables', index, 'defaultValue'],
+            message: `the default value of ${variable.id} is the same for every installation, ` +
+                'use $$cap_gen_random_hex(32) or leave it empty and require a value with validRegex',
+            details: [`${variable.id}`],
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * @param content the parsed template
+ * @returns an array of {kind, severity, path: [], message}
+ */
+function analyzeSecurity(content) {
+    return collectSecurityIssues(content).map(issue => ({
+        kind: issue.kind,
+        severity: issue.severity,
+        path: issue.path,
+        message: issue.message,
+    }));
+}
+
+const NOTES = {
+    'host-port': details => `Publishes host ports: ${listOf(details)}`,
+    'docker-socket': () => 'Mounts the Docker socket, which gives it full control over the server',
+    'host-path': details => `Mounts host paths: ${listOf(details)}`,
+    'capability': details => `Adds Linux capabilities: ${listOf(details)}`,
+    'privileged': () => 'Requests privileged mode or host networking',
+    'hard-coded-secret': details => `Has hard-coded secrets: ${listOf(details)}`,
+    'default-secret': details => `Has fixed default values for secrets, change them when installing: ${listOf(details)}`,
+};
+
+/**
+ * One line per kind of issue, for the securityNotes of the app in dist/v4/list
+ *
+ * @returns e.g. ['Publishes host ports: 53/udp, 853', 'Adds Linux capabilities: NET_ADMIN']
+ */
+function createSecurityNotes(content) {
+    const detailsByKind = {};
+    collectSecurityIssues(content).forEach(issue => {
+        detailsByKind[issue.kind] = detailsByKind[issue.kind] || [];
+        issue.details
+            .filter(detail => !detailsByKind[issue.kind].includes(detail))
+            .forEach(detail => detailsByKind[issue.kind].push(detail));
+    });
+
+    return Object.keys(NOTES)
+        .filter(kind => !!detailsByKind[kind])
+        .map(kind => NOTES[kind](detailsByKind[kind]));
+}
+
+module.exports = {
+    analyzeSecurity,
+    createSecurityNotes,
+};
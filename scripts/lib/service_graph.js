@@ -0,0 +1,299 @@
+/*jshint esversion: 6 */
+
+/**
+ * CapRover prefixes the name of every service, and every named volume, with srv-captain--
+ */
+const HOSTNAME_PREFIX = 'srv-captain--';
+
+const HOSTNAME_REFERENCE_REGEX = /srv-captain--([A-Za-z0-9$_-]+)/g;
+
+/**
+ * Images of databases and caches. They do not speak HTTP, so exposing them as a web app
+ * only creates a broken subdomain, see caproverExtra.notExposeAsWebApp
+ */
+const NON_HTTP_IMAGES = [
+    'postgres',
+    'postgis/postgis',
+    'timescale/timescaledb',
+    'bitnami/postgresql',
+    'mysql',
+    'mariadb',
+    'bitnami/mariadb',
+    'bitnami/mysql',
+    'percona',
+    'mongo',
+    'bitnami/mongodb',
+    'redis',
+    'bitnami/redis',
+    'valkey/valkey',
+    'eqalpha/keydb',
+    'memcached',
+    'bitnami/memcached',
+    'docker.dragonflydb.io/dragonflydb/dragonfly',
+];
+
+function dependenciesOf(service) {
+    const dependsOn = service.depends_on;
+    if (Array.isArray(dependsOn)) {
+        return dependsOn.map((name, index) => ({ name: `${name}`, path: ['depends_on', index] }));
+    }
+    if (dependsOn && typeof dependsOn === 'object') {
+        return Object.keys(dependsOn).map(name => ({ name: name, path: ['depends_on', name] }));
+    }
+    return [];
+}
+
+/**
+ * Strings of a service in which other services are referenced by hostname
+ *
+ * @returns [{ text, path: [] }], path is relative to the service
+ */
+function stringsOfService(service) {
+    const strings = [];
+
+    if (Array.isArray(service.environment)) {
+        service.environment.forEach((entry, index) => strings.push({ text: `${entry}`, path: ['environment', index] }));
+    } else if (service.environment && typeof service.environment === 'object') {
+        Object.keys(service.environment).forEach(key => {
+            strings.push({ text: `${service.environment[key]}`, path: ['environment', key] });
+        });
+    }
+
+    if (Array.isArray(service.command)) {
+        service.command.forEach((part, index) => strings.push({ text: `${part}`, path: ['command', index] }));
+    } else if (service.command !== undefined && service.command !== null) {
+        strings.push({ text: `${service.command}`, path: ['command'] });
+    }
+
+    return strings;
+}
+
+/**
+ * Only the references that contain $$cap_appname point into this template.
+ * Others, e.g. srv-captain--YOUR_CONTAINER_NAME in the instructions, point to apps
+ * that the user deployed separately.
+ */
+function findHostnameReferences(text) {
+    const references = [];
+    let match;
+    HOSTNAME_REFERENCE_REGEX.lastIndex = 0;
+    while ((match = HOSTNAME_REFERENCE_REGEX.exec(text)) !== null) {
+        if (match[1].includes('$$cap_appname')) {
+            references.push(match[1]);
+        }
+    }
+    return references;
+}
+
+function namedVolumesOf(services) {
+    const volumes = [];
+    Object.keys(services).forEach(serviceName => {
+        ((services[serviceName] || {}).volumes || []).forEach(volume => {
+            const source = `${volume}`.split(':')[0];
+            if (source && !source.startsWith('/') && !source.startsWith('.') && !volumes.includes(source)) {
+                volumes.push(source);
+            }
+        });
+    });
+    return volumes;
+}
+
+/**
+ * @returns the repository of the image of the service without tag, e.g. `bitnami/redis` or `postgres`
+ */
+function imageNameOf(service) {
+    let image = service.image;
+    if (!image) {
+        const dockerfileLines = (service.caproverExtra && service.caproverExtra.dockerfileLines) || [];
+        const from = dockerfileLines.map(line => `${line}`.match(/^\s*FROM\s+(?:--\S+\s+)*(\S+)/i)).find(m => !!m);
+        image = from ? from[1] : '';
+    }
+    const withoutDigest = `${image}`.split('@')[0];
+    const tagIndex = withoutDigest.indexOf(':', withoutDigest.lastIndexOf('/') + 1);
+    const repository = tagIndex >= 0 ? withoutDigest.substring(0, tagIndex) : withoutDigest;
+    return repository
+        .toLowerCase()
+        .replace(/^(index\.)?docker\.io\//, '')
+        .replace(/^library\//, '');
+}
+
+function isExposedAsWebApp(service) {
+    const extra = service.caproverExtra || {};
+    return `${extra.notExposeAsWebApp}`.toLowerCase().trim() !== 'true';
+}
+
+/**
+ * The services of the template and how they refer to each other
+ *
+ * @returns {{nodes: [{id, image, exposedAsWebApp}], edges: [{from, to, type: 'depends_on'|'hostname'}]}}
+ */
+function createServiceGraph(content) {
+    const services = (content && content.services) || {};
+    const nodes = [];
+    const edges = [];
+
+    Object.keys(services).forEach(serviceName => {
+        const service = services[serviceName] || {};
+        nodes.push({
+            id: serviceName,
+            image: imageNameOf(service),
+            exposedAsWebApp: isExposedAsWebApp(service),
+        });
+
+        dependenciesOf(service).forEach(dependency => {
+            edges.push({ from: serviceName, to: dependency.name, type: 'depends_on' });
+        });
+
+        stringsOfService(service).forEach(s => {
+            findHostnameReferences(s.text)
+                .filter(name => !!services[name] && name !== serviceName)
+                .forEach(name => {
+                    if (!edges.some(e => e.from === serviceName && e.to === name && e.type === 'hostname')) {
+                        edges.push({ from: serviceName, to: name, type: 'hostname' });
+                    }
+                });
+        });
+    });
+
+    return {
+        nodes: nodes,
+        edges: edges,
+    };
+}
+
+/**
+ * @returns the cycles of depends_on, each one as a list of service names starting with the
+ * smallest name, e.g. ['a', 'b'] for a -> b -> a
+ */
+function findCycles(services) {
+    const cycles = [];
+    const seen = {};
+
+    function visit(serviceName, stack) {
+        const index = stack.indexOf(serviceName);
+        if (index >= 0) {
+            const cycle = stack.slice(index);
+            const start = cycle.indexOf(cycle.slice().sort()[0]);
+            const normalized = cycle.slice(start).concat(cycle.slice(0, start));
+            const key = normalized.join('\n');
+            if (!seen[key]) {
+                seen[key] = true;
+                cycles.push(normalized);
+            }
+            return;
+        }
+        if (!services[serviceName]) {
+            return;
+        }
+        dependenciesOf(services[serviceName] || {}).forEach(d => visit(d.name, stack.concat([serviceName])));
+    }
+
+    Object.keys(services).forEach(serviceName => visit(serviceName, []));
+    return cycles;
+}
+
+/**
+ * Checks how the services of a template refer to each other:
+ * - every depends_on entry names a service of the template, and depends_on has no cycles
+ * - every srv-captain--$$cap_appname... reference in environment, command and instructions
+ *   resolves to a service (or a named volume) of the template
+ * - databases and caches set notExposeAsWebApp
+ *
+ * @param content the parsed template
+ * @returns an array of {severity, path: [], message}
+ */
+function analyzeServiceGraph(content) {
+    const findings = [];
+    const services = (content && content.services) || {};
+    const serviceNames = Object.keys(services);
+    const namedVolumes = namedVolumesOf(services);
+
+    function checkHostnameReferences(text, pathArray) {
+        findHostnameReferences(text).forEach(name => {
+            if (services[name] || namedVolumes.includes(name)) {
+                return;
+            }
+            findings.push({
+                severity: 'error',
+                path: pathArray,
+                message: `${HOSTNAME_PREFIX}${name} does not match any service of this app, ` +
+                    `the services are: ${serviceNames.map(n => HOSTNAME_PREFIX + n).join(', ')}`,
+            });
+        });
+    }
+
+    serviceNames.forEach(serviceName => {
+        const service = services[serviceName] || {};
+        const servicePath = ['services', serviceName];
+
+        dependenciesOf(service).forEach(dependency => {
+            if (!services[dependency.name]) {
+                findings.push({
+                    severity: 'error',
+                    path: servicePath.concat(dependency.path),
+                    message: `depends on "${dependency.name}", which is not a service of this app. ` +
+                        `The services are: ${serviceNames.join(', ')}`,
+                });
+            }
+        });
+
+        stringsOfService(service).forEach(s => checkHostnameReferences(s.text, servicePath.concat(s.path)));
+
+        const imageName = imageNameOf(service);
+        if (NON_HTTP_IMAGES.includes(imageName) && isExposedAsWebApp(service)) {
+            findings.push({
+                severity: 'warning',
+                path: servicePath,
+                message: `${imageName} does not serve HTTP, set caproverExtra.notExposeAsWebApp to 'true'`,
+            });
+        }
+    });
+
+    findCycles(services).forEach(cycle => {
+        findings.push({
+            severity: 'error',
+            path: ['services', cycle[0], 'depends_on'],
+            message: `depends_on has a cycle: ${cycle.concat([cycle[0]]).join(' -> ')}`,
+        });
+    });
+
+    const instructions = (content && content.caproverOneClickApp && content.caproverOneClickApp.instructions) || {};
+    ['start', 'end'].forEach(key => {
+        if (typeof instructions[key] === 'string') {
+            checkHostnameReferences(instructions[key], ['caproverOneClickApp', 'instructions', key]);
+        }
+    });
+
+    return findings;
+}
+
+function escapeDot(text) {
+    return `${text}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Renders the graph of createServiceGraph() in the Graphviz DOT language
+ */
+function toDot(appName, graph) {
+    const lines = [`digraph "${escapeDot(appName)}" {`, '    rankdir=LR;'];
+    graph.nodes.forEach(node => {
+        // Services that are not exposed as web apps, i.e. databases and caches, are drawn as cylinders
+        const label = [node.id, node.image].filter(part => !!part).map(escapeDot).join('\\n');
+        const shape = node.exposedAsWebApp ? 'box' : 'cylinder';
+        lines.push(`    "${escapeDot(node.id)}" [label="${label}", shape=${shape}];`);
+    });
+    graph.edges.forEach(edge => {
+        // depends_on is solid, a srv-captain-- hostname in the environment or command is dashed
+        const style = edge.type === 'depends_on' ? 'solid' : 'dashed';
+        lines.push(`    "${escapeDot(edge.from)}" -> "${escapeDot(edge.to)}" [style=${style}];`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    HOSTNAME_PREFIX,
+    analyzeServiceGraph,
+    createServiceGraph,
+    toDot,
+};
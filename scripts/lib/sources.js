@@ -0,0 +1,194 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const fs = require('fs-extra');
+
+const pathOfRoot = path.join(__dirname, '..', '..');
+
+/**
+ * The directories that are merged into one dist. Each one has apps/, logos/ and optionally fragments/,
+ * like public/v4. Set ONE_CLICK_APPS_SOURCES to use another configuration file.
+ */
+const pathOfSourcesConfig = path.join(__dirname, '..', 'sources.json');
+
+const SOURCE_KEYS = ['name', 'path', 'prefix', 'overrides'];
+
+const NAME_REGEX = /^[a-z0-9]+([._-][a-z0-9]+)*$/;
+
+const PREFIX_REGEX = /^[a-z0-9][a-z0-9._-]*$/;
+
+const pathOfV2 = path.join(pathOfRoot, 'public', 'v2');
+
+/**
+ * The apps of public/v2, which build_one_click_apps.js builds into the same dist for old CapRover versions.
+ * They count as the first source, without a prefix, so an app of scripts/sources.json with the same name
+ * is a conflict like one between two sources. See collectSourceFiles()
+ */
+const V2_SOURCE = {
+    name: 'public-v2',
+    path: pathOfV2,
+    prefix: '',
+    overrides: false,
+    pathOfApps: path.join(pathOfV2, 'apps'),
+    pathOfLogos: path.join(pathOfV2, 'logos'),
+    pathOfFragments: path.join(pathOfV2, 'fragments'),
+};
+
+/**
+ * Reads and checks the configuration of the sources, paths are relative to the repository root
+ *
+ * @returns [{ name, path, prefix, overrides, pathOfApps, pathOfLogos, pathOfFragments }]
+ */
+function readSources(filePath) {
+    const pathOfConfig = filePath || process.env.ONE_CLICK_APPS_SOURCES || pathOfSourcesConfig;
+    const config = fs.readJsonSync(pathOfConfig);
+    const fail = message => {
+        throw new Error(`${path.relative(pathOfRoot, pathOfConfig) || pathOfConfig}: ${message}`);
+    };
+
+    if (!config || !Array.isArray(config.sources) || config.sources.length === 0) {
+        fail('"sources" must be a list with at least one source');
+    }
+
+    const names = [];
+    return config.sources.map((source, index) => {
+        Object.keys(source)
+            .filter(key => !SOURCE_KEYS.includes(key))
+            .forEach(key => fail(`sources[${index}] has the unknown key "${key}", a source has ${SOURCE_KEYS.join(', ')}`));
+        if (typeof source.name !== 'string' || !NAME_REGEX.test(source.name)) {
+            fail(`sources[${index}] needs a "name" of lower case letters, digits, ".", "_" and "-"`);
+        }
+        if (source.name === V2_SOURCE.name) {
+            fail(`the source name "${V2_SOURCE.name}" is reserved for the apps of public/v2`);
+        }
+        if (names.includes(source.name)) {
+            fail(`there is more than one source named "${source.name}"`);
+        }
+        names.push(source.name);
+        if (typeof source.path !== 'string' || !source.path) {
+            fail(`source "${source.name}" needs a "path"`);
+        }
+        if (source.prefix !== undefined && (typeof source.prefix !== 'string' || !PREFIX_REGEX.test(source.prefix))) {
+            fail(`the prefix of source "${source.name}" may only have lower case letters, digits, ".", "_" and "-"`);
+        }
+
+        const pathOfSource = path.resolve(pathOfRoot, source.path);
+        if (!fs.existsSync(path.join(pathOfSource, 'apps'))) {
+            fail(`source "${source.name}" has no apps directory, expected ${path.join(pathOfSource, 'apps')}`);
+        }
+
+        return {
+            name: source.name,
+            path: pathOfSource,
+            prefix: source.prefix || '',
+            overrides: source.overrides === true,
+            pathOfApps: path.join(pathOfSource, 'apps'),
+            pathOfLogos: path.join(pathOfSource, 'logos'),
+            pathOfFragments: path.join(pathOfSource, 'fragments'),
+        };
+    });
+}
+
+function printablePath(filePath) {
+    const relative = path.relative(pathOfRoot, filePath);
+    return relative.startsWith('..') ? filePath : relative;
+}
+
+/**
+ * Merges the files of one kind, e.g. the apps, of all sources by their published name.
+ * A source with a prefix publishes `app.yml` as `<prefix>app.yml`. If two sources publish
+ * the same name, the later one wins when it has `overrides`, otherwise that is an error.
+ * Apps are compared without their extension, public/v2 has `app.json` where the others have `app.yml`.
+ * Fragments have no prefix and are shared by the apps of every source, so two fragments with the same name
+ * are always an error, `overrides` would change the apps of the other sources.
+ *
+ * @param sources  see readSources()
+ * @param kind     'apps', 'logos' or 'fragments'
+ * @param withPrefix whether the prefix of the source applies, fragments are referenced by their plain name
+ * @returns [{ fileName (published), sourceFileName, filePath, source (name), overridden: [source names] }],
+ *          sorted by the published file name
+ */
+function collectFiles(sources, kind, withPrefix) {
+    const byKey = {};
+
+    sources.forEach(source => {
+        const directory = kind === 'apps' ? source.pathOfApps : kind === 'logos' ? source.pathOfLogos : source.pathOfFragments;
+        if (!fs.existsSync(directory)) {
+            return;
+        }
+
+        fs.readdirSync(directory).sort().forEach(sourceFileName => {
+            const fileName = (withPrefix ? source.prefix : '') + sourceFileName;
+            const entry = {
+                fileName: fileName,
+                sourceFileName: sourceFileName,
+                filePath: path.join(directory, sourceFileName),
+                source: source.name,
+                overridden: [],
+            };
+
+            const key = kind === 'apps' ? fileName.replace(/\.(yml|json)$/, '') : fileName;
+            const existing = byKey[key];
+            if (existing) {
+                if (kind === 'fragments') {
+                    throw new Error(`fragments/${key} exists in the sources "${existing.source}" (${printablePath(existing.filePath)}) ` +
+                        `and "${source.name}" (${printablePath(entry.filePath)}). The apps of every source share the fragments, ` +
+                        `so a fragment cannot be overridden, give the one of "${source.name}" another name`);
+                }
+                if (!source.overrides) {
+                    throw new Error(`${kind}/${key} exists in the sources "${existing.source}" (${printablePath(existing.filePath)}) ` +
+                        `and "${source.name}" (${printablePath(entry.filePath)}). Give one of them a "prefix", ` +
+                        `or set "overrides": true on "${source.name}" to replace the one of "${existing.source}"`);
+                }
+                entry.overridden = existing.overridden.concat([existing.source]);
+            }
+            byKey[key] = entry;
+        });
+    });
+
+    return Object.keys(byKey)
+        .map(key => byKey[key])
+        .sort((a, b) => (a.fileName < b.fileName ? -1 : a.fileName > b.fileName ? 1 : 0));
+}
+
+/**
+ * collectFiles() of the sources, checked against the apps and logos of public/v2 that come before them.
+ * Only the files of the sources are returned, build_one_click_apps.js builds the ones of public/v2.
+ */
+function collectSourceFiles(sources, kind, withPrefix) {
+    return collectFiles([V2_SOURCE].concat(sources), kind, withPrefix).filter(f => f.source !== V2_SOURCE.name);
+}
+
+/**
+ * The apps of all sources by their published name, for the scripts that work on single apps, e.g. render_app.js
+ *
+ * @param sources see readSources()
+ * @returns [{ name, fileName, sourceFileName, filePath, source, overridden }], see collectFiles()
+ */
+function collectApps(sources) {
+    return collectSourceFiles(sources, 'apps', true)
+        .filter(f => f.fileName.endsWith('.yml'))
+        .map(f => Object.assign({ name: f.fileName.replace(/\.yml$/, '') }, f));
+}
+
+/**
+ * @param apps    see collectApps()
+ * @param appName the published name, e.g. acme-wiki for wiki.yml of a source with the prefix acme-
+ */
+function findApp(apps, appName) {
+    const app = apps.find(a => a.name === appName);
+    if (!app) {
+        const sourceNames = apps.map(a => a.source).filter((name, index, names) => names.indexOf(name) === index);
+        throw new Error(`Cannot find the app ${appName} in the sources: ${sourceNames.join(', ')}`);
+    }
+    return app;
+}
+
+module.exports = {
+    pathOfSourcesConfig,
+    V2_SOURCE,
+    readSources,
+    collectFiles,
+    collectSourceFiles,
+    collectApps,
+    findApp,
+};
@@ -0,0 +1,139 @@
+/*jshint esversion: 6 */
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * The files CapRover fetches have no extension: /v4/list, /v4/apps/<name>, /v3/list, ...
+ * They are all JSON, as is everything else without a known extension.
+ */
+const CONTENT_TYPES = {
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+};
+
+const FILES_WITHOUT_EXTENSION = {
+    CNAME: 'text/plain; charset=utf-8',
+};
+
+const DEFAULT_CONTENT_TYPE = 'application/json; charset=utf-8';
+
+// The CapRover dashboard fetches the lists and apps of third party repositories from the browser
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+    'Access-Control-Allow-Headers': '*',
+};
+
+function contentTypeOf(filePath) {
+    const baseName = path.basename(filePath);
+    if (FILES_WITHOUT_EXTENSION[baseName]) {
+        return FILES_WITHOUT_EXTENSION[baseName];
+    }
+    return CONTENT_TYPES[path.extname(baseName).toLowerCase()] || DEFAULT_CONTENT_TYPE;
+}
+
+/**
+ * Maps the URL path to a file in rootDirectory, or returns undefined if it points outside of it.
+ * Directories are served by their index.html, like on GitHub Pages.
+ */
+function resolveFile(rootDirectory, urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath.split('?')[0]);
+    } catch (e) {
+        return undefined;
+    }
+
+    const filePath = path.join(rootDirectory, path.normalize(decoded));
+    if (filePath !== rootDirectory && !filePath.startsWith(rootDirectory + path.sep)) {
+        return undefined;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        return path.join(filePath, 'index.html');
+    }
+    return filePath;
+}
+
+function sendError(res, statusCode, message) {
+    res.writeHead(statusCode, Object.assign({ 'Content-Type': 'text/plain; charset=utf-8' }, CORS_HEADERS));
+    res.end(message + '\n');
+}
+
+/**
+ * Creates an HTTP server for the static files in rootDirectory, with CORS headers and no caching.
+ *
+ * options.beforeRequest: optional, returns a Promise that has to resolve before any request is answered,
+ * e.g. to hold requests while a build is running.
+ * options.log: optional, called with a line for every request
+ */
+function createStaticServer(rootDirectory, options) {
+    options = options || {};
+    const root = path.resolve(rootDirectory);
+    const beforeRequest = options.beforeRequest || (() => Promise.resolve());
+    const log = options.log || (() => {});
+
+    return http.createServer(function (req, res) {
+        res.on('finish', () => log(`${res.statusCode} ${req.method} ${req.url}`));
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendError(res, 405, 'Method not allowed');
+            return;
+        }
+
+        beforeRequest()
+            .then(function () {
+                const filePath = resolveFile(root, req.url);
+                if (!filePath) {
+                    sendError(res, 403, 'Forbidden');
+                    return;
+                }
+
+                return fs.readFile(filePath).then(
+                    function (content) {
+                        res.writeHead(
+                            200,
+                            Object.assign(
+                                {
+                                    'Content-Type': contentTypeOf(filePath),
+                                    'Content-Length': content.length,
+                                    'Cache-Control': 'no-store',
+                                },
+                                CORS_HEADERS
+                            )
+                        );
+                        res.end(req.method === 'HEAD' ? undefined : content);
+                    },
+                    function (err) {
+                        if (err.code === 'ENOENT' || err.code === 'EISDIR' || err.code === 'ENOTDIR') {
+                            sendError(res, 404, 'Not found');
+                            return;
+                        }
+                        throw err;
+                    }
+                );
+            })
+            .catch(function (err) {
+                sendError(res, 500, err.message || `${err}`);
+            });
+    });
+}
+
+module.exports = {
+    contentTypeOf,
+    resolveFile,
+    createStaticServer,
+};
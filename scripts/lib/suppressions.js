@@ -0,0 +1,171 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * Findings of validate_apps that are accepted for an app, each with the reason why:
+ *   { "suppressions": [ { "app": "portainer", "rules": ["security/docker-socket"], "reason": "..." } ] }
+ * Set VALIDATION_SUPPRESSIONS to use another file.
+ */
+const pathOfSuppressions = path.join(__dirname, '..', 'validation_suppressions.json');
+
+const SUPPRESSION_KEYS = ['app', 'rules', 'reason'];
+
+/**
+ * A comment anywhere in the template of the app, e.g.
+ *   # validate_apps: ignore security/docker-socket -- managing containers is what the app is for
+ */
+const INLINE_REGEX = /^[ \t]*#[ \t]*validate_apps:[ \t]*ignore[ \t]+(.*)$/gm;
+
+/**
+ * `security` matches every rule of the form `security/...`
+ */
+function ruleMatches(pattern, ruleId) {
+    return pattern === ruleId || ruleId.startsWith(`${pattern}/`);
+}
+
+function splitRules(text) {
+    return `${text}`
+        .split(/[\s,]+/)
+        .filter(rule => !!rule);
+}
+
+/**
+ * @returns [{ app, rules, reason, kind: 'external', file }]
+ */
+function readSuppressionConfig(filePath) {
+    const pathOfConfig = filePath || process.env.VALIDATION_SUPPRESSIONS || pathOfSuppressions;
+    if (!fs.existsSync(pathOfConfig)) {
+        return [];
+    }
+    const config = fs.readJsonSync(pathOfConfig);
+    const fail = message => {
+        throw new Error(`${pathOfConfig}: ${message}`);
+    };
+
+    if (!config || !Array.isArray(config.suppressions)) {
+        fail('"suppressions" must be a list');
+    }
+
+    return config.suppressions.map((suppression, index) => {
+        Object.keys(suppression || {})
+            .filter(key => !SUPPRESSION_KEYS.includes(key))
+            .forEach(key => fail(`suppressions[${index}] has the unknown key "${key}", a suppression has ${SUPPRESSION_KEYS.join(', ')}`));
+        if (!suppression || typeof suppression.app !== 'string' || !suppression.app) {
+            fail(`suppressions[${index}] needs the name of an "app"`);
+        }
+        if (!Array.isArray(suppression.rules) || suppression.rules.length === 0) {
+            fail(`suppressions[${index}] needs a list of "rules"`);
+        }
+        return {
+            app: suppression.app,
+            rules: suppression.rules.map(rule => `${rule}`),
+            reason: typeof suppression.reason === 'string' ? suppression.reason.trim() : '',
+            kind: 'external',
+            file: pathOfConfig,
+            line: undefined,
+        };
+    });
+}
+
+/**
+ * The `# validate_apps: ignore <rule>[, <rule>] -- <reason>` comments of a template
+ *
+ * @returns [{ app, rules, reason, kind: 'inSource', file, line }]
+ */
+function findInlineSuppressions(appName, filePath, contentString) {
+    const suppressions = [];
+    let match;
+    INLINE_REGEX.lastIndex = 0;
+    while ((match = INLINE_REGEX.exec(contentString)) !== null) {
+        const separator = match[1].indexOf('--');
+        suppressions.push({
+            app: appName,
+            rules: splitRules(separator >= 0 ? match[1].substring(0, separator) : match[1]),
+            reason: separator >= 0 ? match[1].substring(separator + 2).trim() : '',
+            kind: 'inSource',
+            file: filePath,
+            line: contentString.substring(0, match.index).split('\n').length,
+        });
+    }
+    return suppressions;
+}
+
+/**
+ * Marks the findings that a suppression of their app matches as `suppressed: {kind, reason}`, and reports
+ * suppressions that are broken or no longer needed as findings of the rule `suppression`.
+ *
+ * @param findings     see validation.js, only findings that have an `app` can be suppressed
+ * @param suppressions see readSuppressionConfig() and findInlineSuppressions()
+ * @param knownRules   the rule ids
+ * @param appNames     the apps that were validated, suppressions of other apps are not checked for use
+ * @param allAppNames  every app of the sources
+ * @returns the findings, including the ones about the suppressions
+ */
+function applySuppressions(findings, suppressions, knownRules, appNames, allAppNames) {
+    const used = suppressions.map(() => ({}));
+
+    const result = findings.map(finding => {
+        if (!finding.app) {
+            return finding;
+        }
+        let suppressedBy;
+        suppressions.forEach((suppression, index) => {
+            if (suppression.app !== finding.app || !suppression.reason) {
+                return;
+            }
+            suppression.rules
+                .filter(pattern => ruleMatches(pattern, finding.rule))
+                .forEach(pattern => {
+                    used[index][pattern] = true;
+                    suppressedBy = suppressedBy || suppression;
+                });
+        });
+        return suppressedBy ?
+            Object.assign({}, finding, { suppressed: { kind: suppressedBy.kind, reason: suppressedBy.reason } }) :
+            finding;
+    });
+
+    suppressions.forEach((suppression, index) => {
+        const report = (severity, message) => result.push({
+            rule: 'suppression',
+            severity: severity,
+            app: undefined,
+            target: suppression.file,
+            file: suppression.file,
+            line: suppression.line,
+            column: suppression.line ? 1 : undefined,
+            path: '(root)',
+            message: `${suppression.app}: ${message}`,
+        });
+
+        if (!suppression.reason) {
+            report('error', `the suppression of ${suppression.rules.join(', ')} needs a reason, e.g. ` +
+                (suppression.kind === 'inSource' ? '"# validate_apps: ignore <rule> -- <reason>"' : '"reason": "<reason>"'));
+            return;
+        }
+        suppression.rules
+            .filter(pattern => !knownRules.some(rule => ruleMatches(pattern, rule)))
+            .forEach(pattern => report('error', `"${pattern}" is not a rule, see the rules of npm run validate_apps -- --list-rules`));
+        if (!allAppNames.includes(suppression.app)) {
+            report('warning', 'the app does not exist, remove the suppression');
+            return;
+        }
+        if (!appNames.includes(suppression.app)) {
+            return;
+        }
+        suppression.rules
+            .filter(pattern => knownRules.some(rule => ruleMatches(pattern, rule)) && !used[index][pattern])
+            .forEach(pattern => report('warning', `nothing to suppress for ${pattern} anymore, remove the suppression`));
+    });
+
+    return result;
+}
+
+module.exports = {
+    pathOfSuppressions,
+    ruleMatches,
+    readSuppressionConfig,
+    findInlineSuppressions,
+    applySuppressions,
+};
@@ -0,0 +1,305 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const yaml = require('yaml');
+const fs = require('fs-extra');
+const { validateAgainstV4Schema } = require('./schema_validation');
+const { analyzeVariableReferences } = require('./variable_references');
+const { analyzeVariableRegexes } = require('./variable_regex');
+const { analyzeVariableTypes } = require('./variable_types');
+const { analyzeImageTags } = require('./image_policy');
+const { analyzeServiceGraph } = require('./service_graph');
+const { analyzeSecurity } = require('./security');
+const { analyzeFragment, expandFragments } = require('./fragments');
+const { analyzeLogo, findOrphanLogos } = require('./logos');
+const { analyzeLifecycle } = require('./lifecycle');
+const { analyzeScaffoldPlaceholders } = require('./compose_import');
+const { findInlineSuppressions, applySuppressions } = require('./suppressions');
+const { locate, formatPath, offsetToLineColumn } = require('./yaml_location');
+
+const pathOfRoot = path.join(__dirname, '..', '..');
+
+/**
+ * Every finding of validate_apps has the id of one of these rules. Suppressions refer to them,
+ * `security` stands for all of `security/...`.
+ */
+const RULES = {
+    'yaml-syntax': 'The file is valid YAML',
+    'schema': 'The template matches scripts/schema/v4_app.schema.json',
+    'fragment': 'The fragments are valid and only use the parameters they declare',
+    'fragment-usage': 'Services extend existing fragments with the parameters they need',
+    'variable-references': 'Every $$cap_ reference is declared and every variable is used',
+    'variable-regex': 'validRegex is a valid regular expression that accepts the defaultValue',
+    'variable-types': 'Typed variables have valid settings and a defaultValue of their type',
+    'image-tags': 'Images are pinned to a version, see scripts/image_policy.json',
+    'service-graph': 'depends_on and srv-captain-- hostnames refer to services of the app, without cycles',
+    'security/host-port': 'Services that publish host ports',
+    'security/docker-socket': 'Services that mount the Docker socket',
+    'security/host-path': 'Services that mount host paths',
+    'security/capability': 'Services that add Linux capabilities',
+    'security/privileged': 'dockerfileLines that need privileged containers or the host network',
+    'security/hard-coded-secret': 'Secrets hard-coded in the environment of a service',
+    'security/default-secret': 'Secret variables with the same default value for every installation',
+    'lifecycle': 'replacedBy names another existing app that is neither hidden nor deprecated, and apps with a replacement are deprecated',
+    'scaffold-placeholder': 'Apps scaffolded by import_compose have no TODO placeholders left',
+    'logo': 'The app has a PNG logo within the limits of scripts/logo_policy.json',
+    'orphan-logo': 'Every logo belongs to an app',
+    'v2-app': 'The apps of public/v2 have the right captainVersion, a description and a logo',
+    'suppression': 'Suppressions name known rules, give a reason and still suppress something',
+};
+
+/**
+ * The analyzers that run on the template with its fragments inlined, the way the build writes it to dist
+ */
+const APP_CHECKS = [
+    { rule: 'fragment-usage', run: app => app.expanded.findings },
+    { rule: 'variable-references', run: app => analyzeVariableReferences(app.content) },
+    { rule: 'variable-regex', run: app => analyzeVariableRegexes(app.content) },
+    { rule: 'variable-types', run: app => analyzeVariableTypes(app.content) },
+    { rule: 'image-tags', run: (app, options) => analyzeImageTags(app.name, app.content, options.imagePolicy) },
+    { rule: 'service-graph', run: app => analyzeServiceGraph(app.content) },
+    { rule: 'security', run: app => analyzeSecurity(app.content).map(f => Object.assign({ rule: `security/${f.kind}` }, f)) },
+    { rule: 'lifecycle', run: (app, options) => analyzeLifecycle(app.name, app.content, options.allAppNames, options.lifecycles) },
+    { rule: 'scaffold-placeholder', run: app => analyzeScaffoldPlaceholders(app.content) },
+];
+
+function printablePath(filePath) {
+    if (!filePath) {
+        return filePath;
+    }
+    const relative = path.relative(pathOfRoot, filePath);
+    return relative.startsWith('..') ? filePath : relative.split(path.sep).join('/');
+}
+
+function yamlErrors(doc, contentString) {
+    return doc.errors.map(err => {
+        const location = err.source && err.source.range ?
+            offsetToLineColumn(contentString, err.source.range.start) : {};
+        return {
+            rule: 'yaml-syntax',
+            severity: 'error',
+            line: location.line,
+            column: location.column,
+            path: '(root)',
+            message: `invalid YAML: ${err.message}`,
+        };
+    });
+}
+
+/**
+ * @param appFile see collectFiles() of sources.js
+ * @param options see runValidation()
+ * @returns {findings, suppressions}, the inline suppressions of the template
+ */
+function validateApp(appFile, options) {
+    const name = appFile.fileName.replace(/\.yml$/, '');
+    const contentString = fs.readFileSync(appFile.filePath, 'utf-8');
+    const ofApp = finding => Object.assign({ app: name, target: appFile.filePath, file: appFile.filePath }, finding);
+    const suppressions = findInlineSuppressions(name, appFile.filePath, contentString);
+
+    const doc = yaml.parseDocument(contentString);
+    if (doc.errors.length > 0) {
+        return { findings: yamlErrors(doc, contentString).map(ofApp), suppressions: suppressions };
+    }
+
+    // Everything but the fragment findings is about the inlined template. Their locations point at the service that extends the fragment.
+    const expanded = expandFragments(doc.toJSON(), options.fragments);
+    const app = {
+        name: name,
+        expanded: expanded,
+        content: expanded.content,
+    };
+    const findings = [];
+
+    validateAgainstV4Schema(app.content, doc, contentString)
+        .forEach(err => findings.push(ofApp(Object.assign({ rule: 'schema', severity: 'error' }, err))));
+
+    APP_CHECKS.forEach(check => {
+        check.run(app, options).forEach(finding => {
+            const location = locate(doc, contentString, finding.path);
+            findings.push(ofApp({
+                rule: finding.rule || check.rule,
+                severity: finding.severity,
+                line: location.line,
+                column: location.column,
+                path: formatPath(finding.path),
+                message: finding.message,
+                image: finding.image,
+            }));
+        });
+    });
+
+    if (!fs.existsSync(appFile.logoPath) || !fs.statSync(appFile.logoPath).isFile()) {
+        findings.push(ofApp({
+            rule: 'logo',
+            severity: 'error',
+            path: '(root)',
+            message: `Cannot find logo for ${name} ${printablePath(appFile.logoPath)}`,
+        }));
+    } else {
+        analyzeLogo(name, fs.readFileSync(appFile.logoPath), options.logoPolicy).findings.forEach(finding => {
+            findings.push(ofApp({
+                rule: 'logo',
+                severity: finding.severity,
+                file: appFile.logoPath,
+                path: '(root)',
+                message: finding.message,
+            }));
+        });
+    }
+
+    return { findings: findings, suppressions: suppressions };
+}
+
+/**
+ * @param fragment see readFragmentFiles() of fragments.js
+ */
+function validateFragment(fragment) {
+    const ofFragment = finding => Object.assign({ target: fragment.filePath, file: fragment.filePath }, finding);
+
+    if (!fragment.content) {
+        return yamlErrors(fragment.doc, fragment.contentString).map(ofFragment);
+    }
+
+    return analyzeFragment(fragment.content).map(finding => {
+        const location = locate(fragment.doc, fragment.contentString, finding.path);
+        return ofFragment({
+            rule: 'fragment',
+            severity: finding.severity,
+            line: location.line,
+            column: location.column,
+            path: formatPath(finding.path),
+            message: finding.message,
+        });
+    });
+}
+
+/**
+ * The apps of public/v2, which build_one_click_apps.js builds for old CapRover versions
+ *
+ * @returns {targets, findings}
+ */
+function validateV2Apps(pathOfVersion) {
+    const pathOfApps = path.join(pathOfVersion, 'apps');
+    const result = { targets: [], findings: [] };
+    if (!fs.existsSync(pathOfApps)) {
+        return result;
+    }
+
+    fs.readdirSync(pathOfApps).sort().forEach(fileName => {
+        const filePath = path.join(pathOfApps, fileName);
+        const name = fileName.replace(/\.json$/, '');
+        const error = message => result.findings.push({
+            rule: 'v2-app',
+            severity: 'error',
+            target: filePath,
+            file: filePath,
+            path: '(root)',
+            message: message,
+        });
+        result.targets.push({ kind: 'v2-app', name: name, file: filePath });
+
+        if (!fileName.endsWith('.json')) {
+            error('All files in v2 must end with .json');
+            return;
+        }
+        let content;
+        try {
+            content = fs.readJsonSync(filePath);
+        } catch (err) {
+            error(`invalid JSON: ${err.message}`);
+            return;
+        }
+        if (`${content.captainVersion}` !== '2') {
+            error(`unmatched versions 2 ${content.captainVersion} for ${name}`);
+        }
+        if (!content.description) {
+            error(`Cannot find description for ${name}`);
+        } else if (content.description.length > 200) {
+            error(`Description too long for ${name} - keep it below 200 chars`);
+        }
+        const logoPath = path.join(pathOfVersion, 'logos', `${name}.png`);
+        if (!fs.existsSync(logoPath) || !fs.statSync(logoPath).isFile()) {
+            error(`Cannot find logo for ${name} ${printablePath(logoPath)}`);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Runs every rule and collects all findings, instead of stopping at the first invalid app.
+ *
+ * @param options {
+ *     appFiles:     [see collectFiles() of sources.js, with logoPath], the apps to validate
+ *     fragments:    see readFragmentFiles(), all of them, since the apps need them
+ *     fragmentNames: the fragments to validate
+ *     logoFiles:    [see collectFiles()], the logos to check for orphans
+ *     allAppNames:  every app of the sources, for orphan logos and suppressions
+ *     lifecycles:   {[appName]: lifecycleOf()} of every app of the sources, for replacedBy
+ *     imagePolicy, logoPolicy, suppressions: see readSuppressionConfig()
+ *     pathOfV2:     public/v2, or undefined to skip the v2 apps
+ * }
+ * @returns {
+ *     targets:  [{kind: 'app'|'fragment'|'logo'|'v2-app', name, file}],
+ *     findings: [{rule, severity, app, target, file, line, column, path, message, image, suppressed}],
+ *               target is the file of the app, fragment or logo the finding belongs to,
+ *               suppressed is {kind: 'inSource'|'external', reason} or undefined.
+ * }
+ * All files are relative to the repository root.
+ */
+function runValidation(options) {
+    const targets = [];
+    let findings = [];
+    let suppressions = options.suppressions || [];
+
+    options.fragmentNames.forEach(name => {
+        const fragment = options.fragments[name];
+        targets.push({ kind: 'fragment', name: name, file: fragment.filePath });
+        findings = findings.concat(validateFragment(fragment));
+    });
+
+    options.appFiles.forEach(appFile => {
+        const name = appFile.fileName.replace(/\.yml$/, '');
+        targets.push({ kind: 'app', name: name, file: appFile.filePath });
+        const result = validateApp(appFile, options);
+        findings = findings.concat(result.findings);
+        suppressions = suppressions.concat(result.suppressions);
+    });
+
+    const orphanLogos = findOrphanLogos(options.logoFiles.map(l => l.fileName), options.allAppNames);
+    options.logoFiles
+        .filter(logoFile => orphanLogos.includes(logoFile.fileName))
+        .forEach(logoFile => {
+            targets.push({ kind: 'logo', name: logoFile.fileName, file: logoFile.filePath });
+            findings.push({
+                rule: 'orphan-logo',
+                severity: 'error',
+                target: logoFile.filePath,
+                file: logoFile.filePath,
+                path: '(root)',
+                message: `${logoFile.fileName} has no app, remove it or add the app`,
+            });
+        });
+
+    if (options.pathOfV2) {
+        const v2 = validateV2Apps(options.pathOfV2);
+        v2.targets.forEach(target => targets.push(target));
+        findings = findings.concat(v2.findings);
+    }
+
+    const appNames = options.appFiles.map(appFile => appFile.fileName.replace(/\.yml$/, ''));
+    findings = applySuppressions(findings, suppressions, Object.keys(RULES), appNames, options.allAppNames);
+
+    return {
+        targets: targets.map(target => Object.assign({}, target, { file: printablePath(target.file) })),
+        findings: findings.map(finding => Object.assign({}, finding, {
+            target: printablePath(finding.target),
+            file: printablePath(finding.file),
+        })),
+    };
+}
+
+module.exports = {
+    RULES,
+    runValidation,
+};
@@ -0,0 +1,194 @@
+/*jshint esversion: 6 */
+
+const VARIABLE_PREFIX = '$$cap_';
+
+/**
+ * Variables that CapRover provides for every one-click app.
+ * $$cap_gen_random_hex(length) is handled separately since it takes an argument.
+ */
+const BUILT_IN_VARIABLES = ['$$cap_appname', '$$cap_root_domain'];
+
+const RANDOM_HEX_REGEX = /^\$\$cap_gen_random_hex\(\d+\)/;
+
+const TOKEN_REGEX = /^\$\$cap_\w+/;
+
+/**
+ * Calls `callback(text, pathArray)` for every string in the template, map keys
+ * included, since service names such as `$$cap_appname-db` also get replaced.
+ * The ids of the variables themselves are skipped.
+ */
+function forEachString(node, pathArray, callback) {
+    if (node === null || node === undefined) {
+        return;
+    }
+    if (Array.isArray(node)) {
+        node.forEach((item, index) => forEachString(item, pathArray.concat([index]), callback));
+        return;
+    }
+    if (typeof node === 'object') {
+        Object.keys(node).forEach(key => {
+            const childPath = pathArray.concat([key]);
+            const isVariableId = key === 'id' && pathArray.length === 3 &&
+                pathArray[0] === 'caproverOneClickApp' && pathArray[1] === 'variables';
+            if (isVariableId) {
+                return;
+            }
+            callback(key, childPath);
+            forEachString(node[key], childPath, callback);
+        });
+        return;
+    }
+    callback(`${node}`, pathArray);
+}
+
+/**
+ * Finds all $$cap_ references in `text`. Each reference is resolved against the
+ * longest known id that matches at that position, the same way the values end up
+ * being substituted. A known id that is directly followed by more word characters
+ * (e.g. `$$cap_max_ram` inside `$$cap_max_ramG`) is still substituted, but the
+ * reference is marked as ambiguous since it reads like an undeclared variable.
+ *
+ * @returns [{ id: string|undefined, token: string, ambiguous: boolean }]  id is undefined for unresolved references
+ */
+function findReferences(text, knownIdsLongestFirst) {
+    const references = [];
+    let index = text.indexOf(VARIABLE_PREFIX);
+
+    while (index >= 0) {
+        const rest = text.substring(index);
+        const tokenMatch = rest.match(TOKEN_REGEX);
+        const token = tokenMatch ? tokenMatch[0] : VARIABLE_PREFIX;
+
+        const randomHex = rest.match(RANDOM_HEX_REGEX);
+        if (randomHex) {
+            references.push({ id: '$$cap_gen_random_hex', token: randomHex[0], ambiguous: false });
+            index = text.indexOf(VARIABLE_PREFIX, index + randomHex[0].length);
+            continue;
+        }
+
+        const id = knownIdsLongestFirst.find(knownId => rest.startsWith(knownId));
+
+        if (id) {
+            references.push({ id: id, token: token, ambiguous: token.length > id.length });
+            index = text.indexOf(VARIABLE_PREFIX, index + id.length);
+        } else {
+            references.push({ id: undefined, token: token, ambiguous: false });
+            index = text.indexOf(VARIABLE_PREFIX, index + token.length);
+        }
+    }
+
+    return references;
+}
+
+/**
+ * Cross-checks the declared variables of a v4 template against their usages.
+ *
+ * @param content the parsed template
+ * @returns an array of {severity, path: [], message}
+ */
+function analyzeVariableReferences(content) {
+    const findings = [];
+    const app = (content && content.caproverOneClickApp) || {};
+    const variables = Array.isArray(app.variables) ? app.variables : [];
+
+    const declared = {}; // id -> index of the first declaration
+
+    variables.forEach((variable, index) => {
+        if (!variable || typeof variable.id !== 'string') {
+            return;
+        }
+        const idPath = ['caproverOneClickApp', 'variables', index, 'id'];
+        const id = variable.id;
+
+        if (!id.startsWith(VARIABLE_PREFIX)) {
+            findings.push({
+                severity: 'error',
+                path: idPath,
+                message: `variable id "${id}" must start with "${VARIABLE_PREFIX}"`,
+            });
+        } else if (!TOKEN_REGEX.test(id)) {
+            findings.push({
+                severity: 'error',
+                path: idPath,
+                message: `variable id "${id}" must have at least one letter, digit or "_" after "${VARIABLE_PREFIX}"`,
+            });
+        }
+
+        if (BUILT_IN_VARIABLES.includes(id) || RANDOM_HEX_REGEX.test(id)) {
+            findings.push({
+                severity: 'error',
+                path: idPath,
+                message: `variable id "${id}" shadows a built-in variable`,
+            });
+        }
+
+        if (declared[id] !== undefined) {
+            findings.push({
+                severity: 'error',
+                path: idPath,
+                message: `duplicate variable id "${id}", already declared at variables[${declared[id]}]`,
+            });
+            return;
+        }
+        declared[id] = index;
+    });
+
+    const declaredIds = Object.keys(declared);
+    const knownIds = declaredIds.concat(BUILT_IN_VARIABLES.filter(id => declared[id] === undefined));
+
+    knownIds.forEach(shorter => {
+        knownIds.forEach(longer => {
+            if (shorter !== longer && longer.startsWith(shorter) && declared[longer] !== undefined) {
+                findings.push({
+                    severity: 'warning',
+                    path: ['caproverOneClickApp', 'variables', declared[longer], 'id'],
+                    message: `variable id "${longer}" starts with "${shorter}", replacing "${shorter}" would corrupt it`,
+                });
+            }
+        });
+    });
+
+    const knownIdsLongestFirst = knownIds.slice().sort((a, b) => b.length - a.length);
+    const used = {};
+
+    forEachString(content, [], (text, pathArray) => {
+        findReferences(text, knownIdsLongestFirst).forEach(reference => {
+            if (reference.id) {
+                used[reference.id] = true;
+                if (reference.ambiguous) {
+                    findings.push({
+                        severity: 'warning',
+                        path: pathArray,
+                        message: `"${reference.token}" resolves to "${reference.id}" followed by ` +
+                            `the literal "${reference.token.substring(reference.id.length)}"`,
+                    });
+                }
+                return;
+            }
+            findings.push({
+                severity: 'error',
+                path: pathArray,
+                message: `"${reference.token}" is not a declared variable nor a built-in one`,
+            });
+        });
+    });
+
+    declaredIds.forEach(id => {
+        if (!used[id]) {
+            findings.push({
+                severity: 'warning',
+                path: ['caproverOneClickApp', 'variables', declared[id], 'id'],
+                message: `variable "${id}" is declared but never used`,
+            });
+        }
+    });
+
+    return findings;
+}
+
+module.exports = {
+    BUILT_IN_VARIABLES,
+    VARIABLE_PREFIX,
+    analyzeVariableReferences,
+    findReferences,
+};
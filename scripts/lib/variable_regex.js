@@ -0,0 +1,136 @@
+/*jshint esversion: 6 */
+const { BUILT_IN_VARIABLES } = require('./variable_references');
+
+const DELIMITED_REGEX = /^\/(.*)\/([a-z]*)$/s;
+
+const RANDOM_HEX_REGEX = /\$\$cap_gen_random_hex\((\d+)\)/g;
+
+/**
+ * Values used in place of the built-in variables when a default value is tested,
+ * they are what a typical installation would substitute.
+ */
+const SAMPLE_BUILT_IN_VALUES = {
+    '$$cap_appname': 'myapp',
+    '$$cap_root_domain': 'captain.example.com',
+};
+
+/**
+ * validRegex is written as a JS regex literal inside a string, e.g. '/^([^\s^\/])+$/'
+ *
+ * @returns {{regex: RegExp}} or {{error: string}}
+ */
+function parseValidRegex(validRegex) {
+    const match = `${validRegex}`.match(DELIMITED_REGEX);
+    if (!match) {
+        return {
+            error: `validRegex ${JSON.stringify(validRegex)} must be enclosed in slashes, e.g. /^[a-z]+$/`,
+        };
+    }
+
+    try {
+        return {
+            regex: new RegExp(match[1], match[2]),
+        };
+    } catch (err) {
+        return {
+            error: `validRegex ${JSON.stringify(validRegex)} does not compile: ${err.message}`,
+        };
+    }
+}
+
+/**
+ * A stand-in for $$cap_gen_random_hex(length). It alternates letters and digits so
+ * that the result is stable across runs and satisfies regexes that require both.
+ */
+function sampleHex(length) {
+    let result = '';
+    for (var i = 0; i < length; i++) {
+        result += i % 2 === 0 ? 'abcdef'.charAt((i / 2) % 6) : `${((i - 1) / 2) % 10}`;
+    }
+    return result;
+}
+
+/**
+ * Replaces the built-in variables and $$cap_gen_random_hex(n) in a default value
+ * with sample values. The defaults of the other declared variables are used for
+ * references to them.
+ *
+ * @returns the sample value, or undefined if it still contains unresolved references
+ */
+function sampleDefaultValue(defaultValue, declaredDefaults) {
+    let value = `${defaultValue}`.replace(RANDOM_HEX_REGEX, (match, length) => sampleHex(Number(length)));
+
+    const replacements = Object.assign({}, declaredDefaults, SAMPLE_BUILT_IN_VALUES);
+    Object.keys(replacements)
+        .sort((a, b) => b.length - a.length)
+        .forEach(id => {
+            value = value.split(id).join(replacements[id]);
+        });
+
+    return value.includes('$$cap_') ? undefined : value;
+}
+
+/**
+ * Compiles every variable's validRegex and tests its defaultValue against it.
+ *
+ * @param content the parsed template
+ * @returns an array of {severity, path: [], message}
+ */
+function analyzeVariableRegexes(content) {
+    const findings = [];
+    const app = (content && content.caproverOneClickApp) || {};
+    const variables = Array.isArray(app.variables) ? app.variables : [];
+
+    const declaredDefaults = {};
+    variables.forEach(variable => {
+        if (variable && typeof variable.id === 'string' && !BUILT_IN_VARIABLES.includes(variable.id) &&
+            variable.defaultValue !== undefined && variable.defaultValue !== null &&
+            !`${variable.defaultValue}`.includes('$$cap_')) {
+            declaredDefaults[variable.id] = `${variable.defaultValue}`;
+        }
+    });
+
+    variables.forEach((variable, index) => {
+        // An empty validRegex is ignored by CapRover, same as a missing one
+        if (!variable || variable.validRegex === undefined || variable.validRegex === '') {
+            return;
+        }
+        const variablePath = ['caproverOneClickApp', 'variables', index];
+
+        const parsed = parseValidRegex(variable.validRegex);
+        if (parsed.error) {
+            findings.push({
+                severity: 'error',
+                path: variablePath.concat(['validRegex']),
+                message: parsed.error,
+            });
+            return;
+        }
+
+        // An empty default is how templates ask the user to fill a required field
+        if (variable.defaultValue === undefined || variable.defaultValue === null || `${variable.defaultValue}` === '') {
+            return;
+        }
+
+        const sample = sampleDefaultValue(variable.defaultValue, declaredDefaults);
+        if (sample === undefined) {
+            return;
+        }
+
+        if (!parsed.regex.test(sample)) {
+            const tested = sample === `${variable.defaultValue}` ? '' : ` (tested as ${JSON.stringify(sample)})`;
+            findings.push({
+                severity: 'error',
+                path: variablePath.concat(['defaultValue']),
+                message: `defaultValue ${JSON.stringify(variable.defaultValue)}${tested} does not match its validRegex ${variable.validRegex}`,
+            });
+        }
+    });
+
+    return findings;
+}
+
+module.exports = {
+    analyzeVariableRegexes,
+    parseValidRegex,
+};
@@ -0,0 +1,183 @@
+/*jshint esversion: 6 */
+
+/**
+ * Input types of caproverOneClickApp.variables[].type, text being the default.
+ * CapRover only knows free text fields so far, so the build gives typed variables a
+ * validRegex and a description derived from the type, in dist/v4 as in dist/v2 and dist/v3.
+ */
+const VARIABLE_TYPES = ['text', 'password', 'number', 'boolean', 'select'];
+
+const NUMBER_REGEX = /^-?\d+(\.\d+)?$/;
+
+const BOOLEAN_VALUES = ['true', 'false'];
+
+function escapeRegex(text) {
+    return `${text}`.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || `${value}` === '';
+}
+
+/**
+ * The validRegex that enforces the type in CapRover, which ignores `type`,
+ * undefined for text and password
+ */
+function deriveValidRegex(variable) {
+    switch (variable.type) {
+        case 'number':
+            return typeof variable.min === 'number' && variable.min >= 0 ? '/^\\d+(\\.\\d+)?$/' : '/^-?\\d+(\\.\\d+)?$/';
+        case 'boolean':
+            return '/^(true|false)$/';
+        case 'select':
+            return `/^(${(variable.options || []).map(escapeRegex).join('|')})$/`;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * The sentence that is appended to the description in CapRover, which ignores `type`,
+ * undefined for text and password
+ */
+function deriveDescriptionSuffix(variable) {
+    switch (variable.type) {
+        case 'number': {
+            const hasMin = typeof variable.min === 'number';
+            const hasMax = typeof variable.max === 'number';
+            if (hasMin && hasMax) {
+                return `A number from ${variable.min} to ${variable.max}.`;
+            }
+            if (hasMin) {
+                return `A number, at least ${variable.min}.`;
+            }
+            if (hasMax) {
+                return `A number, at most ${variable.max}.`;
+            }
+            return 'A number.';
+        }
+        case 'boolean':
+            return 'Either true or false.';
+        case 'select':
+            return `One of: ${(variable.options || []).join(', ')}.`;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Typed variable -> variable for dist. `type` and its settings are kept, CapRover ignores
+ * them, and the derived validRegex and description enforce and explain the type instead.
+ * The author's own validRegex takes precedence over the derived one.
+ *
+ * @returns a new variable, the input is not modified
+ */
+function toUntypedVariable(variable) {
+    const suffix = deriveDescriptionSuffix(variable);
+    if (suffix === undefined) {
+        return variable;
+    }
+
+    const result = Object.assign({}, variable);
+    if (result.validRegex === undefined) {
+        result.validRegex = deriveValidRegex(variable);
+    }
+    result.description = isEmpty(variable.description) ? suffix : `${variable.description} ${suffix}`;
+    return result;
+}
+
+/**
+ * Reverts toUntypedVariable()
+ */
+function toTypedVariable(variable) {
+    const suffix = deriveDescriptionSuffix(variable);
+    if (suffix === undefined) {
+        return variable;
+    }
+
+    const result = Object.assign({}, variable);
+    if (result.validRegex === deriveValidRegex(variable)) {
+        delete result.validRegex;
+    }
+    if (result.description === suffix) {
+        delete result.description;
+    } else if (typeof result.description === 'string' && result.description.endsWith(` ${suffix}`)) {
+        result.description = result.description.substring(0, result.description.length - suffix.length - 1);
+    }
+    return result;
+}
+
+/**
+ * Checks the settings of typed variables, and that the defaultValue fits the type.
+ *
+ * @param content the parsed template
+ * @returns an array of {severity, path: [], message}
+ */
+function analyzeVariableTypes(content) {
+    const findings = [];
+    const app = (content && content.caproverOneClickApp) || {};
+    const variables = Array.isArray(app.variables) ? app.variables : [];
+
+    variables.forEach((variable, index) => {
+        if (!variable) {
+            return;
+        }
+        const variablePath = ['caproverOneClickApp', 'variables', index];
+        const type = variable.type || 'text';
+        const error = (key, message) => findings.push({ severity: 'error', path: variablePath.concat([key]), message: message });
+
+        if (type !== 'number') {
+            ['min', 'max']
+                .filter(key => variable[key] !== undefined)
+                .forEach(key => error(key, `${key} is only allowed for variables of type number`));
+        }
+        if (type !== 'select' && variable.options !== undefined) {
+            error('options', 'options is only allowed for variables of type select');
+        }
+
+        // An empty default asks the user to fill in the field, $$cap_ references are resolved at deployment
+        const hasDefault = !isEmpty(variable.defaultValue) && !`${variable.defaultValue}`.includes('$$cap_');
+        const defaultValue = `${variable.defaultValue}`;
+
+        if (type === 'number') {
+            if (typeof variable.min === 'number' && typeof variable.max === 'number' && variable.min > variable.max) {
+                error('min', `min ${variable.min} is greater than max ${variable.max}`);
+            }
+            if (hasDefault && !NUMBER_REGEX.test(defaultValue)) {
+                error('defaultValue', `defaultValue ${JSON.stringify(variable.defaultValue)} is not a number`);
+            } else if (hasDefault && typeof variable.min === 'number' && Number(defaultValue) < variable.min) {
+                error('defaultValue', `defaultValue ${defaultValue} is less than min ${variable.min}`);
+            } else if (hasDefault && typeof variable.max === 'number' && Number(defaultValue) > variable.max) {
+                error('defaultValue', `defaultValue ${defaultValue} is greater than max ${variable.max}`);
+            }
+        }
+
+        if (type === 'boolean' && hasDefault && !BOOLEAN_VALUES.includes(defaultValue)) {
+            error('defaultValue', `defaultValue ${JSON.stringify(variable.defaultValue)} must be true or false`);
+        }
+
+        if (type === 'select') {
+            const options = (variable.options || []).map(option => `${option}`);
+            if (options.length === 0) {
+                error('options', 'a variable of type select needs at least one option');
+            }
+            const duplicates = options.filter((option, i) => options.indexOf(option) !== i);
+            if (duplicates.length > 0) {
+                error('options', `duplicate options: ${duplicates.join(', ')}`);
+            }
+            if (hasDefault && options.length > 0 && !options.includes(defaultValue)) {
+                error('defaultValue', `defaultValue ${JSON.stringify(variable.defaultValue)} is not one of the options: ${options.filter((option, i) => options.indexOf(option) === i).join(', ')}`);
+            }
+        }
+    });
+
+    return findings;
+}
+
+module.exports = {
+    VARIABLE_TYPES,
+    analyzeVariableTypes,
+    deriveValidRegex,
+    toTypedVariable,
+    toUntypedVariable,
+};
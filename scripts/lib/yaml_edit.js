@@ -0,0 +1,350 @@
+/*jshint esversion: 6 */
+const yaml = require('yaml');
+const { Scalar } = require('yaml/types');
+const { formatPath } = require('./yaml_location');
+
+/**
+ * Edits YAML as text, so that comments, blank lines and the style of every value that is not edited
+ * stay as they are. yaml.stringify() of a parsed document would rewrite all of them, e.g. it joins
+ * plain scalars that span several lines.
+ *
+ * Paths are arrays of map keys and sequence indexes, e.g. ['services', '$$cap_appname', 'caproverExtra'].
+ */
+const INDENT = '    ';
+
+function isMap(node) {
+    return !!node && node.type === 'MAP';
+}
+
+function isSeq(node) {
+    return !!node && node.type === 'SEQ';
+}
+
+function isScalar(node) {
+    return node instanceof Scalar && node.value !== null && node.value !== undefined;
+}
+
+function pairOf(mapNode, key) {
+    return mapNode.items.find(pair => pair.key && pair.key.value === key);
+}
+
+function valueOf(mapNode, key) {
+    const pair = isMap(mapNode) ? pairOf(mapNode, key) : undefined;
+    return pair ? pair.value : undefined;
+}
+
+/**
+ * A string as a quoted YAML scalar, single quoted unless it contains single quotes, the way prettier
+ * with singleQuote writes it
+ */
+function quote(text) {
+    return text.includes("'") ? JSON.stringify(text) : `'${text}'`;
+}
+
+function parse(contentString) {
+    const doc = yaml.parseDocument(contentString, { keepCstNodes: true });
+    if (doc.errors.length > 0) {
+        throw new Error(`invalid YAML: ${doc.errors[0].message}`);
+    }
+    return doc;
+}
+
+function lineStarts(contentString) {
+    const starts = [0];
+    for (var i = 0; i < contentString.length; i++) {
+        if (contentString[i] === '\n') {
+            starts.push(i + 1);
+        }
+    }
+    return starts;
+}
+
+function lineOf(starts, offset) {
+    let line = 0;
+    while (line + 1 < starts.length && starts[line + 1] <= offset) {
+        line++;
+    }
+    return line;
+}
+
+function indentationOf(line) {
+    return line.length - line.trimStart().length;
+}
+
+function isCommentLine(line) {
+    return line.trimStart().startsWith('#');
+}
+
+function isBlankLine(line) {
+    return line.trim() === '';
+}
+
+/**
+ * @returns {start, end} the text of a scalar without its comment, block scalars including their header.
+ * In flow collections the range of a plain scalar includes the spaces after it, they are left out.
+ */
+function sourceRange(node) {
+    const cst = node.cstNode;
+    let end = cst.valueRange.end;
+    while (node.type === 'PLAIN' && end > cst.valueRange.start && /\s/.test(cst.context.src[end - 1])) {
+        end--;
+    }
+    return {
+        start: cst.header ? cst.header.start : cst.valueRange.start,
+        end: end,
+        block: !!cst.header,
+    };
+}
+
+function applyEdits(contentString, edits) {
+    return edits
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.substring(0, edit.start) + edit.text + result.substring(edit.end), contentString);
+}
+
+/**
+ * yaml.stringify() with 4 spaces of indentation and without folding long lines
+ */
+function stringify(value) {
+    const fold = yaml.scalarOptions.str.fold;
+    const lineWidth = fold.lineWidth;
+    fold.lineWidth = 0;
+    try {
+        return yaml.stringify(value, { indent: INDENT.length });
+    } finally {
+        fold.lineWidth = lineWidth;
+    }
+}
+
+/**
+ * A scalar value in the quotes of the value it replaces, or undefined if it does not fit on one line
+ */
+function scalarText(value, type) {
+    if (value !== null && typeof value === 'object') {
+        return undefined;
+    }
+    if (typeof value === 'string' && !value.includes('\n') && type === 'QUOTE_SINGLE') {
+        return `'${value.replace(/'/g, "''")}'`;
+    }
+    if (typeof value === 'string' && type === 'QUOTE_DOUBLE') {
+        return JSON.stringify(value);
+    }
+    const text = stringify(value).replace(/\n$/, '');
+    return text.includes('\n') ? undefined : text;
+}
+
+/**
+ * The node at the path, undefined if it does not exist, null if the key has no value
+ */
+function nodeAt(doc, path) {
+    let node = doc.contents;
+    for (var i = 0; i < path.length; i++) {
+        if (isMap(node) || (node && node.type === 'FLOW_MAP')) {
+            const pair = pairOf(node, path[i]);
+            node = pair ? pair.value : undefined;
+        } else if (isSeq(node) || (node && node.type === 'FLOW_SEQ')) {
+            node = typeof path[i] === 'number' ? node.items[path[i]] : undefined;
+        } else {
+            return undefined;
+        }
+    }
+    return node;
+}
+
+function valueAt(content, path) {
+    return path.reduce((value, segment) => (value !== null && typeof value === 'object' ? value[segment] : undefined), content);
+}
+
+/**
+ * The lines of a key of a block map, or of an item of a block sequence: from the comment lines right above it
+ * to the last line of its value.
+ *
+ * @param offset where the key starts, or the item after its `- `
+ * @returns {first, line, last, column, prefix}, line is the line of the key, column where the key or the `- ` starts,
+ *          prefix the text before the key, e.g. the `- ` of the first key of a sequence item
+ */
+function entryLines(contentString, offset, isItem) {
+    const starts = lineStarts(contentString);
+    const lines = contentString.split('\n');
+    const line = lineOf(starts, offset);
+    const prefix = lines[line].substring(0, offset - starts[line]);
+    const column = isItem ? prefix.lastIndexOf('-') : prefix.length;
+
+    // the first key of a sequence item shares its line with the `- `, the comments above are about the item
+    const ownsCommentsAbove = prefix.substring(0, column).trim() === '';
+    let first = line;
+    while (ownsCommentsAbove && first > 0 && isCommentLine(lines[first - 1]) && indentationOf(lines[first - 1]) === column) {
+        first--;
+    }
+
+    // the value ends before the next line that is indented less, trailing comments and blank lines stay where they are
+    let last = line;
+    let next = line + 1;
+    while (next < lines.length && (isBlankLine(lines[next]) || isCommentLine(lines[next]) || indentationOf(lines[next]) > column)) {
+        if (!isBlankLine(lines[next]) && !(isCommentLine(lines[next]) && indentationOf(lines[next]) <= column)) {
+            last = next;
+        }
+        next++;
+    }
+
+    return { first: first, line: line, last: last, column: column, prefix: prefix };
+}
+
+function replaceLines(contentString, from, to, newLines) {
+    const lines = contentString.split('\n');
+    return lines.slice(0, from).concat(newLines).concat(lines.slice(to + 1)).join('\n');
+}
+
+/**
+ * `key: value` as lines at the column of the entry, the first one after the prefix of the entry
+ */
+function pairLines(key, value, entry) {
+    const lines = stringify({ [key]: value }).replace(/\n$/, '').split('\n');
+    return lines.map((line, i) => (i === 0 ? entry.prefix : line ? ' '.repeat(entry.column) : '') + line);
+}
+
+function pathError(path, message) {
+    return new Error(`${formatPath(path)}: ${message}`);
+}
+
+function setValue(contentString, path, value) {
+    if (path.length === 0) {
+        throw pathError(path, 'the root cannot be replaced');
+    }
+    const doc = parse(contentString);
+    const parentPath = path.slice(0, -1);
+    const key = path[path.length - 1];
+    const parent = nodeAt(doc, parentPath);
+
+    if (parent === undefined || parent === null || (parent instanceof Scalar && parent.value === null)) {
+        return setValue(contentString, parentPath, { [key]: value });
+    }
+    if (isSeq(parent)) {
+        const item = parent.items[key];
+        const text = isScalar(item) && !sourceRange(item).block ? scalarText(value, item.type) : undefined;
+        if (text === undefined) {
+            throw pathError(path, 'only scalar items of a sequence can be replaced');
+        }
+        return applyEdits(contentString, [Object.assign(sourceRange(item), { text: text })]);
+    }
+    if (!isMap(parent)) {
+        throw pathError(parentPath, `cannot set ${key} in a ${parent.type === 'FLOW_MAP' ? 'flow map' : 'value that is not a block map'}`);
+    }
+
+    const pair = pairOf(parent, key);
+    if (pair && isScalar(pair.value) && !sourceRange(pair.value).block) {
+        const text = scalarText(value, pair.value.type);
+        if (text !== undefined) {
+            return applyEdits(contentString, [Object.assign(sourceRange(pair.value), { text: text })]);
+        }
+    }
+    if (pair) {
+        // the whole value, the comments above the key stay
+        const entry = entryLines(contentString, pair.key.range[0], false);
+        return replaceLines(contentString, entry.line, entry.last, pairLines(key, value, entry));
+    }
+
+    // a new key after the last one, see formatTemplate() of canonical_format.js for its place
+    const lastPair = parent.items[parent.items.length - 1];
+    const last = entryLines(contentString, lastPair.key.range[0], false);
+    const entry = { column: last.column, prefix: ' '.repeat(last.column) };
+    return replaceLines(contentString, last.last + 1, last.last, pairLines(key, value, entry));
+}
+
+function renameKey(contentString, path, newKey) {
+    const doc = parse(contentString);
+    const parent = nodeAt(doc, path.slice(0, -1));
+    const pair = isMap(parent) ? pairOf(parent, path[path.length - 1]) : undefined;
+    if (!pair) {
+        return contentString;
+    }
+    if (pairOf(parent, newKey)) {
+        throw pathError(path, `cannot be renamed to ${newKey}, which exists already`);
+    }
+    const text = scalarText(newKey, pair.key.type);
+    return applyEdits(contentString, [Object.assign(sourceRange(pair.key), { text: text })]);
+}
+
+function removeEntry(contentString, path) {
+    const doc = parse(contentString);
+    const parentPath = path.slice(0, -1);
+    const parent = nodeAt(doc, parentPath);
+    const key = path[path.length - 1];
+
+    if (isSeq(parent) && parent.items[key]) {
+        const item = parent.items[key];
+        const start = item.range ? item.range[0] : item.key.range[0];
+        const entry = entryLines(contentString, start, true);
+        return replaceLines(contentString, entry.first, entry.last, []);
+    }
+    const pair = isMap(parent) ? pairOf(parent, key) : undefined;
+    if (!pair) {
+        return contentString;
+    }
+
+    const entry = entryLines(contentString, pair.key.range[0], false);
+    if (entry.prefix.trim() === '') {
+        return replaceLines(contentString, entry.first, entry.last, []);
+    }
+    // the first key of a sequence item: the next key takes over the `- `, or the item goes with its only key
+    if (parent.items.length === 1) {
+        return removeEntry(contentString, parentPath);
+    }
+    const nextLine = lineOf(lineStarts(contentString), parent.items[1].key.range[0]);
+    const lines = contentString.split('\n');
+    lines[nextLine] = entry.prefix + lines[nextLine].substring(entry.column);
+    return replaceLines(lines.join('\n'), entry.first, entry.last, []);
+}
+
+/**
+ * @param contentString the YAML
+ * @returns {
+ *     get(path): the plain value at the path, undefined if it does not exist,
+ *     set(path, value): replaces the value, or adds the key at the end of its map, and the maps above it that are missing.
+ *                       Scalars keep their quotes, other values are written anew without the comments inside them,
+ *     rename(path, newKey): renames the key, if it exists,
+ *     remove(path): removes the key or the item with the comment lines above it, if it exists,
+ *     toString(): the edited YAML,
+ * }
+ */
+function createYamlEditor(contentString) {
+    let text = contentString;
+    let content;
+    const edit = function (newText) {
+        if (newText !== text) {
+            text = newText;
+            content = undefined;
+        }
+    };
+
+    return {
+        get: function (path) {
+            if (content === undefined) {
+                content = parse(text).toJSON();
+            }
+            return valueAt(content, path);
+        },
+        set: (path, value) => edit(setValue(text, path, value)),
+        rename: (path, newKey) => edit(renameKey(text, path, newKey)),
+        remove: path => edit(removeEntry(text, path)),
+        toString: () => text,
+    };
+}
+
+module.exports = {
+    isMap,
+    isScalar,
+    pairOf,
+    valueOf,
+    quote,
+    parse,
+    lineStarts,
+    lineOf,
+    indentationOf,
+    isCommentLine,
+    isBlankLine,
+    sourceRange,
+    applyEdits,
+    stringify,
+    createYamlEditor,
+};
@@ -0,0 +1,105 @@
+/*jshint esversion: 6 */
+const { YAMLMap, YAMLSeq } = require('yaml/types');
+
+/**
+ * Maps paths inside a parsed YAML document back to line/column positions
+ * in the original file so that validation errors can point at the source.
+ */
+
+function findPair(mapNode, key) {
+    if (!mapNode || !mapNode.items) {
+        return undefined;
+    }
+    return mapNode.items.find(pair => pair.key && `${pair.key.value !== undefined ? pair.key.value : pair.key}` === `${key}`);
+}
+
+/**
+ * Returns the offset of the deepest node that exists along `pathArray`.
+ * Map keys are preferred over their values so that errors point at the
+ * line where the offending key is written.
+ */
+function findOffset(doc, pathArray) {
+    let node = doc.contents;
+    let offset = node && node.range ? node.range[0] : 0;
+
+    for (var i = 0; i < pathArray.length; i++) {
+        const segment = pathArray[i];
+        if (!node) {
+            break;
+        }
+        if (node.source) {
+            // alias
+            node = node.source;
+        }
+        if (node instanceof YAMLMap) {
+            const pair = findPair(node, segment);
+            if (!pair) {
+                break;
+            }
+            if (pair.key && pair.key.range) {
+                offset = pair.key.range[0];
+            }
+            node = pair.value;
+        } else if (node instanceof YAMLSeq) {
+            const item = node.items[Number(segment)];
+            if (!item) {
+                break;
+            }
+            if (item.range) {
+                offset = item.range[0];
+            }
+            node = item;
+        } else {
+            break;
+        }
+    }
+
+    return offset;
+}
+
+function offsetToLineColumn(contentString, offset) {
+    let line = 1;
+    let lastLineStart = 0;
+    for (var i = 0; i < offset && i < contentString.length; i++) {
+        if (contentString[i] === '\n') {
+            line++;
+            lastLineStart = i + 1;
+        }
+    }
+    return {
+        line: line,
+        column: offset - lastLineStart + 1,
+    };
+}
+
+/**
+ * @param doc           the result of yaml.parseDocument(contentString)
+ * @param contentString the raw YAML
+ * @param pathArray     e.g. ['services', '$$cap_appname', 'image']
+ * @returns {{line: number, column: number}}
+ */
+function locate(doc, contentString, pathArray) {
+    return offsetToLineColumn(contentString, findOffset(doc, pathArray));
+}
+
+/**
+ * Formats a path array as a human readable YAML path,
+ * e.g. caproverOneClickApp.variables[3].label
+ */
+function formatPath(pathArray) {
+    let result = '';
+    pathArray.forEach(segment => {
+        if (typeof segment === 'number' || /^\d+$/.test(`${segment}`)) {
+            result += `[${segment}]`;
+        } else {
+            result += (result ? '.' : '') + segment;
+        }
+    });
+    return result || '(root)';
+}
+
+module.exports = {
+    locate,
+    formatPath,
+    offsetToLineColumn,
+};
@@ -0,0 +1,171 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const fs = require('fs-extra');
+const migrations = require('./migrations');
+const { readSources } = require('./lib/sources');
+const { recordPathOf, readAppliedIds, writeAppliedIds, pendingMigrations, migrateTemplate } = require('./lib/migrations');
+const { unifiedDiff } = require('./lib/line_diff');
+
+// Runs the migrations of scripts/migrations on the apps and fragments of every source in scripts/sources.json
+// that has not applied them yet, see lib/migrations.js. Without --write it only prints the diff.
+//
+// npm run migrate_apps -- [options]
+//
+//   --write          writes the migrated templates, and records the migrations in <source>/migrations.json
+//   --source <name>  only this source
+//   --reapply        runs the applied migrations too, e.g. on templates from a fork that is behind
+//   --list           lists the migrations and which sources have applied them
+//
+// Exits with 127 if a migration fails, nothing is written then.
+
+const pathOfRoot = path.join(__dirname, '..');
+
+function parseArguments(argv) {
+    const args = {
+        write: false,
+        source: undefined,
+        reapply: false,
+        list: false,
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function () {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '--write') {
+            args.write = true;
+        } else if (arg === '--source') {
+            args.source = next();
+        } else if (arg === '--reapply') {
+            args.reapply = true;
+        } else if (arg === '--list') {
+            args.list = true;
+        } else {
+            throw new Error(`Unknown option ${arg}. Usage: npm run migrate_apps -- [--write] [--source <name>] [--reapply] [--list]`);
+        }
+    }
+
+    return args;
+}
+
+function printablePath(filePath) {
+    return path.relative(pathOfRoot, filePath).split(path.sep).join('/');
+}
+
+function selectSources(sourceName) {
+    const sources = readSources();
+    if (sourceName === undefined) {
+        return sources;
+    }
+    const selected = sources.filter(source => source.name === sourceName);
+    if (selected.length === 0) {
+        throw new Error(`Unknown source ${sourceName}, the sources are: ${sources.map(source => source.name).join(', ')}`);
+    }
+    return selected;
+}
+
+/**
+ * @returns [{ kind, name, filePath }] the apps and fragments of the source
+ */
+function templatesOf(source) {
+    const filesIn = (directory, kind) => (fs.existsSync(directory) ? fs.readdirSync(directory) : [])
+        .filter(fileName => fileName.endsWith('.yml'))
+        .sort()
+        .map(fileName => ({ kind: kind, name: fileName.replace(/\.yml$/, ''), filePath: path.join(directory, fileName) }));
+    return filesIn(source.pathOfApps, 'app').concat(filesIn(source.pathOfFragments, 'fragment'));
+}
+
+function listMigrations(sources) {
+    const appliedIds = sources.map(source => readAppliedIds(source));
+    migrations.forEach(migration => {
+        const appliedBy = sources.filter((source, index) => appliedIds[index].includes(migration.id)).map(source => source.name);
+        console.log(`${migration.id}  ${migration.description}`);
+        console.log(`    applied by: ${appliedBy.length > 0 ? appliedBy.join(', ') : 'none'}`);
+    });
+}
+
+/**
+ * @returns { source, pending, toRun, changes: [{ file, content, migrationIds, diff }], templateCount }
+ */
+function migrateSource(source, reapply) {
+    const appliedIds = readAppliedIds(source);
+    const pending = pendingMigrations(migrations, appliedIds, source);
+    const toRun = reapply ? migrations : pending;
+    const templates = templatesOf(source);
+
+    const changes = [];
+    templates.forEach(file => {
+        const contentString = fs.readFileSync(file.filePath, 'utf-8');
+        const result = migrateTemplate(contentString, toRun, file);
+        if (result.content !== contentString) {
+            changes.push({
+                file: file,
+                content: result.content,
+                migrationIds: result.migrationIds,
+                diff: unifiedDiff(contentString, result.content, printablePath(file.filePath)),
+            });
+        }
+    });
+
+    return { source: source, pending: pending, toRun: toRun, changes: changes, templateCount: templates.length };
+}
+
+function report(result, write) {
+    const name = `${result.source.name} (${printablePath(result.source.path)})`;
+    if (result.toRun.length === 0) {
+        console.log(`${name} has applied every migration.`);
+        return;
+    }
+    const counts = result.toRun
+        .map(migration => `${migration.id}: ${result.changes.filter(c => c.migrationIds.includes(migration.id)).length}`)
+        .join(', ');
+    console.log(`${name}: ${result.changes.length} of ${result.templateCount} template(s) ${write ? 'changed' : 'would change'} (${counts})`);
+}
+
+function migrateApps() {
+    return Promise.resolve()
+        .then(function () {
+            const args = parseArguments(process.argv.slice(2));
+            const sources = selectSources(args.source);
+
+            if (args.list) {
+                listMigrations(sources);
+                return;
+            }
+
+            // every source is migrated before anything is written, a failing migration leaves all of them as they are
+            const results = sources.map(source => migrateSource(source, args.reapply));
+
+            if (!args.write) {
+                results.forEach(result => result.changes.forEach(change => process.stdout.write(change.diff)));
+                results.forEach(result => report(result, false));
+                if (results.some(result => result.pending.length > 0 || result.changes.length > 0)) {
+                    console.log('Run npm run migrate_apps -- --write to apply the migrations.');
+                }
+                return;
+            }
+
+            results.forEach(result => {
+                result.changes.forEach(change => fs.outputFileSync(change.file.filePath, change.content));
+                report(result, true);
+                if (result.pending.length > 0) {
+                    writeAppliedIds(result.source, migrations.map(migration => migration.id));
+                    console.log(`Recorded the migrations in ${printablePath(recordPathOf(result.source))}`);
+                }
+            });
+        });
+}
+
+Promise.resolve()
+    .then(function () {
+        return migrateApps();
+    })
+    .catch(function (err) {
+        console.error(err.message || err);
+        process.exit(127);
+    });
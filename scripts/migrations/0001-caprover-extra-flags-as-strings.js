@@ -0,0 +1,39 @@
+/*jshint esversion: 6 */
+
+/**
+ * caproverExtra documents notExposeAsWebApp and websocketSupport as strings, some templates write them
+ * as YAML booleans. CapRover checks the strings with !!, so 'false' would turn the flag on: true becomes
+ * 'true', and false is removed, since a missing flag is off.
+ */
+const FLAGS = ['notExposeAsWebApp', 'websocketSupport'];
+
+function flagsAsStrings(template, servicePath) {
+    const extraPath = servicePath.concat(['caproverExtra']);
+    let removed = false;
+    FLAGS.forEach(flag => {
+        const flagPath = extraPath.concat([flag]);
+        const value = template.get(flagPath);
+        if (value === true) {
+            template.set(flagPath, 'true');
+        } else if (value === false) {
+            template.remove(flagPath);
+            removed = true;
+        }
+    });
+    // without its last flag, caproverExtra would be left as null
+    const extra = template.get(extraPath);
+    if (removed && (extra === null || (typeof extra === 'object' && Object.keys(extra).length === 0))) {
+        template.remove(extraPath);
+    }
+}
+
+module.exports = {
+    id: '0001-caprover-extra-flags-as-strings',
+    description: "notExposeAsWebApp and websocketSupport: true as 'true', and false left out instead of YAML booleans",
+    migrateApp: function (template) {
+        Object.keys(template.get(['services']) || {}).forEach(serviceName => flagsAsStrings(template, ['services', serviceName]));
+    },
+    migrateFragment: function (fragment) {
+        flagsAsStrings(fragment, ['service']);
+    },
+};
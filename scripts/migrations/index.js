@@ -0,0 +1,10 @@
+/*jshint esversion: 6 */
+const { checkRegistry } = require('../lib/migrations');
+
+/**
+ * Every migration of the v4 format, in the order they run, see lib/migrations.js. New migrations go at
+ * the end, and migrations that sources have applied stay in the list.
+ */
+module.exports = checkRegistry([
+    require('./0001-caprover-extra-flags-as-strings'),
+]);
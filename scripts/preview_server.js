@@ -0,0 +1,169 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+const { createStaticServer } = require('./lib/static_server');
+const { readSources } = require('./lib/sources');
+
+// Builds dist/ and serves it the same way as the published one-click app repository, so that a
+// test CapRover instance can use it as a third party repository.
+//
+// npm run preview -- [options]
+//
+//   --port <port>    defaults to 8080
+//   --host <host>    defaults to 0.0.0.0, so that a CapRover instance on another machine can reach it
+//   --no-watch       builds once, instead of rebuilding whenever something in public/ or another
+//                    source of scripts/sources.json changes
+
+const pathOfRoot = path.join(__dirname, '..');
+const pathOfPublic = path.join(pathOfRoot, 'public');
+const pathOfDist = path.join(pathOfRoot, 'dist');
+
+// Same steps as `npm run build`
+const BUILD_STEPS = [
+    path.join(__dirname, 'build_one_click_apps.js'),
+    path.join(__dirname, 'build_one_click_apps_from_v4.js'),
+];
+
+const REBUILD_DELAY_MS = 300;
+
+function parseArguments(argv) {
+    const args = {
+        port: 8080,
+        host: '0.0.0.0',
+        watch: true,
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function () {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '--port') {
+            args.port = Number(next());
+            if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) {
+                throw new Error(`--port expects a port number, got ${argv[i]}`);
+            }
+        } else if (arg === '--host') {
+            args.host = next();
+        } else if (arg === '--no-watch') {
+            args.watch = false;
+        } else {
+            throw new Error(`Unknown option ${arg}. Usage: npm run preview -- [--port <port>] [--host <host>] [--no-watch]`);
+        }
+    }
+
+    return args;
+}
+
+function runBuildStep(scriptPath) {
+    return new Promise(function (resolve, reject) {
+        const child = spawn(process.execPath, [scriptPath], { cwd: pathOfRoot, stdio: 'inherit' });
+        child.on('error', reject);
+        child.on('exit', function (code) {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`${path.basename(scriptPath)} exited with code ${code}`));
+            }
+        });
+    });
+}
+
+/**
+ * Runs the build, at most one at a time. Changes during a build trigger one more build after it.
+ * Requests wait for the current build, so that CapRover never gets a half written dist/
+ */
+function createBuilder() {
+    let current = Promise.resolve();
+    let building = false;
+    let pending = false;
+
+    function build() {
+        if (building) {
+            pending = true;
+            return current;
+        }
+
+        building = true;
+        pending = false;
+        const startedAt = Date.now();
+
+        current = BUILD_STEPS.reduce((promise, step) => promise.then(() => runBuildStep(step)), fs.ensureDir(pathOfDist))
+            .then(() => console.log(`Build finished in ${Date.now() - startedAt}ms`))
+            .catch(err => console.error(`Build failed, still serving the previous build: ${err.message}`))
+            .then(function () {
+                building = false;
+                if (pending) {
+                    return build();
+                }
+            });
+
+        return current;
+    }
+
+    return {
+        build: build,
+        waitForBuild: () => current,
+    };
+}
+
+function watch(builder) {
+    let timer = undefined;
+
+    // Sources outside of public/, e.g. a directory with private apps
+    const directories = [pathOfPublic].concat(readSources()
+        .map(source => source.path)
+        .filter(directory => path.relative(pathOfPublic, directory).startsWith('..')));
+
+    directories.forEach(directory => {
+        fs.watch(directory, { recursive: true }, function (eventType, fileName) {
+            clearTimeout(timer);
+            timer = setTimeout(function () {
+                console.log(`Changed: ${fileName || directory}, rebuilding...`);
+                builder.build();
+            }, REBUILD_DELAY_MS);
+        });
+    });
+}
+
+function preview() {
+    const args = parseArguments(process.argv.slice(2));
+    const builder = createBuilder();
+
+    return builder.build().then(function () {
+        if (args.watch) {
+            watch(builder);
+        }
+
+        const server = createStaticServer(pathOfDist, {
+            beforeRequest: builder.waitForBuild,
+            log: line => console.log(line),
+        });
+
+        return new Promise(function (resolve, reject) {
+            server.on('error', reject);
+            server.listen(args.port, args.host, function () {
+                const port = server.address().port;
+                const displayHost = args.host === '0.0.0.0' ? 'localhost' : args.host;
+                console.log('');
+                console.log(`Serving ${pathOfDist} on http://${displayHost}:${port}`);
+                console.log(`Add http://<address of this machine>:${port} as a 3rd party repository in CapRover.`);
+                console.log(args.watch ? 'Watching the sources for changes. Press Ctrl+C to stop.' : 'Press Ctrl+C to stop.');
+            });
+        });
+    });
+}
+
+Promise.resolve()
+    .then(function () {
+        return preview();
+    })
+    .catch(function (err) {
+        console.error(err.message || err);
+        process.exit(127);
+    });
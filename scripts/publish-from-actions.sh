@@ -57,10 +57,16 @@ echo "#############################################"
 echo "######### CLONING REMOTE_BRANCH: $REMOTE_BRANCH"
 echo "#############################################"
 
-cp -r $BUILD_DIR $SOURCE_DIRECTORY_DEPLOY_GH/
 git clone --single-branch --branch=$REMOTE_BRANCH $REMOTE_REPO $CLONED_DIRECTORY_DEPLOY_GH
 sleep 1s
 echo "#############################################"
+echo "######### Changelog against the published dist"
+echo "#############################################"
+node ./scripts/build_changelog.js --previous $CLONED_DIRECTORY_DEPLOY_GH --dist $BUILD_DIR
+cat $BUILD_DIR/v4/changes.md
+cp -r $BUILD_DIR $SOURCE_DIRECTORY_DEPLOY_GH/
+sleep 1s
+echo "#############################################"
 echo "######### Removing old files"
 echo "#############################################"
 cd $CLONED_DIRECTORY_DEPLOY_GH && git rm -rf . && git clean -fdx
@@ -83,7 +89,6 @@ sleep 1s
 git config user.name "${GITHUB_ACTOR}"
 git config user.email "${GITHUB_ACTOR}@users.noreply.github.com"
 echo $(date) >>forcebuild.date
-echo "caprover.com" >index.html
 git add -A
 git commit -m 'Deploy to GitHub Pages'
 git push $REMOTE_REPO $REMOTE_BRANCH:$REMOTE_BRANCH
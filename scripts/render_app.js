@@ -0,0 +1,138 @@
+/*jshint esversion: 6 */
+const path = require('path');
+const yaml = require('yaml');
+const types = require('yaml/types');
+const fs = require('fs-extra');
+const { renderApp } = require('./lib/render');
+const { readFragmentFiles, resolveFragments } = require('./lib/fragments');
+const { readSources, collectFiles, collectApps, findApp } = require('./lib/sources');
+types.strOptions.fold.lineWidth = 0;
+
+// Renders a one-click app of the sources in scripts/sources.json into the docker-compose file that CapRover would deploy.
+//
+// npm run render -- <app> [options]
+//
+//   --set <id>=<value>     value of a variable, e.g. --set cap_db_user=bob (repeatable)
+//   --values <file>        YAML or JSON file with { <id>: <value> }
+//   --appname <name>       value of $$cap_appname, defaults to the app name
+//   --root-domain <domain> value of $$cap_root_domain, defaults to captain.localhost
+//   --seed <seed>          makes $$cap_gen_random_hex(n) reproducible
+//   --out <dir>            writes docker-compose.yml and the Dockerfiles to <dir>
+//                          instead of printing the compose file
+
+function parseArguments(argv) {
+    const args = {
+        app: undefined,
+        values: {},
+        valuesFile: undefined,
+        appName: undefined,
+        rootDomain: 'captain.localhost',
+        seed: undefined,
+        out: undefined,
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function () {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '--set') {
+            const pair = next();
+            const index = pair.indexOf('=');
+            if (index < 1) {
+                throw new Error(`--set expects <id>=<value>, got ${pair}`);
+            }
+            args.values[pair.substring(0, index)] = pair.substring(index + 1);
+        } else if (arg === '--values') {
+            args.valuesFile = next();
+        } else if (arg === '--appname') {
+            args.appName = next();
+        } else if (arg === '--root-domain') {
+            args.rootDomain = next();
+        } else if (arg === '--seed') {
+            args.seed = next();
+        } else if (arg === '--out') {
+            args.out = next();
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (!args.app) {
+            args.app = arg.replace(/\.yml$/, '');
+        } else {
+            throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+
+    if (!args.app) {
+        throw new Error('Usage: npm run render -- <app> [--set <id>=<value>] [--values <file>] ' +
+            '[--appname <name>] [--root-domain <domain>] [--seed <seed>] [--out <dir>]');
+    }
+
+    return args;
+}
+
+function toYaml(rendered) {
+    const doc = new yaml.Document();
+    doc.contents = yaml.createNode(rendered.compose);
+
+    const servicesPair = doc.contents.items.find(pair => pair.key.value === 'services');
+    servicesPair.value.items.forEach(pair => {
+        const serviceNotes = rendered.notes[pair.key.value] || [];
+        if (serviceNotes.length > 0) {
+            pair.key.commentBefore = serviceNotes.map(n => ` ${n}`).join('\n');
+        }
+    });
+
+    return doc.toString();
+}
+
+function render() {
+    return Promise.resolve()
+        .then(function () {
+            const args = parseArguments(process.argv.slice(2));
+
+            const sources = readSources();
+            const appFile = findApp(collectApps(sources), args.app);
+            const fragments = readFragmentFiles(collectFiles(sources, 'fragments', false).map(f => f.filePath));
+
+            const values = args.valuesFile ? yaml.parse(fs.readFileSync(args.valuesFile, 'utf-8')) || {} : {};
+            Object.assign(values, args.values);
+
+            const content = resolveFragments(args.app, yaml.parse(fs.readFileSync(appFile.filePath, 'utf-8')), fragments);
+            const rendered = renderApp(content, {
+                appName: args.appName || args.app,
+                rootDomain: args.rootDomain,
+                values: values,
+                seed: args.seed,
+            });
+
+            const composeString = toYaml(rendered);
+            const dockerfileServices = Object.keys(rendered.dockerfiles);
+
+            if (!args.out) {
+                process.stdout.write(composeString);
+                if (dockerfileServices.length > 0) {
+                    console.error(`Not written: Dockerfile for ${dockerfileServices.join(', ')}. Use --out <dir> to write them.`);
+                }
+                return;
+            }
+
+            fs.outputFileSync(path.join(args.out, 'docker-compose.yml'), composeString);
+            dockerfileServices.forEach(serviceName => {
+                fs.outputFileSync(path.join(args.out, serviceName, 'Dockerfile'), rendered.dockerfiles[serviceName]);
+            });
+            console.log(`Rendered ${args.app} into ${args.out}`);
+        });
+}
+
+Promise.resolve()
+    .then(function () {
+        return render();
+    })
+    .catch(function (err) {
+        console.error(err.message || err);
+        process.exit(127);
+    });
@@ -0,0 +1,158 @@
+/*jshint esversion: 8 */
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+const fs = require('fs-extra');
+const { encodePng } = require('../lib/png');
+
+const pathOfBuilder = path.join(__dirname, '..', 'build_one_click_apps_from_v4.js');
+
+function template(name, description, extraLines) {
+    return [
+        'captainVersion: 4',
+        'services:',
+        '    $$cap_appname:',
+        `        image: nginx:$$cap_${name}_version`,
+        'caproverOneClickApp:',
+        '    variables:',
+        `        - id: $$cap_${name}_version`,
+        '          label: Version',
+        "          defaultValue: '1.27'",
+        '    instructions:',
+        '        start: Deploy it.',
+        '        end: Done.',
+        `    displayName: ${name}`,
+        '    isOfficial: false',
+        `    description: ${description}`,
+        '    categories:',
+        '        - development',
+    ].concat(extraLines || []).concat(['']).join('\n');
+}
+
+function logo(red) {
+    const data = Buffer.alloc(20 * 10 * 4);
+    for (var i = 0; i < 20 * 10; i++) {
+        data.set([red, 80, 160, 255], i * 4);
+    }
+    return encodePng({ width: 20, height: 10, data: data });
+}
+
+/**
+ * Every file under the directory with the hash of its content, by its relative path
+ */
+function treeOf(directory) {
+    const tree = {};
+    const walk = relative => fs.readdirSync(path.join(directory, relative)).sort().forEach(fileName => {
+        const relativePath = path.join(relative, fileName);
+        if (fs.statSync(path.join(directory, relativePath)).isDirectory()) {
+            tree[`${relativePath}/`] = true;
+            walk(relativePath);
+        } else {
+            tree[relativePath] = crypto.createHash('sha256').update(fs.readFileSync(path.join(directory, relativePath))).digest('hex');
+        }
+    });
+    walk('');
+    return tree;
+}
+
+describe('build_one_click_apps_from_v4', function () {
+    let root;
+    let pathOfSource;
+
+    function build(name) {
+        childProcess.execFileSync(process.execPath, [pathOfBuilder], {
+            env: Object.assign({}, process.env, {
+                ONE_CLICK_APPS_SOURCES: path.join(root, 'sources.json'),
+                ONE_CLICK_APPS_DIST: path.join(root, name, 'dist'),
+            }),
+            stdio: 'pipe',
+        });
+        return path.join(root, name, 'dist');
+    }
+
+    function cleanBuild() {
+        fs.removeSync(path.join(root, 'clean'));
+        return build('clean');
+    }
+
+    function addApp(name, description, extraLines) {
+        fs.outputFileSync(path.join(pathOfSource, 'apps', `${name}.yml`), template(name, description, extraLines));
+        fs.outputFileSync(path.join(pathOfSource, 'logos', `${name}.png`), logo(name.length * 20));
+    }
+
+    function deleteApp(name) {
+        fs.removeSync(path.join(pathOfSource, 'apps', `${name}.yml`));
+        fs.removeSync(path.join(pathOfSource, 'logos', `${name}.png`));
+    }
+
+    before(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'one-click-apps-build-'));
+        pathOfSource = path.join(root, 'source');
+        fs.outputJsonSync(path.join(root, 'sources.json'), { sources: [{ name: 'test', path: pathOfSource }] });
+        ['alpha', 'beta', 'gamma', 'delta'].forEach(name => addApp(name, `The ${name} app`));
+    });
+
+    after(function () {
+        fs.removeSync(root);
+    });
+
+    it('builds the same dist incrementally as from scratch', function () {
+        const dist = build('incremental');
+        assert.ok(fs.existsSync(path.join(dist, 'v4', 'apps', 'beta')));
+
+        deleteApp('beta');
+        addApp('alpha', 'The changed alpha app');
+        addApp('epsilon', 'A new app');
+        build('incremental');
+
+        assert.deepStrictEqual(treeOf(dist), treeOf(cleanBuild()));
+        assert.ok(!fs.existsSync(path.join(dist, 'v4', 'apps', 'beta')));
+    });
+
+    it('builds the same dist without the manifest of the previous build', function () {
+        const dist = build('incremental');
+        fs.removeSync(path.join(root, 'incremental', '.build'));
+
+        deleteApp('gamma');
+        build('incremental');
+
+        const tree = treeOf(dist);
+        assert.deepStrictEqual(tree, treeOf(cleanBuild()));
+        assert.deepStrictEqual(Object.keys(tree).filter(file => file.includes('gamma')), []);
+        assert.ok(!fs.readFileSync(path.join(dist, 'v3', 'list'), 'utf-8').includes('gamma'));
+    });
+
+    it('rewrites outputs that do not match the manifest', function () {
+        const dist = build('incremental');
+        fs.outputFileSync(path.join(dist, 'v4', 'apps', 'delta'), '{}\n');
+        fs.removeSync(path.join(dist, 'v4', 'logos', '64x64', 'delta.png'));
+
+        build('incremental');
+
+        assert.deepStrictEqual(treeOf(dist), treeOf(cleanBuild()));
+    });
+
+    it('leaves hidden apps out of every list, but builds their apps', function () {
+        addApp('zeta', 'A hidden app', ['    hidden: true']);
+        addApp('eta', 'A listed app');
+        const dist = cleanBuild();
+        deleteApp('zeta');
+        deleteApp('eta');
+
+        const files = Object.keys(treeOf(dist)).filter(file => !file.endsWith('/'));
+        assert.deepStrictEqual(files.filter(file => /(^|\/)zeta(\.|$)/.test(file) && !file.includes('logos')),
+            ['v2/apps/zeta.json', 'v3/apps/zeta', 'v4/apps/zeta']);
+        assert.deepStrictEqual(files.filter(file => /(^|\/)eta(\.|$)/.test(file) && !file.includes('logos')),
+            ['apps/eta.html', 'v2/apps/eta.json', 'v3/apps/eta', 'v4/apps/eta']);
+        files
+            .filter(file => !/^v\d\/(apps|logos)\//.test(file))
+            .forEach(file => assert.ok(!fs.readFileSync(path.join(dist, file), 'utf-8').includes('zeta'), file));
+        ['v2/autoGeneratedList.json', 'v2/list', 'v3/list', 'v4/list'].forEach(list => {
+            assert.ok(fs.readFileSync(path.join(dist, list), 'utf-8').includes('"eta"'), list);
+        });
+        assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dist, 'v4', 'apps', 'zeta'), 'utf-8')).caproverOneClickApp.hidden, true);
+    });
+});
@@ -0,0 +1,139 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const yaml = require('yaml');
+const { formatTemplate, formatTemplateFile } = require('../lib/canonical_format');
+
+// never written, it only selects the prettier configuration of the templates
+const pathOfApp = path.join(__dirname, '..', '..', 'public', 'v4', 'apps', 'canonical-format-test.yml');
+
+const template = [
+    '# the whole file',
+    'caproverOneClickApp:',
+    '    # about the display name',
+    '    displayName: Test',
+    '    variables:',
+    '        - label: Version',
+    '          # the id',
+    '          id: $$cap_test_version',
+    '          defaultValue: 1.20',
+    '          validRegex: /^\\d+$/',
+    '        - { id: $$cap_flow_version, defaultValue: 1.20 }',
+    '        - { id: $$cap_flow_name, defaultValue: 1.20 }',
+    '    instructions:',
+    '        end: "Done.\\nVisit the app."',
+    '        start: Deploy it.',
+    '    description: A test app',
+    '',
+    'services:',
+    '    $$cap_appname:',
+    '        restart: always',
+    '        image: nginx:$$cap_test_version',
+    '',
+    '        # about the environment',
+    '        environment:',
+    '            B: 2',
+    '            A: 1',
+    'version: 3.10',
+    'captainVersion: 4',
+    '',
+].join('\n');
+
+function lines(...rows) {
+    return rows.concat(['']).join('\n');
+}
+
+describe('formatTemplate', function () {
+    const formatted = formatTemplate(template);
+
+    it('orders the keys, moves the comments above a key along with it and keeps the blank lines in place', function () {
+        assert.strictEqual(formatted, lines(
+            '# the whole file',
+            'captainVersion: 4',
+            '',
+            "version: '3.10'",
+            'services:',
+            '    $$cap_appname:',
+            '        image: nginx:$$cap_test_version',
+            '        restart: always',
+            '',
+            '        # about the environment',
+            '        environment:',
+            '            B: 2',
+            '            A: 1',
+            'caproverOneClickApp:',
+            '    variables:',
+            '          # the id',
+            '        - id: $$cap_test_version',
+            '          label: Version',
+            "          defaultValue: '1.20'",
+            "          validRegex: '/^\\d+$/'",
+            "        - { id: $$cap_flow_version, defaultValue: '1.20' }",
+            '        - { id: $$cap_flow_name, defaultValue: 1.20 }',
+            '    instructions:',
+            '        start: |-',
+            '            Deploy it.',
+            '        end: |-',
+            '            Done.',
+            '            Visit the app.',
+            '    # about the display name',
+            '    displayName: Test',
+            '    description: A test app',
+        ));
+    });
+
+    it('quotes the versions as they are written, also in flow maps', function () {
+        const app = yaml.parse(formatted).caproverOneClickApp;
+
+        assert.deepStrictEqual(app.variables.map(v => v.defaultValue), ['1.20', '1.20', 1.2]);
+        assert.strictEqual(yaml.parse(formatted).version, '3.10');
+    });
+
+    it('keeps every other value', function () {
+        const before = yaml.parse(template);
+        const after = yaml.parse(formatted);
+        [before, after].forEach(content => {
+            delete content.version;
+            content.caproverOneClickApp.variables.slice(0, 2).forEach(variable => delete variable.defaultValue);
+        });
+
+        assert.deepStrictEqual(after, before);
+    });
+
+    it('changes nothing the second time', function () {
+        assert.strictEqual(formatTemplate(formatted), formatted);
+        assert.strictEqual(formatTemplateFile(formatTemplateFile(template, pathOfApp), pathOfApp), formatTemplateFile(template, pathOfApp));
+    });
+});
+
+describe('instructions as literal blocks', function () {
+    function instructionsOf(start) {
+        const text = lines('caproverOneClickApp:', '    instructions:', `        start: ${start}`, '        end: Done.');
+        return formatTemplateFile(text, pathOfApp).split('\n').slice(2, -3).join('\n');
+    }
+
+    it('keeps the line breaks at the end with the chomping indicator', function () {
+        assert.strictEqual(instructionsOf('"a\\nb"'), '        start: |-\n            a\n            b');
+        assert.strictEqual(instructionsOf('"a\\nb\\n"'), '        start: |\n            a\n            b');
+        assert.strictEqual(instructionsOf('"a\\n\\nb\\n\\n"'), '        start: |+\n            a\n\n            b\n');
+    });
+
+    it('leaves values that a block would change as they are', function () {
+        assert.strictEqual(instructionsOf('"a\\nthird   "'), '        start: "a\\nthird   "');
+        assert.strictEqual(instructionsOf('"a   \\nb"'), '        start: "a   \\nb"');
+        assert.strictEqual(instructionsOf('"  indented\\nb"'), '        start: "  indented\\nb"');
+        assert.strictEqual(instructionsOf('"\\n  indented"'), '        start: "\\n  indented"');
+    });
+
+    it('turns folded blocks into literal blocks, and leaves values with comments as they are', function () {
+        assert.strictEqual(instructionsOf('>-\n            folded\n            text'), '        start: |-\n            folded text');
+        assert.strictEqual(instructionsOf('Deploy. # a comment'), '        start: Deploy. # a comment');
+    });
+});
+
+describe('formatTemplateFile', function () {
+    it('throws if the template is not valid YAML', function () {
+        assert.throws(() => formatTemplateFile('a: [b\n', pathOfApp), /invalid YAML/);
+    });
+});
@@ -0,0 +1,86 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { selectChanged } = require('../lib/changed_files');
+
+const pathOfRoot = path.join(__dirname, '..', '..');
+const pathOfApps = path.join(pathOfRoot, 'public', 'v4', 'apps');
+const pathOfLogos = path.join(pathOfRoot, 'public', 'v4', 'logos');
+const pathOfFragments = path.join(pathOfRoot, 'public', 'v4', 'fragments');
+
+function appFile(name, app, services) {
+    return {
+        fileName: `${name}.yml`,
+        sourceFileName: `${name}.yml`,
+        filePath: path.join(pathOfApps, `${name}.yml`),
+        logoPath: path.join(pathOfLogos, `${name}.png`),
+        content: { captainVersion: 4, services: services || {}, caproverOneClickApp: app || {} },
+    };
+}
+
+function logoFile(name) {
+    return { fileName: `${name}.png`, sourceFileName: `${name}.png`, filePath: path.join(pathOfLogos, `${name}.png`) };
+}
+
+const FILES = {
+    apps: [
+        appFile('wiki'),
+        appFile('blog', {}, { $$cap_appname: { image: 'ghost:5' }, '$$cap_appname-db': { extends: { fragment: 'postgres' } } }),
+        appFile('old-wiki', { deprecated: 'Use wiki', replacedBy: 'wiki' }),
+        appFile('old-forum', { deprecated: 'Use forum', replacedBy: 'forum' }),
+        appFile('shop'),
+    ],
+    logos: ['wiki', 'blog', 'old-wiki', 'old-forum', 'shop', 'gone'].map(logoFile),
+    fragments: [
+        { fileName: 'postgres.yml', filePath: path.join(pathOfFragments, 'postgres.yml') },
+        { fileName: 'redis.yml', filePath: path.join(pathOfFragments, 'redis.yml') },
+    ],
+};
+
+describe('selectChanged', function () {
+    it('selects everything when the validator changed', function () {
+        const selection = selectChanged([path.join(pathOfApps, 'wiki.yml'), path.join(pathOfRoot, 'scripts', 'image_policy.json')], FILES);
+
+        assert.strictEqual(selection.all, `${path.join('scripts', 'image_policy.json')} changed`);
+        assert.deepStrictEqual(selection.apps, ['wiki.yml', 'blog.yml', 'old-wiki.yml', 'old-forum.yml', 'shop.yml']);
+        assert.deepStrictEqual(selection.fragments, ['postgres', 'redis']);
+        assert.strictEqual(selection.logos.length, 6);
+        assert.strictEqual(selectChanged([path.join(pathOfRoot, 'package.json')], FILES).all, 'package.json changed');
+    });
+
+    it('selects the changed apps and logos, and the apps whose logo or fragments changed', function () {
+        const selection = selectChanged([
+            path.join(pathOfApps, 'shop.yml'),
+            path.join(pathOfLogos, 'wiki.png'),
+            path.join(pathOfFragments, 'postgres.yml'),
+            path.join(pathOfRoot, 'README.md'),
+        ], FILES);
+
+        assert.deepStrictEqual(selection, {
+            all: undefined,
+            // old-forum is replaced by an app that does not exist
+            apps: ['wiki.yml', 'blog.yml', 'old-forum.yml', 'shop.yml'],
+            fragments: ['postgres'],
+            logos: ['wiki.png', 'shop.png'],
+        });
+    });
+
+    it('selects the logos of deleted apps, which are orphans now', function () {
+        const selection = selectChanged([path.join(pathOfApps, 'gone.yml')], FILES);
+
+        assert.deepStrictEqual(selection.logos, ['gone.png']);
+    });
+
+    it('selects the apps that are replaced by a changed, deleted or renamed app', function () {
+        const changedTarget = selectChanged([path.join(pathOfApps, 'wiki.yml')], FILES);
+        const withoutWiki = Object.assign({}, FILES, { apps: FILES.apps.filter(f => f.fileName !== 'wiki.yml') });
+        const deletedTarget = selectChanged([path.join(pathOfApps, 'wiki.yml')], withoutWiki);
+        const renamedTarget = selectChanged([path.join(pathOfApps, 'wiki.yml'), path.join(pathOfApps, 'wiki-js.yml')],
+            Object.assign({}, withoutWiki, { apps: withoutWiki.apps.concat([appFile('wiki-js')]) }));
+
+        assert.deepStrictEqual(changedTarget.apps, ['wiki.yml', 'old-wiki.yml', 'old-forum.yml']);
+        assert.deepStrictEqual(deletedTarget.apps, ['old-wiki.yml', 'old-forum.yml']);
+        assert.deepStrictEqual(renamedTarget.apps, ['old-wiki.yml', 'old-forum.yml', 'wiki-js.yml']);
+    });
+});
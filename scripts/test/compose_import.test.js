@@ -0,0 +1,137 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const yaml = require('yaml');
+const fs = require('fs-extra');
+const { convertComposeToV4, scaffoldToYaml, analyzeScaffoldPlaceholders } = require('../lib/compose_import');
+const { formatTemplateFile } = require('../lib/canonical_format');
+const { runValidation } = require('../lib/validation');
+const { readImagePolicy } = require('../lib/image_policy');
+const { readLogoPolicy } = require('../lib/logos');
+const { createSolidPng } = require('../lib/png');
+
+// Where import_compose writes the app, the prettier configuration depends on it
+const pathOfApp = path.join(__dirname, '..', '..', 'public', 'v4', 'apps', 'imported.yml');
+
+const compose = {
+    version: '3.8',
+    services: {
+        web: {
+            image: 'ghost:5.80.0',
+            restart: 'unless-stopped',
+            ports: ['2368:2368'],
+            environment: [
+                'database__client=mysql',
+                'database__connection__host=db',
+                'database__connection__password=example-secret',
+                'url=https://blog.example.com/a/rather/long/path/so/that/the/line/is/longer/than/eighty/characters',
+            ],
+            volumes: ['content:/var/lib/ghost/content'],
+            depends_on: ['db'],
+        },
+        db: {
+            image: 'mysql:8.0.36',
+            command: '--default-authentication-plugin=mysql_native_password',
+            environment: { MYSQL_ROOT_PASSWORD: 'example-secret' },
+            volumes: ['db:/var/lib/mysql'],
+        },
+    },
+    volumes: { content: {}, db: {} },
+};
+
+function withLabels(labels) {
+    const withLabels = JSON.parse(JSON.stringify(compose));
+    withLabels.services.web.labels = labels;
+    return withLabels;
+}
+
+/**
+ * The findings of validate_apps for the scaffold, with its placeholder logo
+ */
+function validate(text) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'import-compose-'));
+    try {
+        const appFile = {
+            fileName: 'imported.yml',
+            filePath: path.join(directory, 'apps', 'imported.yml'),
+            logoPath: path.join(directory, 'logos', 'imported.png'),
+        };
+        fs.outputFileSync(appFile.filePath, text);
+        fs.outputFileSync(appFile.logoPath, createSolidPng(256, 256, [0x1f, 0x8c, 0xe6]));
+        return runValidation({
+            appFiles: [appFile],
+            fragments: {},
+            fragmentNames: [],
+            logoFiles: [],
+            allAppNames: ['imported'],
+            imagePolicy: readImagePolicy(),
+            logoPolicy: readLogoPolicy(),
+            suppressions: [],
+        }).findings.map(f => `${f.severity} ${f.rule} ${f.path}`);
+    } finally {
+        fs.removeSync(directory);
+    }
+}
+
+describe('import_compose', function () {
+    const result = convertComposeToV4(compose, { name: 'imported', source: 'docker-compose.yml' });
+    const text = scaffoldToYaml(result.content, pathOfApp);
+
+    it('writes the template in canonical form, so that format_apps --check passes', function () {
+        assert.strictEqual(formatTemplateFile(text, pathOfApp), text);
+        assert.deepStrictEqual(yaml.parse(text), result.content);
+    });
+
+    it('leaves placeholders without labels, which validate_apps warns about until they are replaced', function () {
+        assert.deepStrictEqual(analyzeScaffoldPlaceholders(yaml.parse(text)).map(f => `${f.severity} ${f.path.join('.')}`), [
+            'warning caproverOneClickApp.instructions.start',
+            'warning caproverOneClickApp.description',
+        ]);
+        assert.strictEqual(result.content.caproverOneClickApp.instructions.end,
+            'Imported has been deployed and is available at http://$$cap_appname-web.$$cap_root_domain');
+        assert.deepStrictEqual(validate(text), [
+            'warning scaffold-placeholder caproverOneClickApp.instructions.start',
+            'warning scaffold-placeholder caproverOneClickApp.description',
+        ]);
+
+        const edited = yaml.parse(text);
+        edited.caproverOneClickApp.instructions.start = 'Ghost is a blogging platform.';
+        edited.caproverOneClickApp.description = 'A blogging platform.';
+        assert.deepStrictEqual(analyzeScaffoldPlaceholders(edited), []);
+    });
+
+    it('takes the description and the instructions from the labels of the images', function () {
+        const description = 'Ghost is a powerful app for professional publishers to create, share, and grow a business ' +
+            'around their content. It comes with modern tools to build a website, publish content, send newsletters ' +
+            'and offer paid subscriptions to members.';
+        const labelled = convertComposeToV4(withLabels([
+            `org.opencontainers.image.description=${description}`,
+            'org.opencontainers.image.documentation=https://ghost.org/docs/',
+        ]), { name: 'imported', source: 'docker-compose.yml' });
+        const oneClickApp = labelled.content.caproverOneClickApp;
+
+        assert.strictEqual(oneClickApp.instructions.start, `${description}\n\nSee https://ghost.org/docs/ for the documentation.`);
+        assert.ok(oneClickApp.description.length <= 200);
+        assert.ok(oneClickApp.description.endsWith('send newsletters and...'), oneClickApp.description);
+        assert.deepStrictEqual(labelled.warnings.filter(w => w.includes('label')), []);
+        assert.deepStrictEqual(validate(scaffoldToYaml(labelled.content, pathOfApp)), []);
+    });
+
+    it('requires a version for images without a version tag', function () {
+        const unpinned = JSON.parse(JSON.stringify(compose));
+        unpinned.services.web.image = 'ghost';
+        unpinned.services.db.image = 'mysql:latest';
+        const options = { name: 'imported', source: 'docker-compose.yml' };
+
+        assert.throws(() => convertComposeToV4(unpinned, options),
+            /"web" \(ghost\) has no tag, so it always pulls "latest", "db" \(mysql:latest\) uses the floating tag "latest"\. Give the version of each one with --tag <service>=<version>/);
+        assert.throws(() => convertComposeToV4(unpinned, Object.assign({ tags: { web: '5.80.0', cache: '7' } }, options)),
+            /tag for the service "cache", but the compose file has no such service/);
+
+        const pinned = convertComposeToV4(unpinned, Object.assign({ tags: { web: '5.80.0', db: '8.0.36' } }, options));
+        assert.deepStrictEqual(pinned.content.caproverOneClickApp.variables.filter(v => v.id.endsWith('_version')).map(v => v.defaultValue),
+            ['5.80.0', '8.0.36']);
+    });
+});
@@ -0,0 +1,203 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const yaml = require('yaml');
+const fs = require('fs-extra');
+const { convertV2toV4, convertV4toV2, convertV4toDist } = require('../lib/conversion');
+const { readFragments, resolveFragments } = require('../lib/fragments');
+
+const pathOfApps = path.join(__dirname, '..', '..', 'public', 'v4', 'apps');
+
+const fragments = readFragments();
+
+// What the build writes to dist/v4: undefined values and the YAML specifics are gone
+function normalize(content) {
+    return JSON.parse(JSON.stringify(content));
+}
+
+describe('convertV4toV2 / convertV2toV4', function () {
+    describe('round-trips every app in public/v4/apps', function () {
+        fs.readdirSync(pathOfApps)
+            .filter(f => f.endsWith('.yml'))
+            .forEach(appFileName => {
+                it(appFileName, function () {
+                    const source = yaml.parse(fs.readFileSync(path.join(pathOfApps, appFileName), 'utf-8'));
+                    const v4 = normalize(resolveFragments(appFileName, source, fragments));
+
+                    const v2 = convertV4toV2(v4);
+                    const backToV4 = convertV2toV4(v2.content);
+
+                    assert.deepStrictEqual(backToV4.content, v4);
+                    assert.deepStrictEqual(backToV4.lossyFields, []);
+                });
+            });
+    });
+
+    it('moves caproverOneClickApp and caproverExtra properties for v2', function () {
+        const v4 = {
+            captainVersion: 4,
+            services: {
+                $$cap_appname: {
+                    image: 'nginx:1.25',
+                    caproverExtra: {
+                        containerHttpPort: '8080',
+                        notExposeAsWebApp: 'false',
+                    },
+                },
+            },
+            caproverOneClickApp: {
+                variables: [],
+                instructions: { start: 'start', end: 'end' },
+                displayName: 'Nginx',
+                isOfficial: true,
+                description: 'web server',
+            },
+        };
+
+        const v2 = convertV4toV2(v4);
+
+        assert.deepStrictEqual(v2.content, {
+            captainVersion: 2,
+            dockerCompose: {
+                services: {
+                    $$cap_appname: {
+                        image: 'nginx:1.25',
+                        containerHttpPort: '8080',
+                        notExposeAsWebApp: 'false',
+                    },
+                },
+            },
+            variables: [],
+            instructions: { start: 'start', end: 'end' },
+            displayName: 'Nginx',
+            isOfficial: true,
+            description: 'web server',
+        });
+        assert.deepStrictEqual(v2.lossyFields, []);
+        assert.strictEqual(v4.caproverOneClickApp.displayName, 'Nginx', 'input must not be modified');
+    });
+
+    it('keeps and reports the fields that v2 cannot represent', function () {
+        const v4 = {
+            captainVersion: 4,
+            services: {
+                $$cap_appname: {
+                    image: 'nginx:1.25',
+                    caproverExtra: {
+                        websocketSupport: 'true',
+                        notExposeAsWebApp: 'false',
+                    },
+                },
+            },
+            caproverOneClickApp: {
+                description: 'web server',
+                futureField: 'something',
+            },
+        };
+
+        const v2 = convertV4toV2(v4);
+
+        assert.deepStrictEqual(v2.lossyFields.sort(), [
+            'caproverOneClickApp.futureField',
+            'services.$$cap_appname.caproverExtra.websocketSupport',
+        ]);
+        assert.deepStrictEqual(v2.content.dockerCompose.services.$$cap_appname.caproverExtra, { websocketSupport: 'true' });
+        assert.deepStrictEqual(v2.content.caproverOneClickApp, { futureField: 'something' });
+        assert.deepStrictEqual(convertV2toV4(v2.content).content, v4);
+    });
+
+    it('reports v2 root fields that v4 cannot represent', function () {
+        const v2 = {
+            captainVersion: 2,
+            dockerCompose: { services: { $$cap_appname: { image: 'nginx:1.25' } } },
+            description: 'web server',
+            unknownField: 1,
+        };
+
+        assert.deepStrictEqual(convertV2toV4(v2).lossyFields, ['unknownField']);
+    });
+
+    it('derives validRegex and description of typed variables for v2', function () {
+        const v4 = {
+            captainVersion: 4,
+            services: { $$cap_appname: { image: 'nginx:1.25' } },
+            caproverOneClickApp: {
+                variables: [
+                    { id: '$$cap_port', label: 'Port', defaultValue: '80', type: 'number', min: 1, max: 65535 },
+                    { id: '$$cap_level', label: 'Level', description: 'How much to log.', type: 'select', options: ['info', 'debug'] },
+                    { id: '$$cap_debug', label: 'Debug', type: 'boolean', validRegex: '/^(true)$/' },
+                    { id: '$$cap_pass', label: 'Password', type: 'password' },
+                ],
+            },
+        };
+
+        const v2 = convertV4toV2(v4);
+        const variables = v2.content.variables;
+
+        assert.deepStrictEqual(v2.lossyFields, []);
+        assert.strictEqual(variables[0].validRegex, '/^\\d+(\\.\\d+)?$/');
+        assert.strictEqual(variables[0].description, 'A number from 1 to 65535.');
+        assert.strictEqual(variables[1].validRegex, '/^(info|debug)$/');
+        assert.strictEqual(variables[1].description, 'How much to log. One of: info, debug.');
+        assert.strictEqual(variables[2].validRegex, '/^(true)$/');
+        assert.deepStrictEqual(variables[3], v4.caproverOneClickApp.variables[3]);
+        assert.deepStrictEqual(convertV2toV4(v2.content).content, v4);
+    });
+
+    it('derives validRegex and description of typed variables for dist/v4 too, and keeps the type', function () {
+        const v4 = {
+            captainVersion: 4,
+            services: { $$cap_appname: { image: 'nginx:1.25' } },
+            caproverOneClickApp: {
+                variables: [
+                    { id: '$$cap_level', label: 'Level', defaultValue: 'info', type: 'select', options: ['info', 'debug'] },
+                    { id: '$$cap_name', label: 'Name', defaultValue: 'app' },
+                ],
+            },
+        };
+
+        const dist = convertV4toDist(v4);
+
+        assert.deepStrictEqual(dist.caproverOneClickApp.variables, [
+            {
+                id: '$$cap_level',
+                label: 'Level',
+                defaultValue: 'info',
+                type: 'select',
+                options: ['info', 'debug'],
+                validRegex: '/^(info|debug)$/',
+                description: 'One of: info, debug.',
+            },
+            { id: '$$cap_name', label: 'Name', defaultValue: 'app' },
+        ]);
+        assert.strictEqual(v4.caproverOneClickApp.variables[0].validRegex, undefined);
+        assert.deepStrictEqual(dist.services, v4.services);
+    });
+
+    it('writes the requirements in front of instructions.start for v2', function () {
+        const v4 = {
+            captainVersion: 4,
+            services: { $$cap_appname: { image: 'nginx:1.25' } },
+            caproverOneClickApp: {
+                instructions: { start: 'Just deploy it.', end: 'Done.' },
+                description: 'web server',
+                requirements: { memory: '1.5G', cpus: 1, disk: '512M', architectures: ['amd64', 'arm64'] },
+            },
+        };
+
+        const v2 = convertV4toV2(v4);
+
+        assert.deepStrictEqual(v2.lossyFields, []);
+        assert.strictEqual(v2.content.instructions.start,
+            'Requirements: at least 1.5 GB of memory, 1 CPU core and 512 MB of disk space. ' +
+            'Only runs on these CPU architectures: amd64, arm64.\n\nJust deploy it.');
+        assert.deepStrictEqual(v2.content.caproverOneClickApp, { requirements: v4.caproverOneClickApp.requirements });
+        assert.deepStrictEqual(convertV2toV4(v2.content).content, v4);
+    });
+
+    it('rejects the wrong captainVersion', function () {
+        assert.throws(() => convertV4toV2({ captainVersion: 2 }), /CaptainVersion must be 4/);
+        assert.throws(() => convertV2toV4({ captainVersion: 4 }), /CaptainVersion must be 2/);
+    });
+});
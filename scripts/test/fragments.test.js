@@ -0,0 +1,227 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const yaml = require('yaml');
+const { readFragments, analyzeFragment, fragmentsUsedBy, expandFragments, resolveFragments } = require('../lib/fragments');
+
+function fragment(name, text) {
+    const content = yaml.parse(text);
+    return { name: name, fileName: `${name}.yml`, content: content };
+}
+
+const FRAGMENTS = {
+    cache: fragment('cache', [
+        'parameters:',
+        '    version:',
+        '        default: 7.2',
+        '    memory:',
+        '        description: Maximum memory',
+        'service:',
+        '    image: redis:{{version}}',
+        '    command: redis-server --maxmemory {{memory}}',
+        '    volumes:',
+        "        - '{{service}}-data:/data'",
+        '    restart: always',
+        '    environment:',
+        '        CACHE_MEMORY: "{{memory}}"',
+        '        CACHE_MODE: lru',
+        '    caproverExtra:',
+        "        notExposeAsWebApp: 'true'",
+        'variables:',
+        '    - id: $$cap_cache_password',
+        '      label: Cache Password',
+        '      defaultValue: $$cap_gen_random_hex(16)',
+        '',
+    ].join('\n')),
+};
+
+function app(services, variables) {
+    return {
+        captainVersion: 4,
+        services: services,
+        caproverOneClickApp: { variables: variables || [{ id: '$$cap_app_version', defaultValue: '1.0' }] },
+    };
+}
+
+function cacheService(extra) {
+    return Object.assign({ extends: { fragment: 'cache', with: { memory: 256 } } }, extra);
+}
+
+function messagesOf(findings, severity) {
+    return findings.filter(f => f.severity === severity).map(f => `${f.path.join('.')} ${f.message}`);
+}
+
+describe('expandFragments', function () {
+    it('substitutes the parameters, their defaults and the name of the service', function () {
+        const content = app({ '$$cap_appname-cache': cacheService() });
+        const result = expandFragments(content, FRAGMENTS);
+
+        assert.deepStrictEqual(result.findings, []);
+        assert.deepStrictEqual(result.content.services['$$cap_appname-cache'], {
+            image: 'redis:7.2',
+            command: 'redis-server --maxmemory 256',
+            volumes: ['$$cap_appname-cache-data:/data'],
+            restart: 'always',
+            environment: { CACHE_MEMORY: 256, CACHE_MODE: 'lru' },
+            caproverExtra: { notExposeAsWebApp: 'true' },
+        });
+        assert.ok('extends' in content.services['$$cap_appname-cache'], 'the template is not modified');
+    });
+
+    it('merges maps of the template into the fragment and reports overridden keys', function () {
+        const content = app({
+            '$$cap_appname-cache': cacheService({
+                restart: 'unless-stopped',
+                environment: { CACHE_MODE: 'lfu', CACHE_EXTRA: 'yes' },
+                caproverExtra: { notExposeAsWebApp: 'true' },
+                volumes: ['$$cap_appname-other:/data'],
+            }),
+        });
+        const result = expandFragments(content, FRAGMENTS);
+        const service = result.content.services['$$cap_appname-cache'];
+
+        assert.strictEqual(service.restart, 'unless-stopped');
+        assert.deepStrictEqual(service.environment, { CACHE_MEMORY: 256, CACHE_MODE: 'lfu', CACHE_EXTRA: 'yes' });
+        assert.deepStrictEqual(service.volumes, ['$$cap_appname-other:/data'], 'lists are replaced, not merged');
+        assert.deepStrictEqual(messagesOf(result.findings, 'error'), []);
+        assert.deepStrictEqual(messagesOf(result.findings, 'warning'), [
+            'services.$$cap_appname-cache.restart overrides restart of fragment cache, consider a parameter of the fragment instead',
+            'services.$$cap_appname-cache.environment.CACHE_MODE overrides environment.CACHE_MODE of fragment cache, ' +
+                'consider a parameter of the fragment instead',
+            'services.$$cap_appname-cache.volumes overrides volumes of fragment cache, consider a parameter of the fragment instead',
+        ]);
+    });
+
+    it('appends the variables of the fragment once and reports the ones the template overrides', function () {
+        const own = { id: '$$cap_cache_password', label: 'Password', defaultValue: 'secret' };
+        const twice = app({
+            '$$cap_appname-cache': cacheService(),
+            '$$cap_appname-sessions': cacheService(),
+        });
+        const overridden = app({ '$$cap_appname-cache': cacheService() }, [own]);
+
+        assert.deepStrictEqual(expandFragments(twice, FRAGMENTS).content.caproverOneClickApp.variables.map(v => v.id),
+            ['$$cap_app_version', '$$cap_cache_password']);
+        assert.deepStrictEqual(expandFragments(twice, FRAGMENTS).findings, []);
+
+        const result = expandFragments(overridden, FRAGMENTS);
+        assert.deepStrictEqual(result.content.caproverOneClickApp.variables, [own]);
+        assert.deepStrictEqual(messagesOf(result.findings, 'warning'),
+            ['caproverOneClickApp.variables.0 overrides the variable $$cap_cache_password of fragment cache']);
+    });
+
+    it('returns templates without extends as they are', function () {
+        const content = app({ $$cap_appname: { image: 'nginx:1.27' } });
+
+        assert.strictEqual(expandFragments(content, FRAGMENTS).content, content);
+    });
+
+    it('reports unknown fragments and parameters, and missing parameters', function () {
+        const result = expandFragments(app({
+            unknown: { extends: { fragment: 'postgres' } },
+            missing: { extends: { fragment: 'cache' } },
+            extra: { extends: { fragment: 'cache', with: { memory: 1, size: 2 }, from: 'x' } },
+            nested: { extends: { fragment: 'cache', with: { memory: [1] } } },
+            broken: { extends: 'cache' },
+        }), FRAGMENTS);
+
+        assert.deepStrictEqual(messagesOf(result.findings, 'error'), [
+            'services.unknown.extends.fragment unknown fragment "postgres", the fragments are: cache',
+            'services.missing.extends.with missing parameter "memory" of fragment cache: Maximum memory',
+            'services.extra.extends.from unknown key "from", extends has fragment, with',
+            'services.extra.extends.with.size unknown parameter "size" of fragment cache, its parameters are: version, memory',
+            'services.nested.extends.with.memory the value of parameter "memory" must be a string, number or boolean',
+            'services.broken.extends extends needs the name of a fragment: extends: { fragment: <name>, with: { <parameter>: <value> } }',
+        ]);
+    });
+
+    it('does not inline fragments that extend another fragment', function () {
+        const fragments = Object.assign({
+            chained: fragment('chained', 'service:\n    extends:\n        fragment: chained\n'),
+        }, FRAGMENTS);
+        const result = expandFragments(app({ db: { extends: { fragment: 'chained' } } }), fragments);
+
+        assert.deepStrictEqual(messagesOf(result.findings, 'error'),
+            ['services.db.extends.fragment fragment "chained" is invalid, see the errors of fragments/chained.yml']);
+        assert.deepStrictEqual(result.content.services.db, {});
+    });
+});
+
+describe('analyzeFragment', function () {
+    it('has no findings for the fragments of public/v4', function () {
+        const fragments = readFragments();
+
+        assert.ok(Object.keys(fragments).length > 0);
+        Object.keys(fragments).forEach(name => assert.deepStrictEqual(analyzeFragment(fragments[name].content), [], name));
+    });
+
+    it('reports fragments that extend another fragment', function () {
+        assert.deepStrictEqual(messagesOf(analyzeFragment(yaml.parse('service:\n    extends:\n        fragment: cache\n')), 'error'),
+            ['service.extends a fragment cannot extend another fragment']);
+    });
+
+    it('reports placeholders that are not declared and parameters that are not used', function () {
+        const findings = analyzeFragment(yaml.parse([
+            'parameters:',
+            '    version:',
+            '        default: 1',
+            '    unused:',
+            '        description: Never used',
+            'service:',
+            '    image: app:{{version}}',
+            '    hostname: "{{ host }}-{{service}}"',
+            'variables:',
+            '    - id: $$cap_x',
+            '      defaultValue: "{{port}}"',
+            '',
+        ].join('\n')));
+
+        assert.deepStrictEqual(messagesOf(findings, 'error'), [
+            'service {{host}} is not a declared parameter',
+            'variables {{port}} is not a declared parameter',
+        ]);
+        assert.deepStrictEqual(messagesOf(findings, 'warning'),
+            ['parameters.unused parameter "unused" is not used, there is no {{unused}} in the service or the variables']);
+    });
+
+    it('reports the structure of invalid fragments', function () {
+        const findings = analyzeFragment(yaml.parse([
+            'image: redis',
+            'parameters:',
+            '    service: {}',
+            '    bad-name: {}',
+            '    typed:',
+            '        type: number',
+            'variables:',
+            '    id: $$cap_x',
+            '',
+        ].join('\n')));
+
+        assert.deepStrictEqual(messagesOf(findings, 'error'), [
+            'image unknown key "image", a fragment has description, parameters, service, variables',
+            'parameters.service "service" is reserved for the name of the service that extends the fragment',
+            'parameters.bad-name "bad-name" is not a valid parameter name, use letters, digits and _',
+            'parameters.typed a parameter may only have a description and a default',
+            'service a fragment needs a service',
+            'variables variables must be a list, like caproverOneClickApp.variables',
+        ]);
+    });
+});
+
+describe('fragmentsUsedBy and resolveFragments', function () {
+    it('lists every fragment once', function () {
+        assert.deepStrictEqual(fragmentsUsedBy(app({
+            a: cacheService(),
+            b: { extends: { fragment: 'postgres' } },
+            c: cacheService(),
+            d: { image: 'nginx' },
+        })), ['cache', 'postgres']);
+        assert.deepStrictEqual(fragmentsUsedBy(undefined), []);
+    });
+
+    it('throws with every error of the app', function () {
+        assert.throws(() => resolveFragments('myapp', app({ a: { extends: { fragment: 'postgres' } }, b: { extends: { fragment: 'cache' } } }), FRAGMENTS),
+            /^Error: myapp: services\.a\.extends\.fragment unknown fragment "postgres", the fragments are: cache\n {4}services\.b\.extends\.with missing parameter "memory"/);
+        assert.strictEqual(resolveFragments('myapp', app({ a: cacheService() }), FRAGMENTS).services.a.image, 'redis:7.2');
+    });
+});
@@ -0,0 +1,136 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { findNewerVersions, findVersionVariables, findUpdates, updateDefaultValue } = require('../lib/image_updates');
+const { readFixture, createTagSource } = require('../lib/registry');
+
+// tags.json is written like `--record` writes it, so that the tests never need a registry
+const pathOfFixtures = path.join(__dirname, 'fixtures', 'image_updates');
+
+describe('findNewerVersions', function () {
+    it('only counts tags with the same prefix, suffix and count of numbers', function () {
+        const tags = ['16.1-alpine', '16.4-alpine', '16.4-bookworm', '16.4.1-alpine', '16.5', '17rc1-alpine', 'v16.6-alpine', 'alpine'];
+
+        assert.deepStrictEqual(findNewerVersions('16.2-alpine', tags), { compatible: '16.4-alpine', latest: '16.4-alpine' });
+        assert.deepStrictEqual(findNewerVersions('v1.2.3', ['1.2.4', 'v1.2.4', 'v1.3', 'v2.0.0-rc1']),
+            { compatible: 'v1.2.4', latest: 'v1.2.4' });
+    });
+
+    it('compares the numbers, not the text', function () {
+        assert.deepStrictEqual(findNewerVersions('1.9', ['1.10', '1.8', '2.0', '10.0']), { compatible: '1.10', latest: '10.0' });
+    });
+
+    it('keeps the major version for compatible updates, and the minor version for 0.x', function () {
+        assert.deepStrictEqual(findNewerVersions('6.4.3', ['6.5.2', '7.0.0']), { compatible: '6.5.2', latest: '7.0.0' });
+        assert.deepStrictEqual(findNewerVersions('0.3.1', ['0.3.4', '0.4.0', '1.0.0']), { compatible: '0.3.4', latest: '1.0.0' });
+        assert.deepStrictEqual(findNewerVersions('0.3.1', ['0.4.0']), { compatible: undefined, latest: '0.4.0' });
+        assert.deepStrictEqual(findNewerVersions('0', ['1', '0']), { compatible: undefined, latest: '1' });
+    });
+
+    it('finds nothing for tags that are not versions or already the newest', function () {
+        assert.deepStrictEqual(findNewerVersions('latest', ['1.0', 'latest']), { compatible: undefined, latest: undefined });
+        assert.deepStrictEqual(findNewerVersions('2.0', ['1.0', '2.0']), { compatible: undefined, latest: undefined });
+    });
+});
+
+describe('updateDefaultValue', function () {
+    const template = [
+        'caproverOneClickApp:',
+        '    variables:',
+        '        - id: $$cap_plain_version',
+        '          defaultValue: 6.4.3 # pinned',
+        '        - id: $$cap_single_version',
+        "          defaultValue: '16.2-alpine'",
+        '        - id: $$cap_double_version',
+        '          defaultValue: "v0.3.1"',
+        '        - id: $$cap_number_version',
+        '          defaultValue: 1.9',
+        '        - id: $$cap_no_default',
+        '          label: No default',
+        '',
+    ].join('\n');
+
+    function lineOf(text, variableId) {
+        const lines = text.split('\n');
+        return lines[lines.findIndex(line => line.includes(variableId)) + 1];
+    }
+
+    it('changes only the value and keeps its quotes', function () {
+        const plain = updateDefaultValue(template, '$$cap_plain_version', '6.5.2');
+        const single = updateDefaultValue(template, '$$cap_single_version', '16.4-alpine');
+        const double = updateDefaultValue(template, '$$cap_double_version', 'v0.3.4');
+
+        assert.strictEqual(plain, template.replace('6.4.3', '6.5.2'));
+        assert.strictEqual(lineOf(plain, '$$cap_plain_version'), '          defaultValue: 6.5.2 # pinned');
+        assert.strictEqual(lineOf(single, '$$cap_single_version'), "          defaultValue: '16.4-alpine'");
+        assert.strictEqual(lineOf(double, '$$cap_double_version'), '          defaultValue: "v0.3.4"');
+    });
+
+    it('quotes values that would not be read back as the same text', function () {
+        const updated = updateDefaultValue(template, '$$cap_number_version', '1.10');
+
+        assert.strictEqual(lineOf(updated, '$$cap_number_version'), "          defaultValue: '1.10'");
+        assert.strictEqual(yaml.parse(updated).caproverOneClickApp.variables[3].defaultValue, '1.10');
+        assert.strictEqual(lineOf(updateDefaultValue(template, '$$cap_number_version', '2.0-rc1'), '$$cap_number_version'),
+            '          defaultValue: 2.0-rc1');
+    });
+
+    it('throws for variables without a defaultValue', function () {
+        assert.throws(() => updateDefaultValue(template, '$$cap_no_default', '1.0'), /\$\$cap_no_default has no defaultValue that can be updated/);
+        assert.throws(() => updateDefaultValue(template, '$$cap_missing', '1.0'), /\$\$cap_missing has no defaultValue/);
+    });
+});
+
+describe('check_image_updates with a recorded fixture', function () {
+    const content = yaml.parse(fs.readFileSync(path.join(pathOfFixtures, 'app.yml'), 'utf-8'));
+    const variables = findVersionVariables(content);
+
+    function updatesOf(source) {
+        return Promise.all(variables.map(variable => {
+            return Promise.all(variable.images.map(image => source.tagsOf(image)))
+                .then(function (tagsOfImages) {
+                    const updates = findUpdates(variable, image => tagsOfImages[variable.images.indexOf(image)]);
+                    return [variable.id, updates.compatible, updates.latest];
+                }, function (err) {
+                    return [variable.id, err.message];
+                });
+        }));
+    }
+
+    it('finds the version variables and their repositories', function () {
+        assert.deepStrictEqual(variables.map(v => [v.id, v.defaultValue].concat(v.images.map(i => `${i.registry}/${i.repository}`))), [
+            ['$$cap_wp_version', '6.4.3', 'docker.io/library/wordpress'],
+            ['$$cap_postgres_version', '16.2-alpine', 'docker.io/library/postgres'],
+            ['$$cap_zammad_version', '6.2.0-1', 'docker.io/zammad/zammad-docker-compose', 'docker.io/zammad/zammad-docker-compose'],
+            ['$$cap_worker_version', 'v0.3.1', 'ghcr.io/example/worker'],
+            ['$$cap_api_version', '1.9', 'docker.io/example/api'],
+            ['$$cap_redis_version', '7.2', 'docker.io/library/redis'],
+        ]);
+        assert.deepStrictEqual(variables[2].images.map(i => i.tagPrefix), ['zammad-elasticsearch-', 'zammad-postgresql-']);
+    });
+
+    it('finds the updates without any network access', async function () {
+        const source = createTagSource({ fixture: readFixture(path.join(pathOfFixtures, 'tags.json')) });
+
+        assert.deepStrictEqual(await updatesOf(source), [
+            ['$$cap_wp_version', '6.5.2', '6.5.2'],
+            ['$$cap_postgres_version', '16.10-alpine', '17.0-alpine'],
+            // 6.4.0-1 only has a postgresql image, so it is not an update of both
+            ['$$cap_zammad_version', '6.3.0-1', '7.0.0-1'],
+            ['$$cap_worker_version', 'v0.3.4', 'v0.4.0'],
+            ['$$cap_api_version', '1.10', '2.0'],
+            ['$$cap_redis_version', 'docker.io/library/redis is not in the fixture'],
+        ]);
+    });
+
+    it('records what it read in the format of the fixture', async function () {
+        const fixture = readFixture(path.join(pathOfFixtures, 'tags.json'));
+        const source = createTagSource({ fixture: fixture });
+        await updatesOf(source);
+
+        assert.deepStrictEqual(await source.recorded(), fixture);
+    });
+});
@@ -0,0 +1,65 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { lifecycleOf, analyzeLifecycle } = require('../lib/lifecycle');
+
+function app(caproverOneClickApp) {
+    return { captainVersion: 4, services: {}, caproverOneClickApp: caproverOneClickApp };
+}
+
+const APPS = {
+    'vaultwarden': app({}),
+    'bitwarden': app({ deprecated: 'Use vaultwarden', replacedBy: 'vaultwarden' }),
+    'bitwarden-rs': app({ deprecated: 'Use bitwarden', replacedBy: 'bitwarden' }),
+    'old-mongo': app({ deprecated: 'No longer maintained' }),
+    'internal': app({ hidden: true }),
+};
+
+const LIFECYCLES = {};
+Object.keys(APPS).forEach(name => (LIFECYCLES[name] = lifecycleOf(APPS[name])));
+
+function messagesOf(appName, content) {
+    return analyzeLifecycle(appName, content, Object.keys(APPS), LIFECYCLES).map(f => `${f.path.join('.')} ${f.message}`);
+}
+
+describe('lifecycleOf', function () {
+    it('reads deprecated, replacedBy and hidden', function () {
+        assert.deepStrictEqual(lifecycleOf(APPS.bitwarden),
+            { deprecated: true, deprecationReason: 'Use vaultwarden', replacedBy: 'vaultwarden', hidden: false });
+        assert.deepStrictEqual(lifecycleOf(app({ deprecated: '  ', hidden: 'True' })),
+            { deprecated: false, deprecationReason: undefined, replacedBy: undefined, hidden: true });
+        assert.deepStrictEqual(lifecycleOf(undefined), { deprecated: false, deprecationReason: undefined, replacedBy: undefined, hidden: false });
+    });
+});
+
+describe('analyzeLifecycle', function () {
+    it('accepts a deprecated app that is replaced by a listed app, and apps without a replacement', function () {
+        assert.deepStrictEqual(messagesOf('bitwarden', APPS.bitwarden), []);
+        assert.deepStrictEqual(messagesOf('old-mongo', APPS['old-mongo']), []);
+        assert.deepStrictEqual(messagesOf('internal', APPS.internal), []);
+    });
+
+    it('requires a replaced app to be deprecated', function () {
+        assert.deepStrictEqual(messagesOf('mongo', app({ replacedBy: 'vaultwarden' })), [
+            'caproverOneClickApp.replacedBy an app with a replacement is deprecated, add "deprecated: <reason>" next to replacedBy: vaultwarden',
+        ]);
+    });
+
+    it('reports replacements that are the app itself or do not exist', function () {
+        assert.deepStrictEqual(messagesOf('vaultwarden', app({ deprecated: 'x', replacedBy: 'vaultwarden' })),
+            ['caproverOneClickApp.replacedBy an app cannot replace itself']);
+        assert.deepStrictEqual(messagesOf('mongo', app({ deprecated: 'x', replacedBy: 'ferretdb' })),
+            ['caproverOneClickApp.replacedBy replacedBy names the app ferretdb, which does not exist']);
+    });
+
+    it('reports replacements that are hidden or deprecated themselves', function () {
+        assert.deepStrictEqual(messagesOf('bitwarden-rs', APPS['bitwarden-rs']), [
+            'caproverOneClickApp.replacedBy replacedBy names the app bitwarden, which is deprecated itself, name its replacement vaultwarden instead',
+        ]);
+        assert.deepStrictEqual(messagesOf('mongo', app({ deprecated: 'x', replacedBy: 'old-mongo' })),
+            ['caproverOneClickApp.replacedBy replacedBy names the app old-mongo, which is deprecated itself']);
+        assert.deepStrictEqual(messagesOf('mongo', app({ deprecated: 'x', replacedBy: 'internal' })), [
+            'caproverOneClickApp.replacedBy replacedBy names the app internal, which is hidden from the lists, name an app that users can find',
+        ]);
+    });
+});
@@ -0,0 +1,103 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { encodePng, readPngHeader, decodePng } = require('../lib/png');
+const { fitIntoSquare, createThumbnails } = require('../lib/logos');
+
+function solid(width, height, rgba) {
+    const data = Buffer.alloc(width * height * 4);
+    for (var i = 0; i < width * height; i++) {
+        data.set(rgba, i * 4);
+    }
+    return { width: width, height: height, data: data };
+}
+
+function pixelAt(image, x, y) {
+    return Array.from(image.data.subarray((y * image.width + x) * 4, (y * image.width + x) * 4 + 4));
+}
+
+/**
+ * The rows and columns that have a pixel that is not fully transparent
+ */
+function opaqueBox(image) {
+    const box = { left: image.width, top: image.height, right: -1, bottom: -1 };
+    for (var y = 0; y < image.height; y++) {
+        for (var x = 0; x < image.width; x++) {
+            if (pixelAt(image, x, y)[3] > 0) {
+                box.left = Math.min(box.left, x);
+                box.top = Math.min(box.top, y);
+                box.right = Math.max(box.right, x);
+                box.bottom = Math.max(box.bottom, y);
+            }
+        }
+    }
+    return box;
+}
+
+describe('fitIntoSquare', function () {
+    const red = [200, 30, 40, 255];
+
+    it('centers a wide image vertically', function () {
+        const square = fitIntoSquare(solid(40, 10, red), 16);
+
+        assert.strictEqual(square.width, 16);
+        assert.strictEqual(square.height, 16);
+        assert.strictEqual(square.data.length, 16 * 16 * 4);
+        assert.deepStrictEqual(opaqueBox(square), { left: 0, top: 6, right: 15, bottom: 9 });
+        assert.deepStrictEqual(pixelAt(square, 8, 7), red);
+        assert.deepStrictEqual(pixelAt(square, 8, 0), [0, 0, 0, 0]);
+    });
+
+    it('centers a tall image horizontally', function () {
+        const square = fitIntoSquare(solid(3, 9, red), 6);
+
+        assert.deepStrictEqual(opaqueBox(square), { left: 2, top: 0, right: 3, bottom: 5 });
+        assert.deepStrictEqual(pixelAt(square, 2, 3), red);
+    });
+
+    it('scales small images up', function () {
+        const square = fitIntoSquare(solid(2, 1, red), 8);
+
+        assert.deepStrictEqual(opaqueBox(square), { left: 0, top: 2, right: 7, bottom: 5 });
+        assert.deepStrictEqual(pixelAt(square, 7, 5), red);
+    });
+
+    it('averages with premultiplied alpha, transparent pixels do not change the color', function () {
+        const image = solid(2, 2, red);
+        image.data.set([0, 255, 0, 0], 4);
+        image.data.set([0, 255, 0, 0], 12);
+
+        const square = fitIntoSquare(image, 1);
+
+        assert.deepStrictEqual(pixelAt(square, 0, 0), [200, 30, 40, 128]);
+    });
+
+    it('averages the covered pixels by their overlap', function () {
+        // 3 pixels into 2: the middle one counts half for each
+        const image = solid(3, 1, [0, 0, 0, 255]);
+        image.data.set([255, 255, 255, 255], 4);
+
+        const square = fitIntoSquare(image, 2);
+
+        assert.deepStrictEqual(opaqueBox(square), { left: 0, top: 0, right: 1, bottom: 0 });
+        assert.deepStrictEqual(pixelAt(square, 0, 0), [85, 85, 85, 255]);
+        assert.deepStrictEqual(pixelAt(square, 1, 0), [85, 85, 85, 255]);
+    });
+});
+
+describe('createThumbnails', function () {
+    it('writes a square PNG in every size', function () {
+        const thumbnails = createThumbnails(encodePng(solid(30, 12, [1, 2, 3, 255])), [8, 16]);
+
+        assert.deepStrictEqual(thumbnails.map(t => t.size), [8, 16]);
+        thumbnails.forEach(thumbnail => {
+            const header = readPngHeader(thumbnail.content);
+            assert.deepStrictEqual([header.width, header.height], [thumbnail.size, thumbnail.size]);
+        });
+        assert.deepStrictEqual(opaqueBox(decodePng(thumbnails[1].content)), { left: 0, top: 5, right: 15, bottom: 10 });
+    });
+
+    it('throws for logos that are not PNGs', function () {
+        assert.throws(() => createThumbnails(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), [64]), /the file is a JPEG image/);
+    });
+});
@@ -0,0 +1,118 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const migrations = require('../migrations');
+const { checkRegistry, pendingMigrations, migrateTemplate } = require('../lib/migrations');
+const { createYamlEditor } = require('../lib/yaml_edit');
+
+// Every migration has fixtures/migrations/<id>/apps/<case>.before.yml and <case>.after.yml, and fragments/
+// the same way if it migrates fragments
+const pathOfFixtures = path.join(__dirname, 'fixtures', 'migrations');
+
+const KINDS = [
+    { kind: 'app', directory: 'apps', functionName: 'migrateApp' },
+    { kind: 'fragment', directory: 'fragments', functionName: 'migrateFragment' },
+];
+
+function casesOf(directory) {
+    return (fs.existsSync(directory) ? fs.readdirSync(directory) : [])
+        .filter(fileName => fileName.endsWith('.before.yml'))
+        .map(fileName => fileName.replace(/\.before\.yml$/, ''));
+}
+
+describe('migrations', function () {
+    migrations.forEach(migration => {
+        describe(migration.id, function () {
+            KINDS.filter(kind => typeof migration[kind.functionName] === 'function').forEach(kind => {
+                const directory = path.join(pathOfFixtures, migration.id, kind.directory);
+
+                it(`has fixtures for its ${kind.directory}`, function () {
+                    assert.ok(casesOf(directory).length > 0, `add ${path.relative(__dirname, directory)}/<case>.before.yml and .after.yml`);
+                });
+
+                casesOf(directory).forEach(name => {
+                    it(`${kind.directory}/${name}`, function () {
+                        const file = { kind: kind.kind, name: name, filePath: path.join(directory, `${name}.before.yml`) };
+                        const before = fs.readFileSync(file.filePath, 'utf-8');
+                        const after = fs.readFileSync(path.join(directory, `${name}.after.yml`), 'utf-8');
+
+                        assert.strictEqual(migrateTemplate(before, [migration], file).content, after);
+                        assert.strictEqual(migrateTemplate(after, [migration], file).content, after, 'running it again must not change anything');
+                    });
+                });
+            });
+        });
+    });
+
+    it('runs the migrations that have not been applied, in order', function () {
+        const registry = checkRegistry([
+            { id: '0001-first', description: 'first', migrateApp: () => {} },
+            { id: '0002-second', description: 'second', migrateApp: () => {} },
+        ]);
+        const source = { path: '/sources/official' };
+
+        assert.deepStrictEqual(pendingMigrations(registry, ['0001-first'], source).map(m => m.id), ['0002-second']);
+        assert.throws(() => pendingMigrations(registry, ['0002-second'], source), /0001-first comes before 0002-second/);
+        assert.throws(() => pendingMigrations(registry, ['0001-gone'], source), /0001-gone has been applied, but it is not in/);
+        assert.throws(() => checkRegistry(registry.slice().reverse()), /listed in the order of their ids/);
+    });
+});
+
+describe('createYamlEditor', function () {
+    const template = [
+        '# the app',
+        'services:',
+        '    $$cap_appname:',
+        '        image: nginx:1.25 # pinned',
+        '        # published ports',
+        '        ports:',
+        "            - '80:80'",
+        'caproverOneClickApp:',
+        '    variables:',
+        '        - id: $$cap_a',
+        '          label: A',
+        '        - id: $$cap_b',
+        '          label: B',
+        '',
+    ].join('\n');
+
+    it('replaces scalars in place, with their quotes and comments', function () {
+        const editor = createYamlEditor(template);
+        editor.set(['services', '$$cap_appname', 'image'], 'nginx:1.27');
+        editor.set(['services', '$$cap_appname', 'ports', 0], '8080:80');
+
+        assert.strictEqual(editor.toString(), template.replace('nginx:1.25', 'nginx:1.27').replace("'80:80'", "'8080:80'"));
+    });
+
+    // quotes are those of yaml.stringify(), migrateTemplate() runs prettier afterwards
+    it('adds keys at the end of their map, with the maps above them', function () {
+        const editor = createYamlEditor(template);
+        editor.set(['services', '$$cap_appname', 'caproverExtra', 'containerHttpPort'], '8080');
+
+        assert.strictEqual(editor.toString(), template.replace("            - '80:80'\n",
+            "            - '80:80'\n        caproverExtra:\n            containerHttpPort: \"8080\"\n"));
+        assert.deepStrictEqual(editor.get(['services', '$$cap_appname', 'caproverExtra']), { containerHttpPort: '8080' });
+    });
+
+    it('renames and removes keys with the comments above them', function () {
+        const editor = createYamlEditor(template);
+        editor.rename(['services', '$$cap_appname'], '$$cap_appname-web');
+        editor.remove(['services', '$$cap_appname-web', 'ports']);
+        editor.remove(['caproverOneClickApp', 'variables', 0, 'id']);
+        editor.remove(['caproverOneClickApp', 'variables', 1]);
+        editor.remove(['services', '$$cap_appname-web', 'missing']);
+
+        assert.strictEqual(editor.toString(), template
+            .replace('    $$cap_appname:', () => '    $$cap_appname-web:')
+            .replace("        # published ports\n        ports:\n            - '80:80'\n", '')
+            .replace('        - id: $$cap_a\n          label: A\n', '        - label: A\n')
+            .replace('        - id: $$cap_b\n          label: B\n', ''));
+    });
+
+    it('refuses to edit flow collections', function () {
+        const editor = createYamlEditor('services:\n    app: { image: nginx }\n');
+        assert.throws(() => editor.set(['services', 'app', 'command'], 'run'), /services\.app: cannot set command in a flow map/);
+    });
+});
@@ -0,0 +1,168 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const zlib = require('zlib');
+const { PNG_SIGNATURE, crc32, decodePng, encodePng, readPngHeader } = require('../lib/png');
+
+// PNGs that encodePng() never writes, put together chunk by chunk
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+function headerChunk(width, height, bitDepth, colorType, interlaced) {
+    const data = Buffer.alloc(13);
+    data.writeUInt32BE(width, 0);
+    data.writeUInt32BE(height, 4);
+    data[8] = bitDepth;
+    data[9] = colorType;
+    data[12] = interlaced ? 1 : 0;
+    return chunk('IHDR', data);
+}
+
+function pngOf(chunks) {
+    return Buffer.concat([PNG_SIGNATURE].concat(chunks).concat([chunk('IEND', Buffer.alloc(0))]));
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Filters the rows of one (sub)image, row y with filter type y % 5, so that every filter is decoded
+ */
+function filterRows(rows, bytesPerPixel) {
+    return Buffer.concat(rows.map((row, y) => {
+        const filterType = y % 5;
+        const previous = y > 0 ? rows[y - 1] : Buffer.alloc(row.length);
+        const filtered = Buffer.alloc(row.length + 1);
+        filtered[0] = filterType;
+        for (var x = 0; x < row.length; x++) {
+            const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+            const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+            const predictor = [0, left, previous[x], (left + previous[x]) >> 1, paeth(left, previous[x], upLeft)][filterType];
+            filtered[x + 1] = (row[x] - predictor) & 0xff;
+        }
+        return filtered;
+    }));
+}
+
+/**
+ * An RGBA image where every pixel differs, with some transparency
+ */
+function gradient(width, height) {
+    const data = Buffer.alloc(width * height * 4);
+    for (var i = 0; i < width * height; i++) {
+        data[i * 4] = (i * 37) & 0xff;
+        data[i * 4 + 1] = (i * 91 + 13) & 0xff;
+        data[i * 4 + 2] = 255 - ((i * 53) & 0xff);
+        data[i * 4 + 3] = i % 3 === 0 ? 128 : 255;
+    }
+    return { width: width, height: height, data: data };
+}
+
+describe('readPngHeader', function () {
+    const png = encodePng(gradient(3, 2));
+
+    it('reads the dimensions and the pixel format', function () {
+        assert.deepStrictEqual(readPngHeader(png), { width: 3, height: 2, bitDepth: 8, colorType: 6, interlaced: false });
+    });
+
+    it('rejects files without the PNG signature', function () {
+        assert.throws(() => readPngHeader(Buffer.from('GIF89a and more')), /not a PNG, the file is a GIF image/);
+        assert.throws(() => readPngHeader(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10])), /not a PNG, the file is a JPEG image/);
+        assert.throws(() => readPngHeader(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), /not a PNG, the file is an SVG image/);
+        assert.throws(() => readPngHeader(Buffer.from('hello, world')), /not a PNG, the PNG signature is missing/);
+        assert.throws(() => readPngHeader(PNG_SIGNATURE.subarray(0, 4)), /the PNG signature is missing/);
+    });
+
+    it('rejects truncated files', function () {
+        assert.throws(() => readPngHeader(png.subarray(0, PNG_SIGNATURE.length + 6)), /the PNG is truncated$/);
+        assert.throws(() => readPngHeader(png.subarray(0, PNG_SIGNATURE.length + 20)), /the PNG is truncated in its IHDR chunk/);
+        assert.throws(() => readPngHeader(PNG_SIGNATURE), /the PNG does not start with an IHDR chunk/);
+    });
+
+    it('rejects invalid headers', function () {
+        assert.throws(() => readPngHeader(pngOf([headerChunk(0, 5, 8, 6)])), /the PNG is 0x5 pixels/);
+        assert.throws(() => readPngHeader(pngOf([headerChunk(5, 5, 4, 2)])), /invalid color type 2 with bit depth 4/);
+    });
+});
+
+describe('decodePng', function () {
+    it('decodes what encodePng writes', function () {
+        const image = gradient(7, 5);
+        assert.deepStrictEqual(decodePng(encodePng(image)), image);
+    });
+
+    it('decodes palette images with transparency and every filter type', function () {
+        // 2 bits per pixel, 5 pixels per row, so the rows do not end on a byte
+        const palette = Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 10, 20, 30]);
+        const transparency = Buffer.from([255, 0, 100]);
+        const indexes = [[0, 1, 2, 3, 0], [3, 2, 1, 0, 3], [1, 1, 2, 2, 3], [0, 3, 0, 3, 0], [2, 0, 1, 3, 2], [3, 3, 3, 3, 1]];
+        const rows = indexes.map(row => {
+            const bytes = Buffer.alloc(2);
+            row.forEach((index, x) => (bytes[x >> 2] |= index << (6 - (x & 3) * 2)));
+            return bytes;
+        });
+        const png = pngOf([
+            headerChunk(5, 6, 2, 3),
+            chunk('PLTE', palette),
+            chunk('tRNS', transparency),
+            chunk('IDAT', zlib.deflateSync(filterRows(rows, 1))),
+        ]);
+
+        const decoded = decodePng(png);
+
+        const expected = Buffer.alloc(5 * 6 * 4);
+        indexes.forEach((row, y) => row.forEach((index, x) => {
+            palette.copy(expected, (y * 5 + x) * 4, index * 3, index * 3 + 3);
+            expected[(y * 5 + x) * 4 + 3] = index < transparency.length ? transparency[index] : 255;
+        }));
+        assert.deepStrictEqual(decoded, { width: 5, height: 6, data: expected });
+        assert.deepStrictEqual(decodePng(encodePng(decoded)), decoded);
+    });
+
+    it('decodes Adam7 interlaced images', function () {
+        // 11x9 pixels, so that every pass has pixels and some have partial rows
+        const image = gradient(11, 9);
+        const passes = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+        const data = Buffer.concat(passes.map(pass => {
+            const rows = [];
+            for (var y = pass[1]; y < image.height; y += pass[3]) {
+                const row = [];
+                for (var x = pass[0]; x < image.width; x += pass[2]) {
+                    row.push(image.data.subarray((y * image.width + x) * 4, (y * image.width + x) * 4 + 4));
+                }
+                if (row.length > 0) {
+                    rows.push(Buffer.concat(row));
+                }
+            }
+            return filterRows(rows, 4);
+        }));
+        const png = pngOf([headerChunk(11, 9, 8, 6, true), chunk('IDAT', zlib.deflateSync(data))]);
+
+        const decoded = decodePng(png);
+
+        assert.strictEqual(readPngHeader(png).interlaced, true);
+        assert.deepStrictEqual(decoded, image);
+        assert.deepStrictEqual(decodePng(encodePng(decoded)), image);
+    });
+
+    it('rejects broken image data', function () {
+        assert.throws(() => decodePng(pngOf([headerChunk(2, 2, 8, 3), chunk('IDAT', zlib.deflateSync(Buffer.alloc(6)))])),
+            /palette color type but no PLTE chunk/);
+        assert.throws(() => decodePng(pngOf([headerChunk(2, 2, 8, 6), chunk('IDAT', Buffer.from('not deflated'))])),
+            /the image data of the PNG is corrupt/);
+        assert.throws(() => decodePng(pngOf([headerChunk(2, 2, 8, 6), chunk('IDAT', zlib.deflateSync(Buffer.alloc(9)))])),
+            /less image data than its dimensions need/);
+    });
+});
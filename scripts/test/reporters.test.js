@@ -0,0 +1,137 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { REPORTERS, summarize } = require('../lib/reporters');
+
+const RULES = {
+    'image-tags': 'Images are pinned to a version',
+    'security/host-port': 'Services that publish host ports',
+    'orphan-logo': 'Every logo belongs to an app',
+};
+
+const result = {
+    targets: [
+        { kind: 'app', name: 'wiki', file: 'public/v4/apps/wiki.yml' },
+        { kind: 'app', name: 'blog', file: 'public/v4/apps/blog.yml' },
+        { kind: 'app', name: 'shop', file: 'public/v4/apps/shop.yml' },
+        { kind: 'logo', name: 'gone.png', file: 'public/v4/logos/gone.png' },
+    ],
+    findings: [{
+        rule: 'image-tags',
+        severity: 'error',
+        app: 'wiki',
+        target: 'public/v4/apps/wiki.yml',
+        file: 'public/v4/apps/wiki.yml',
+        line: 4,
+        column: 16,
+        path: 'services.$$cap_appname.image',
+        message: 'wiki:latest has the tag <latest> & is not pinned',
+    }, {
+        rule: 'security/host-port',
+        severity: 'warning',
+        app: 'wiki',
+        target: 'public/v4/apps/wiki.yml',
+        file: 'public/v4/apps/wiki.yml',
+        line: 6,
+        column: 9,
+        path: 'services.$$cap_appname.ports',
+        message: 'publishes port 80',
+    }, {
+        rule: 'security/host-port',
+        severity: 'warning',
+        app: 'blog',
+        target: 'public/v4/apps/blog.yml',
+        file: 'public/v4/apps/blog.yml',
+        line: 5,
+        column: 9,
+        path: 'services.$$cap_appname.ports',
+        message: 'publishes port 2368',
+        suppressed: { kind: 'inSource', reason: 'the admin port' },
+    }, {
+        rule: 'orphan-logo',
+        severity: 'warning',
+        app: undefined,
+        target: 'public/v4/logos/gone.png',
+        file: 'public/v4/logos/gone.png',
+        path: '(root)',
+        message: 'there is no app for this logo',
+    }],
+};
+
+describe('summarize', function () {
+    it('counts the findings that are not suppressed and the targets with errors', function () {
+        assert.deepStrictEqual(summarize(result), { errors: 1, warnings: 2, suppressed: 1, targets: 4, failedTargets: 1 });
+    });
+});
+
+describe('REPORTERS', function () {
+    it('text lists the findings of each target and the summary', function () {
+        assert.strictEqual(REPORTERS.text(result, RULES), [
+            'Invalid wiki - 1 error(s), 1 warning(s):',
+            '    public/v4/apps/wiki.yml:4:16  error  image-tags  services.$$cap_appname.image  wiki:latest has the tag <latest> & is not pinned',
+            '    public/v4/apps/wiki.yml:6:9  warning  security/host-port  services.$$cap_appname.ports  publishes port 80',
+            'gone.png - 1 warning(s):',
+            '    public/v4/logos/gone.png  warning  orphan-logo  (root)  there is no app for this logo',
+            '',
+            'Validated 3 app(s) and 1 logo(s): 1 error(s), 2 warning(s), 1 suppressed.',
+            '',
+        ].join('\n'));
+    });
+
+    it('json has the summary, the targets and every finding', function () {
+        const json = JSON.parse(REPORTERS.json(result, RULES));
+
+        assert.deepStrictEqual(Object.keys(json), ['summary', 'targets', 'findings']);
+        assert.deepStrictEqual(json.summary, summarize(result));
+        assert.strictEqual(json.findings.length, 4);
+    });
+
+    it('sarif has the rules, and a result with location and suppression for every finding', function () {
+        const sarif = JSON.parse(REPORTERS.sarif(result, RULES));
+
+        assert.strictEqual(sarif.version, '2.1.0');
+        assert.strictEqual(sarif.runs.length, 1);
+        assert.deepStrictEqual(sarif.runs[0].tool.driver.rules.map(rule => [rule.id, rule.shortDescription.text]),
+            Object.keys(RULES).map(id => [id, RULES[id]]));
+        assert.deepStrictEqual(sarif.runs[0].results[0], {
+            ruleId: 'image-tags',
+            ruleIndex: 0,
+            level: 'error',
+            message: { text: 'wiki:latest has the tag <latest> & is not pinned' },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: 'public/v4/apps/wiki.yml' },
+                    region: { startLine: 4, startColumn: 16 },
+                },
+                logicalLocations: [{ fullyQualifiedName: 'services.$$cap_appname.image' }],
+            }],
+        });
+        assert.deepStrictEqual(sarif.runs[0].results[2].suppressions, [{ kind: 'inSource', justification: 'the admin port' }]);
+        assert.deepStrictEqual(sarif.runs[0].results[3].locations,
+            [{ physicalLocation: { artifactLocation: { uri: 'public/v4/logos/gone.png' } } }]);
+        assert.deepStrictEqual(sarif.runs[0].results.map(r => [r.ruleIndex, r.level]), [[0, 'error'], [1, 'warning'], [1, 'warning'], [2, 'warning']]);
+    });
+
+    it('junit has a test case per target, errors fail it and warnings are its output', function () {
+        assert.strictEqual(REPORTERS.junit(result, RULES), [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<testsuites name="validate_apps" tests="4" failures="1">',
+            '  <testsuite name="apps" tests="3" failures="1">',
+            '    <testcase classname="apps" name="wiki" file="public/v4/apps/wiki.yml">',
+            '      <failure message="1 error(s)" type="error">public/v4/apps/wiki.yml:4:16  error  image-tags  ' +
+                'services.$$cap_appname.image  wiki:latest has the tag &lt;latest&gt; &amp; is not pinned</failure>',
+            '      <system-out>public/v4/apps/wiki.yml:6:9  warning  security/host-port  services.$$cap_appname.ports  publishes port 80</system-out>',
+            '    </testcase>',
+            '    <testcase classname="apps" name="blog" file="public/v4/apps/blog.yml"/>',
+            '    <testcase classname="apps" name="shop" file="public/v4/apps/shop.yml"/>',
+            '  </testsuite>',
+            '  <testsuite name="logos" tests="1" failures="0">',
+            '    <testcase classname="logos" name="gone.png" file="public/v4/logos/gone.png">',
+            '      <system-out>public/v4/logos/gone.png  warning  orphan-logo  (root)  there is no app for this logo</system-out>',
+            '    </testcase>',
+            '  </testsuite>',
+            '</testsuites>',
+            '',
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,122 @@
+/*jshint esversion: 8 */
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { V2_SOURCE, readSources, collectFiles, collectSourceFiles, collectApps, findApp } = require('../lib/sources');
+
+describe('sources', function () {
+    let root;
+
+    function writeFiles(sourceName, files) {
+        files.forEach(file => fs.outputFileSync(path.join(root, sourceName, file), ''));
+    }
+
+    function sourcesOf(sources) {
+        const pathOfConfig = path.join(root, 'sources.json');
+        fs.outputJsonSync(pathOfConfig, { sources: sources });
+        return readSources(pathOfConfig);
+    }
+
+    function source(name, extra) {
+        return Object.assign({ name: name, path: path.join(root, name) }, extra);
+    }
+
+    function published(files) {
+        return files.map(f => `${f.fileName} ${f.source}${f.overridden.length > 0 ? ` (${f.overridden.join(', ')})` : ''}`);
+    }
+
+    before(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'one-click-apps-sources-'));
+        writeFiles('official', ['apps/wiki.yml', 'apps/blog.yml', 'logos/wiki.png', 'logos/blog.png', 'fragments/postgres.yml']);
+        writeFiles('acme', ['apps/wiki.yml', 'apps/crm.yml', 'logos/wiki.png', 'fragments/postgres.yml']);
+        writeFiles('local', ['apps/wiki.yml', 'logos/wiki.png', 'fragments/ldap.yml']);
+        writeFiles('legacy', ['apps/blog.json', 'logos/blog.png']);
+    });
+
+    after(function () {
+        fs.removeSync(root);
+    });
+
+    describe('readSources', function () {
+        it('resolves the paths and defaults of every source', function () {
+            const sources = sourcesOf([source('official'), { name: 'acme', path: path.join(root, 'acme'), prefix: 'acme-', overrides: true }]);
+
+            assert.deepStrictEqual(sources.map(s => [s.name, s.prefix, s.overrides]), [['official', '', false], ['acme', 'acme-', true]]);
+            assert.strictEqual(sources[1].pathOfApps, path.join(root, 'acme', 'apps'));
+            assert.strictEqual(sources[1].pathOfFragments, path.join(root, 'acme', 'fragments'));
+        });
+
+        it('rejects invalid configurations', function () {
+            const fails = (sources, message) => assert.throws(() => sourcesOf(sources), message);
+
+            fails([], /"sources" must be a list with at least one source/);
+            fails([source('official', { url: 'x' })], /sources\[0\] has the unknown key "url"/);
+            fails([source('Official')], /sources\[0\] needs a "name" of lower case letters/);
+            fails([source('official'), source('official')], /there is more than one source named "official"/);
+            fails([source('acme', { prefix: 'Acme-' })], /the prefix of source "acme" may only have lower case letters/);
+            fails([source('missing')], /source "missing" has no apps directory/);
+        });
+
+        it('reserves the name of the public/v2 source', function () {
+            assert.throws(() => sourcesOf([source('official'), { name: 'public-v2', path: path.join(root, 'legacy') }]),
+                /the source name "public-v2" is reserved for the apps of public\/v2/);
+        });
+    });
+
+    describe('collectFiles', function () {
+        it('publishes the apps and logos of a source with its prefix', function () {
+            const sources = sourcesOf([source('official'), source('acme', { prefix: 'acme-' })]);
+
+            assert.deepStrictEqual(published(collectFiles(sources, 'apps', true)),
+                ['acme-crm.yml acme', 'acme-wiki.yml acme', 'blog.yml official', 'wiki.yml official']);
+            assert.deepStrictEqual(published(collectFiles(sources, 'logos', true)),
+                ['acme-wiki.png acme', 'blog.png official', 'wiki.png official']);
+            assert.deepStrictEqual(collectApps(sources).map(app => [app.name, app.sourceFileName]),
+                [['acme-crm', 'crm.yml'], ['acme-wiki', 'wiki.yml'], ['blog', 'blog.yml'], ['wiki', 'wiki.yml']]);
+            assert.strictEqual(findApp(collectApps(sources), 'acme-wiki').filePath, path.join(root, 'acme', 'apps', 'wiki.yml'));
+            assert.throws(() => findApp(collectApps(sources), 'crm'), /Cannot find the app crm in the sources: acme, official/);
+        });
+
+        it('fails on the same name in two sources, unless the later one overrides', function () {
+            assert.throws(() => collectFiles(sourcesOf([source('official'), source('local')]), 'apps', true),
+                /apps\/wiki exists in the sources "official" \(.*\) and "local" \(.*\)\. Give one of them a "prefix", or set "overrides": true on "local"/);
+
+            const sources = sourcesOf([source('official'), source('acme', { prefix: 'acme-' }), source('local', { overrides: true })]);
+            assert.deepStrictEqual(published(collectFiles(sources, 'apps', true)),
+                ['acme-crm.yml acme', 'acme-wiki.yml acme', 'blog.yml official', 'wiki.yml local (official)']);
+            assert.deepStrictEqual(published(collectFiles(sources, 'logos', true)),
+                ['acme-wiki.png acme', 'blog.png official', 'wiki.png local (official)']);
+        });
+
+        it('shares the fragments of every source without a prefix, and fails on the same name even with overrides', function () {
+            assert.deepStrictEqual(published(collectFiles(sourcesOf([source('official'), source('local')]), 'fragments', false)),
+                ['ldap.yml local', 'postgres.yml official']);
+
+            [{ prefix: 'acme-' }, { prefix: 'acme-', overrides: true }].forEach(extra => {
+                assert.throws(() => collectFiles(sourcesOf([source('official'), source('acme', extra)]), 'fragments', false),
+                    /fragments\/postgres\.yml exists in the sources "official" \(.*\) and "acme" \(.*\)\. .*give the one of "acme" another name/);
+            });
+        });
+
+        it('compares the json apps of public/v2 with the yml apps of the other sources', function () {
+            const legacy = Object.assign({}, V2_SOURCE, {
+                pathOfApps: path.join(root, 'legacy', 'apps'),
+                pathOfLogos: path.join(root, 'legacy', 'logos'),
+                pathOfFragments: path.join(root, 'legacy', 'fragments'),
+            });
+
+            assert.throws(() => collectFiles([legacy].concat(sourcesOf([source('official')])), 'apps', true),
+                /apps\/blog exists in the sources "public-v2" \(.*\) and "official"/);
+            assert.deepStrictEqual(published(collectFiles([legacy].concat(sourcesOf([source('official', { overrides: true })])), 'apps', true)),
+                ['blog.yml official (public-v2)', 'wiki.yml official']);
+        });
+
+        it('leaves out the files of public/v2 in collectSourceFiles', function () {
+            const files = collectSourceFiles(sourcesOf([source('official')]), 'apps', true);
+
+            assert.deepStrictEqual(published(files), ['blog.yml official', 'wiki.yml official']);
+        });
+    });
+});
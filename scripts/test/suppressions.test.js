@@ -0,0 +1,117 @@
+/*jshint esversion: 8 */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { ruleMatches, findInlineSuppressions, applySuppressions } = require('../lib/suppressions');
+
+const RULE_IDS = ['image-tags', 'security/host-port', 'security/docker-socket', 'lifecycle'];
+
+function finding(app, rule, severity) {
+    return { rule: rule, severity: severity || 'error', app: app, target: `${app}.yml`, file: `${app}.yml`, path: '(root)', message: rule };
+}
+
+function external(app, rules, reason) {
+    return { app: app, rules: rules, reason: reason, kind: 'external', file: 'validation_suppressions.json', line: undefined };
+}
+
+function suppressedOf(findings) {
+    return findings.filter(f => f.rule !== 'suppression').map(f => `${f.app} ${f.rule} ${f.suppressed ? f.suppressed.reason : '-'}`);
+}
+
+function reportsOf(findings) {
+    return findings.filter(f => f.rule === 'suppression').map(f => `${f.severity} ${f.file}${f.line ? `:${f.line}` : ''} ${f.message}`);
+}
+
+describe('ruleMatches', function () {
+    it('matches a rule and, with its prefix, every rule of a group', function () {
+        assert.ok(ruleMatches('image-tags', 'image-tags'));
+        assert.ok(ruleMatches('security', 'security/host-port'));
+        assert.ok(!ruleMatches('security/host', 'security/host-port'));
+        assert.ok(!ruleMatches('image', 'image-tags'));
+    });
+});
+
+describe('findInlineSuppressions', function () {
+    it('reads the rules, the reason and the line of every comment', function () {
+        const contentString = [
+            'captainVersion: 4',
+            '# validate_apps: ignore security/docker-socket, security/host-port -- managing containers is what it is for',
+            'services:',
+            '    #validate_apps: ignore image-tags',
+            '',
+        ].join('\n');
+
+        assert.deepStrictEqual(findInlineSuppressions('portainer', 'portainer.yml', contentString), [{
+            app: 'portainer',
+            rules: ['security/docker-socket', 'security/host-port'],
+            reason: 'managing containers is what it is for',
+            kind: 'inSource',
+            file: 'portainer.yml',
+            line: 2,
+        }, {
+            app: 'portainer',
+            rules: ['image-tags'],
+            reason: '',
+            kind: 'inSource',
+            file: 'portainer.yml',
+            line: 4,
+        }]);
+    });
+});
+
+describe('applySuppressions', function () {
+    const findings = [
+        finding('portainer', 'security/docker-socket'),
+        finding('portainer', 'security/host-port', 'warning'),
+        finding('portainer', 'image-tags'),
+        finding('ghost', 'security/host-port', 'warning'),
+        { rule: 'orphan-logo', severity: 'warning', app: undefined, target: 'gone.png', file: 'gone.png', path: '(root)', message: 'orphan' },
+    ];
+    const allAppNames = ['portainer', 'ghost', 'wiki'];
+
+    it('suppresses the findings of the app that a rule or group of rules matches', function () {
+        const result = applySuppressions(findings, [external('portainer', ['security'], 'it manages containers')],
+            RULE_IDS, allAppNames, allAppNames);
+
+        assert.deepStrictEqual(suppressedOf(result), [
+            'portainer security/docker-socket it manages containers',
+            'portainer security/host-port it manages containers',
+            'portainer image-tags -',
+            'ghost security/host-port -',
+            'undefined orphan-logo -',
+        ]);
+        assert.deepStrictEqual(result[0].suppressed, { kind: 'external', reason: 'it manages containers' });
+        assert.deepStrictEqual(reportsOf(result), []);
+    });
+
+    it('does not suppress anything without a reason, and reports it', function () {
+        const inline = { app: 'portainer', rules: ['image-tags'], reason: '', kind: 'inSource', file: 'portainer.yml', line: 3 };
+        const result = applySuppressions(findings, [inline, external('ghost', ['security/host-port'], '')], RULE_IDS, allAppNames, allAppNames);
+
+        assert.ok(result.every(f => !f.suppressed));
+        assert.deepStrictEqual(reportsOf(result), [
+            'error portainer.yml:3 portainer: the suppression of image-tags needs a reason, e.g. "# validate_apps: ignore <rule> -- <reason>"',
+            'error validation_suppressions.json ghost: the suppression of security/host-port needs a reason, e.g. "reason": "<reason>"',
+        ]);
+    });
+
+    it('reports unknown rules, unknown apps and suppressions that suppress nothing', function () {
+        const result = applySuppressions(findings, [
+            external('portainer', ['security/docker-socket', 'no-such-rule'], 'it manages containers'),
+            external('wiki', ['lifecycle', 'security'], 'old reason'),
+            external('deleted-app', ['image-tags'], 'the app was removed'),
+        ], RULE_IDS, allAppNames, allAppNames);
+
+        assert.deepStrictEqual(reportsOf(result), [
+            'error validation_suppressions.json portainer: "no-such-rule" is not a rule, see the rules of npm run validate_apps -- --list-rules',
+            'warning validation_suppressions.json wiki: nothing to suppress for lifecycle anymore, remove the suppression',
+            'warning validation_suppressions.json wiki: nothing to suppress for security anymore, remove the suppression',
+            'warning validation_suppressions.json deleted-app: the app does not exist, remove the suppression',
+        ]);
+    });
+
+    it('only reports unused suppressions of the apps that were validated', function () {
+        const result = applySuppressions([], [external('wiki', ['lifecycle'], 'old reason')], RULE_IDS, ['portainer'], allAppNames);
+
+        assert.deepStrictEqual(reportsOf(result), []);
+    });
+});
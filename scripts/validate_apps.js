@@ -1,149 +1,234 @@
- /*jshint esversion: 6 */
- const path = require('path');
- const yaml = require('yaml');
- const fs = require('fs-extra');
-
- const PUBLIC = `public`;
- const pathOfPublic = path.join(__dirname, '..', PUBLIC);
-
-
- // validating version 4
- function validateV4() {
-
-     const version = '4';
-     const pathOfVersion = path.join(pathOfPublic, 'v' + version);
-     const pathOfApps = path.join(pathOfVersion, 'apps');
-
-     return fs.readdir(pathOfApps)
-         .then(function (items) {
-
-             const apps = items.filter(v => v.includes('.yml'));
-
-             if (items.length !== apps.length) {
-                 throw new Error('All files in v4 must end with .yml');
-             }
-
-             for (var i = 0; i < apps.length; i++) {
-                 const contentString = fs.readFileSync(path.join(pathOfApps, apps[i]), 'utf-8');
-                 const content = yaml.parse(contentString);
-                 const captainVersion = (content.captainVersion + '');
-                 const versionString = (version + '');
-                 if (versionString !== captainVersion)
-                     throw new Error(`unmatched versions   ${versionString}  ${captainVersion} for ${apps[i]}`);
-
-                 apps[i] = apps[i].replace('.yml', '');
-
-                 if (!content.caproverOneClickApp) {
-                     throw new Error(`Cannot find caproverOneClickApp for ${apps[i]}`);
-                 }
-
-                 if (!content.caproverOneClickApp.description) {
-                     throw new Error(`Cannot find description for ${apps[i]}`);
-                 }
-
-                 if (content.caproverOneClickApp.description.length > 200) {
-                     throw new Error(`Description too long for ${apps[i]}  - keep it below 200 chars`);
-                 }
-
-                 if (!content.caproverOneClickApp.instructions ||
-                     !content.caproverOneClickApp.instructions.start ||
-                     !content.caproverOneClickApp.instructions.end) {
-                     throw new Error(`Cannot find instructions.start or instructions.end for ${apps[i]}`);
-                 }
-
-                 if (!content.services) {
-                     throw new Error(`Cannot find services for ${apps[i]}`);
-                 }
-
-                 Object.keys(content.services).forEach(
-                     (serviceName) => { // jshint ignore:line
-                         const s = content.services[serviceName];
-                         if (s.image && s.image.endsWith(':latest')) {
-                             // throw new Error(`"latest" tag is not allowed as it can change and break the setup, see ${apps[i]}`);
-                         }
-                     });
-
-                 const logoFileName = apps[i] + '.png';
-
-                 const logoFullPath = path.join(pathOfVersion, 'logos', logoFileName);
-
-                 if (!fs.existsSync(logoFullPath) ||
-                     !fs.statSync(logoFullPath).isFile()) {
-                     let printablePath = logoFullPath;
-                     printablePath = printablePath.substr(printablePath.indexOf(`/${PUBLIC}`));
-                     throw new Error(`Cannot find logo for ${apps[i]} ${printablePath}`);
-                 }
-
-                 console.log(`Validated ${apps[i]}`);
-
-             }
-
-         });
- }
-
- // validating version 2
- function validateV2() {
-
-     const version = '2';
-     const pathOfVersion = path.join(pathOfPublic, 'v' + version);
-     const pathOfApps = path.join(pathOfVersion, 'apps');
-
-     if (!fs.existsSync(pathOfApps)) {
-         return;
-     }
-
-     return fs.readdir(pathOfApps)
-         .then(function (items) {
-
-             const apps = items.filter(v => v.includes('.json'));
-
-             if (items.length !== apps.length) {
-                 throw new Error('All files in v2 must end with .json');
-             }
-
-             for (var i = 0; i < apps.length; i++) {
-                 const contentString = fs.readFileSync(path.join(pathOfApps, apps[i]));
-                 const content = JSON.parse(contentString);
-                 const captainVersion = (content.captainVersion + '');
-                 const versionString = (version + '');
-                 if (versionString !== captainVersion)
-                     throw new Error(`unmatched versions   ${versionString}  ${captainVersion} for ${apps[i]}`);
-
-                 apps[i] = apps[i].replace('.json', '');
-
-                 if (!content.description) {
-                     throw new Error(`Cannot find description for ${apps[i]}`);
-                 }
-                 if (content.description.length > 200) {
-                     throw new Error(`Description too long for ${apps[i]}  - keep it below 200 chars`);
-                 }
-
-                 const logoFileName = apps[i] + '.png';
-
-                 const logoFullPath = path.join(pathOfVersion, 'logos', logoFileName);
-
-                 if (!fs.existsSync(logoFullPath) ||
-                     !fs.statSync(logoFullPath).isFile()) {
-                     let printablePath = logoFullPath;
-                     printablePath = printablePath.substr(printablePath.indexOf(`/${PUBLIC}`));
-                     throw new Error(`Cannot find logo for ${apps[i]} ${printablePath}`);
-                 }
-
-                 console.log(`Validated ${apps[i]}`);
-
-             }
-
-         });
- }
-
- Promise.resolve()
-     .then(function () {
-         return validateV2();
-     })
-     .then(function () {
-         return validateV4();
-     })
-     .catch(function (err) {
-         console.error(err);
-         process.exit(127);
-     });
\ No newline at end of file
+/*jshint esversion: 6 */
+const path = require('path');
+const yaml = require('yaml');
+const fs = require('fs-extra');
+const { readImagePolicy } = require('./lib/image_policy');
+const { readLogoPolicy } = require('./lib/logos');
+const { readFragmentFiles } = require('./lib/fragments');
+const { readSources, collectFiles, collectSourceFiles } = require('./lib/sources');
+const { readSuppressionConfig } = require('./lib/suppressions');
+const { lifecycleOf } = require('./lib/lifecycle');
+const { listChangedFiles, selectChanged } = require('./lib/changed_files');
+const { RULES, runValidation } = require('./lib/validation');
+const { REPORTERS, summarize } = require('./lib/reporters');
+
+// Validates every app, fragment and logo of the sources in scripts/sources.json, and the apps of public/v2.
+// All findings are collected before the exit code is decided, so one broken app does not hide the others.
+//
+// npm run validate_apps -- [options]
+//
+//   --format <format>      text (default), json, sarif or junit
+//   --output <file>        writes the report to a file, and prints the text report as well
+//   --changed-since <ref>  only validates the apps, logos and fragments that changed since the working tree
+//                          branched off <ref>, e.g. origin/master. Changes in scripts/ validate everything
+//   --list-rules           prints the rule ids, e.g. for suppressions
+//
+// Exits with 1 if there are errors, and with 127 if the validation itself fails.
+
+const pathOfPublic = path.join(__dirname, '..', 'public');
+
+const imagePolicy = readImagePolicy();
+
+const logoPolicy = readLogoPolicy();
+
+function parseArguments(argv) {
+    const args = {
+        format: 'text',
+        output: undefined,
+        changedSince: undefined,
+        listRules: false,
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = function () {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '--format') {
+            args.format = next();
+            if (!REPORTERS[args.format]) {
+                throw new Error(`Unknown format ${args.format}, use one of ${Object.keys(REPORTERS).join(', ')}`);
+            }
+        } else if (arg === '--output') {
+            args.output = next();
+        } else if (arg === '--changed-since') {
+            args.changedSince = next();
+        } else if (arg === '--list-rules') {
+            args.listRules = true;
+        } else {
+            throw new Error(`Unknown option ${arg}. Usage: npm run validate_apps -- [--format text|json|sarif|junit] ` +
+                '[--output <file>] [--changed-since <git ref>] [--list-rules]');
+        }
+    }
+
+    return args;
+}
+
+function appNameOf(fileName) {
+    return fileName.replace(/\.yml$/, '');
+}
+
+// lists every image that breaks the tag policy, so that the allow-list can be burned down
+function printImagePolicySummary(findings, appNames, complete) {
+    const offendersByApp = {};
+    findings
+        .filter(f => f.rule === 'image-tags' && f.image !== undefined)
+        .forEach(f => (offendersByApp[f.app] = (offendersByApp[f.app] || []).concat([f])));
+    const offendingApps = Object.keys(offendersByApp);
+    const staleAllowList = complete ? imagePolicy.allowList.filter(appName => !offendersByApp[appName]) : [];
+
+    if (offendingApps.length === 0 && staleAllowList.length === 0) {
+        return;
+    }
+
+    const imagesCount = offendingApps.reduce((sum, appName) => sum + offendersByApp[appName].length, 0);
+    const allowedCount = offendingApps.filter(appName => imagePolicy.allowList.includes(appName)).length;
+    console.log('');
+    console.log(`Image tag policy: ${imagesCount} unpinned image(s) in ${offendingApps.length} app(s), ` +
+        `${allowedCount} of them allowed by scripts/image_policy.json:`);
+    offendingApps.forEach(appName => {
+        const allowed = imagePolicy.allowList.includes(appName) ? '' : '  (not allowed)';
+        offendersByApp[appName].forEach(f => console.log(`    ${appName}  ${f.path}  ${f.image}${allowed}`));
+    });
+
+    staleAllowList.forEach(appName => {
+        const reason = appNames.includes(appName) ? 'has no unpinned images anymore' : 'does not exist';
+        console.log(`    ${appName} ${reason}, remove it from allowList in scripts/image_policy.json`);
+    });
+}
+
+// lists the apps whose logos break the limits of scripts/logo_policy.json, so that the allow-list can be burned down
+function printLogoPolicySummary(findings, appNames, complete) {
+    const offendersByApp = {};
+    findings
+        .filter(f => f.rule === 'logo')
+        .forEach(f => (offendersByApp[f.app] = (offendersByApp[f.app] || []).concat([f])));
+    const offendingApps = Object.keys(offendersByApp);
+    const staleAllowList = complete ? logoPolicy.allowList.filter(appName => !offendersByApp[appName]) : [];
+
+    if (offendingApps.length === 0 && staleAllowList.length === 0) {
+        return;
+    }
+
+    const allowedCount = offendingApps.filter(appName => logoPolicy.allowList.includes(appName)).length;
+    console.log('');
+    console.log(`Logo policy: ${offendingApps.length} logo(s) outside the limits, ` +
+        `${allowedCount} of them allowed by scripts/logo_policy.json:`);
+    offendingApps.forEach(appName => {
+        const allowed = logoPolicy.allowList.includes(appName) ? '' : '  (not allowed)';
+        offendersByApp[appName].forEach(f => console.log(`    ${appName}  ${f.message.replace(/ Allowed for now .*$/, '')}${allowed}`));
+    });
+
+    staleAllowList.forEach(appName => {
+        const reason = appNames.includes(appName) ? 'has a logo within the limits now' : 'does not exist';
+        console.log(`    ${appName} ${reason}, remove it from allowList in scripts/logo_policy.json`);
+    });
+}
+
+function validate() {
+    return Promise.resolve()
+        .then(function () {
+            const args = parseArguments(process.argv.slice(2));
+
+            if (args.listRules) {
+                Object.keys(RULES).forEach(id => console.log(`${id}  ${RULES[id]}`));
+                return;
+            }
+
+            // The apps of every source in scripts/sources.json, this fails on name conflicts between the sources and with public/v2
+            const sources = readSources();
+            const items = collectSourceFiles(sources, 'apps', true);
+            const notYaml = items.find(item => !item.fileName.endsWith('.yml'));
+            if (notYaml) {
+                throw new Error(`All files in v4 must end with .yml, found ${notYaml.filePath}`);
+            }
+
+            // The logo of an app is in the logos directory of its own source
+            const appFiles = items.map(item => Object.assign({}, item, {
+                logoPath: path.join(sources.find(s => s.name === item.source).pathOfLogos, item.sourceFileName.replace(/\.yml$/, '.png')),
+            }));
+            const logoFiles = collectSourceFiles(sources, 'logos', true);
+            const fragmentFiles = collectFiles(sources, 'fragments', false).filter(f => f.fileName.endsWith('.yml'));
+            const fragments = readFragmentFiles(fragmentFiles.map(f => f.filePath));
+            const allAppNames = appFiles.map(f => appNameOf(f.fileName));
+
+            // Every app, also the ones that --changed-since leaves out, since replacedBy may name any of them
+            const contents = appFiles.map(f => {
+                try {
+                    return yaml.parse(fs.readFileSync(f.filePath, 'utf-8'));
+                } catch (err) {
+                    return undefined;
+                }
+            });
+            const lifecycles = {};
+            allAppNames.forEach((name, i) => (lifecycles[name] = lifecycleOf(contents[i])));
+
+            let selection = {
+                all: 'all',
+                apps: appFiles.map(f => f.fileName),
+                fragments: Object.keys(fragments),
+                logos: logoFiles.map(f => f.fileName),
+            };
+            const log = args.format === 'text' || args.output ? console.log : () => {};
+            if (args.changedSince) {
+                const withContent = appFiles.map((f, i) => Object.assign({}, f, { content: contents[i] }));
+                selection = selectChanged(listChangedFiles(args.changedSince), {
+                    apps: withContent,
+                    logos: logoFiles,
+                    fragments: fragmentFiles,
+                });
+                log(selection.all ?
+                    `Validating everything, ${selection.all} since ${args.changedSince}` :
+                    `Validating ${selection.apps.length} app(s), ${selection.fragments.length} fragment(s) and ` +
+                    `${selection.logos.length} logo(s) that changed since ${args.changedSince}`);
+            }
+
+            const result = runValidation({
+                appFiles: appFiles.filter(f => selection.apps.includes(f.fileName)),
+                fragments: fragments,
+                fragmentNames: Object.keys(fragments).filter(name => selection.fragments.includes(name)),
+                logoFiles: logoFiles.filter(f => selection.logos.includes(f.fileName)),
+                allAppNames: allAppNames,
+                lifecycles: lifecycles,
+                imagePolicy: imagePolicy,
+                logoPolicy: logoPolicy,
+                suppressions: readSuppressionConfig(),
+                pathOfV2: path.join(pathOfPublic, 'v2'),
+            });
+
+            const report = REPORTERS[args.format](result, RULES);
+            if (args.output) {
+                fs.outputFileSync(args.output, report);
+            }
+            if (args.format === 'text' || args.output) {
+                const activeFindings = result.findings.filter(f => !f.suppressed);
+                process.stdout.write(REPORTERS.text(result, RULES));
+                printImagePolicySummary(activeFindings, allAppNames, !!selection.all);
+                printLogoPolicySummary(activeFindings, allAppNames, !!selection.all);
+                if (args.output) {
+                    console.log(`Wrote the ${args.format} report to ${args.output}`);
+                }
+            } else {
+                process.stdout.write(report);
+            }
+
+            const summary = summarize(result);
+            if (summary.errors > 0) {
+                console.error(`${summary.failedTargets} file(s) failed validation with ${summary.errors} error(s), see above.`);
+                process.exitCode = 1;
+            }
+        });
+}
+
+Promise.resolve()
+    .then(function () {
+        return validate();
+    })
+    .catch(function (err) {
+        console.error(err);
+        process.exit(127);
+    });